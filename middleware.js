@@ -40,8 +40,8 @@ export async function middleware(req) {
         return NextResponse.next();
     }
 
-    // Protect chat page and chat API
-    if (pathname.startsWith("/chat") || pathname.startsWith("/api/chat")) {
+    // Protect chat page, chat API and saved conversations
+    if (pathname.startsWith("/chat") || pathname.startsWith("/api/chat") || pathname.startsWith("/api/conversations")) {
         if (!token) {
             const loginUrl = new URL("/login", req.url);
             return NextResponse.redirect(loginUrl);
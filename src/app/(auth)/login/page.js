@@ -2,9 +2,12 @@
 import { useState, useEffect } from "react";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
+import { direction, t } from "@/lib/i18n";
+import LanguageSwitcher, { useLocale } from "@/components/LanguageSwitcher";
 
 export default function LogIn() {
     const router = useRouter();
+    const [locale, setLocale] = useLocale();
     const [formData, setFormData] = useState({
         email: "",
         password: "",
@@ -34,10 +37,10 @@ export default function LogIn() {
         e.preventDefault();
         const newErrors = {};
 
-        if (!formData.email.trim()) newErrors.email = "Email is required";
+        if (!formData.email.trim()) newErrors.email = t(locale, "auth.errors.emailRequired");
         else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email))
-            newErrors.email = "Invalid email format";
-        if (!formData.password) newErrors.password = "Password is required";
+            newErrors.email = t(locale, "auth.errors.emailInvalid");
+        if (!formData.password) newErrors.password = t(locale, "auth.errors.passwordRequired");
 
         if (Object.keys(newErrors).length > 0) {
             setErrors(newErrors);
@@ -52,25 +55,28 @@ export default function LogIn() {
                 body: JSON.stringify({
                     email: formData.email,
                     password: formData.password,
+                    ...locale,
                 }),
             });
 
             const data = await response.json();
 
             if (!response.ok) {
-                setGeneralError(data.error || "Login failed");
+                setGeneralError(data.error || t(locale, "auth.login.failed"));
                 return;
             }
 
             // Store token and redirect to chat
             localStorage.setItem("token", data.token);
             localStorage.setItem("user", JSON.stringify(data.user));
+            // Replies follow the language saved on the account
+            setLocale({ language: data.user.language, numerals: data.user.numerals }, { sync: false });
             if (rememberMe) {
                 localStorage.setItem("rememberMe", "true");
             }
             router.push("/chat");
         } catch (error) {
-            setGeneralError("An error occurred. Please try again.");
+            setGeneralError(t(locale, "auth.genericError"));
             console.error("Login error:", error);
         } finally {
             setLoading(false);
@@ -78,11 +84,14 @@ export default function LogIn() {
     };
 
     return (
-        <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-zinc-900 via-zinc-800 to-black px-4">
+        <div dir={direction(locale)} className="flex min-h-screen items-center justify-center bg-gradient-to-br from-zinc-900 via-zinc-800 to-black px-4">
             <div className="w-full max-w-md rounded-lg border border-zinc-700 bg-zinc-900/80 p-8 backdrop-blur">
-                <h2 className="mb-2 text-center text-3xl font-bold text-white">Welcome Back</h2>
+                <div className="mb-4 flex justify-end">
+                    <LanguageSwitcher locale={locale} onChange={(next) => setLocale(next, { sync: false })} />
+                </div>
+                <h2 className="mb-2 text-center text-3xl font-bold text-white">{t(locale, "auth.login.title")}</h2>
                 <p className="mb-6 text-center text-sm text-zinc-400">
-                    Sign in to your account to continue
+                    {t(locale, "auth.login.subtitle")}
                 </p>
 
                 {generalError && (
@@ -95,14 +104,15 @@ export default function LogIn() {
                     {/* Email Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Email Address
+                            {t(locale, "auth.emailLabel")}
                         </label>
                         <input
                             type="email"
                             name="email"
                             value={formData.email}
                             onChange={handleChange}
-                            placeholder="john@example.com"
+                            placeholder={t(locale, "auth.emailPlaceholder")}
+                            dir="ltr"
                             disabled={loading}
                             className={`w-full rounded-lg border ${errors.email ? "border-red-500" : "border-zinc-600"
                                 } bg-zinc-800 px-4 py-2 text-white placeholder-zinc-500 outline-none transition focus:border-blue-500 disabled:opacity-50`}
@@ -113,7 +123,7 @@ export default function LogIn() {
                     {/* Password Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Password
+                            {t(locale, "auth.passwordLabel")}
                         </label>
                         <input
                             type="password"
@@ -140,10 +150,10 @@ export default function LogIn() {
                                 disabled={loading}
                                 className="h-4 w-4 rounded border-zinc-600 bg-zinc-800 disabled:opacity-50"
                             />
-                            Remember me
+                            {t(locale, "auth.login.rememberMe")}
                         </label>
                         <Link href="#" className="text-sm text-blue-400 hover:text-blue-300">
-                            Forgot password?
+                            {t(locale, "auth.login.forgotPassword")}
                         </Link>
                     </div>
 
@@ -153,15 +163,15 @@ export default function LogIn() {
                         disabled={loading}
                         className="w-full rounded-lg bg-blue-600 py-2 font-semibold text-white hover:bg-blue-700 transition mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                        {loading ? "Signing in..." : "Sign In"}
+                        {loading ? t(locale, "auth.login.submitting") : t(locale, "auth.login.submit")}
                     </button>
                 </form>
 
                 {/* Sign Up Link */}
                 <p className="mt-6 text-center text-sm text-zinc-400">
-                    Don't have an account?{" "}
+                    {t(locale, "auth.login.noAccount")}{" "}
                     <Link href="/signup" className="text-blue-400 hover:text-blue-300 font-medium">
-                        Sign Up
+                        {t(locale, "auth.login.signUp")}
                     </Link>
                 </p>
             </div>
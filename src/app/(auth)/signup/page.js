@@ -2,9 +2,12 @@
 import { useState, useEffect } from "react";
 import Link from "next/link";
 import { useRouter } from "next/navigation";
+import { direction, t } from "@/lib/i18n";
+import LanguageSwitcher, { useLocale } from "@/components/LanguageSwitcher";
 
 export default function SignUp() {
     const router = useRouter();
+    const [locale, setLocale] = useLocale();
     const [formData, setFormData] = useState({
         name: "",
         email: "",
@@ -35,15 +38,15 @@ export default function SignUp() {
         e.preventDefault();
         const newErrors = {};
 
-        if (!formData.name.trim()) newErrors.name = "Name is required";
-        if (!formData.email.trim()) newErrors.email = "Email is required";
+        if (!formData.name.trim()) newErrors.name = t(locale, "auth.errors.nameRequired");
+        if (!formData.email.trim()) newErrors.email = t(locale, "auth.errors.emailRequired");
         else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email))
-            newErrors.email = "Invalid email format";
-        if (!formData.password) newErrors.password = "Password is required";
+            newErrors.email = t(locale, "auth.errors.emailInvalid");
+        if (!formData.password) newErrors.password = t(locale, "auth.errors.passwordRequired");
         else if (formData.password.length < 8)
-            newErrors.password = "Password must be at least 8 characters";
+            newErrors.password = t(locale, "auth.errors.passwordTooShort");
         if (formData.password !== formData.confirmPassword)
-            newErrors.confirmPassword = "Passwords do not match";
+            newErrors.confirmPassword = t(locale, "auth.errors.passwordsDontMatch");
 
         if (Object.keys(newErrors).length > 0) {
             setErrors(newErrors);
@@ -60,13 +63,15 @@ export default function SignUp() {
                     email: formData.email,
                     password: formData.password,
                     confirmPassword: formData.confirmPassword,
+                    // The language picked here becomes the account's
+                    ...locale,
                 }),
             });
 
             const data = await response.json();
 
             if (!response.ok) {
-                setGeneralError(data.error || "Signup failed");
+                setGeneralError(data.error || t(locale, "auth.signup.failed"));
                 return;
             }
 
@@ -75,7 +80,7 @@ export default function SignUp() {
             localStorage.setItem("user", JSON.stringify(data.user));
             router.push("/login");
         } catch (error) {
-            setGeneralError("An error occurred. Please try again.");
+            setGeneralError(t(locale, "auth.genericError"));
             console.error("Signup error:", error);
         } finally {
             setLoading(false);
@@ -83,11 +88,14 @@ export default function SignUp() {
     };
 
     return (
-        <div className="flex min-h-screen items-center justify-center bg-gradient-to-br from-zinc-900 via-zinc-800 to-black px-4">
+        <div dir={direction(locale)} className="flex min-h-screen items-center justify-center bg-gradient-to-br from-zinc-900 via-zinc-800 to-black px-4">
             <div className="w-full max-w-md rounded-lg border border-zinc-700 bg-zinc-900/80 p-8 backdrop-blur">
-                <h2 className="mb-2 text-center text-3xl font-bold text-white">Create Account</h2>
+                <div className="mb-4 flex justify-end">
+                    <LanguageSwitcher locale={locale} onChange={(next) => setLocale(next, { sync: false })} />
+                </div>
+                <h2 className="mb-2 text-center text-3xl font-bold text-white">{t(locale, "auth.signup.title")}</h2>
                 <p className="mb-6 text-center text-sm text-zinc-400">
-                    Join us and get personalized mortgage advice
+                    {t(locale, "auth.signup.subtitle")}
                 </p>
 
                 {generalError && (
@@ -100,14 +108,14 @@ export default function SignUp() {
                     {/* Name Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Full Name
+                            {t(locale, "auth.nameLabel")}
                         </label>
                         <input
                             type="text"
                             name="name"
                             value={formData.name}
                             onChange={handleChange}
-                            placeholder="John Doe"
+                            placeholder={t(locale, "auth.namePlaceholder")}
                             disabled={loading}
                             className={`w-full rounded-lg border ${errors.name ? "border-red-500" : "border-zinc-600"
                                 } bg-zinc-800 px-4 py-2 text-white placeholder-zinc-500 outline-none transition focus:border-blue-500 disabled:opacity-50`}
@@ -118,14 +126,15 @@ export default function SignUp() {
                     {/* Email Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Email Address
+                            {t(locale, "auth.emailLabel")}
                         </label>
                         <input
                             type="email"
                             name="email"
                             value={formData.email}
                             onChange={handleChange}
-                            placeholder="john@example.com"
+                            placeholder={t(locale, "auth.emailPlaceholder")}
+                            dir="ltr"
                             disabled={loading}
                             className={`w-full rounded-lg border ${errors.email ? "border-red-500" : "border-zinc-600"
                                 } bg-zinc-800 px-4 py-2 text-white placeholder-zinc-500 outline-none transition focus:border-blue-500 disabled:opacity-50`}
@@ -136,7 +145,7 @@ export default function SignUp() {
                     {/* Password Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Password
+                            {t(locale, "auth.passwordLabel")}
                         </label>
                         <input
                             type="password"
@@ -156,7 +165,7 @@ export default function SignUp() {
                     {/* Confirm Password Input */}
                     <div>
                         <label className="block text-sm font-medium text-zinc-300 mb-1">
-                            Confirm Password
+                            {t(locale, "auth.confirmPasswordLabel")}
                         </label>
                         <input
                             type="password"
@@ -179,15 +188,15 @@ export default function SignUp() {
                         disabled={loading}
                         className="w-full rounded-lg bg-blue-600 py-2 font-semibold text-white hover:bg-blue-700 transition mt-6 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
-                        {loading ? "Creating Account..." : "Create Account"}
+                        {loading ? t(locale, "auth.signup.submitting") : t(locale, "auth.signup.submit")}
                     </button>
                 </form>
 
                 {/* Sign In Link */}
                 <p className="mt-6 text-center text-sm text-zinc-400">
-                    Already have an account?{" "}
+                    {t(locale, "auth.signup.haveAccount")}{" "}
                     <Link href="/login" className="text-blue-400 hover:text-blue-300 font-medium">
-                        Sign In
+                        {t(locale, "auth.signup.signIn")}
                     </Link>
                 </p>
             </div>
@@ -0,0 +1,59 @@
+import { NextResponse } from "next/server";
+import { getSessionUser } from "@/lib/session";
+import { connectDB } from "@/lib/mongodb";
+import { LANGUAGES, NUMERAL_SYSTEMS, resolveLocale } from "@/lib/i18n";
+import User from "@/models/User";
+
+export const runtime = "nodejs";
+
+// The signed-in user's reply language and digits: { language, numerals }
+export async function GET() {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        await connectDB();
+        const user = await User.findById(session.userId).select("language numerals").lean();
+        if (!user) {
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
+        }
+        return NextResponse.json({ preferences: resolveLocale(user) });
+    } catch (err) {
+        console.error("[Preferences] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
+
+// Updates { language?, numerals? }; replies from the next message on use them
+export async function PATCH(req) {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        const body = await req.json().catch(() => null);
+        const { language, numerals } = body || {};
+        if (!body || (language != null && !LANGUAGES.includes(language)) || (numerals != null && !NUMERAL_SYSTEMS.includes(numerals))) {
+            return NextResponse.json({ error: "invalid_payload" }, { status: 400 });
+        }
+
+        await connectDB();
+        const update = Object.fromEntries(Object.entries({ language, numerals }).filter(([, v]) => v != null));
+        const user = await User.findByIdAndUpdate(session.userId, update, { new: true, runValidators: true })
+            .select("language numerals")
+            .lean();
+        if (!user) {
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
+        }
+
+        const preferences = resolveLocale(user);
+        console.log(`[Preferences] ${session.email} → ${preferences.language}/${preferences.numerals}`);
+        return NextResponse.json({ preferences });
+    } catch (err) {
+        console.error("[Preferences] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from "next/server";
+import { getSessionUser, isAdmin } from "@/lib/session";
+import { listAssumptionSets, publishAssumptionSet, refreshAssumptions } from "@/lib/assumptionStore";
+
+export const runtime = "nodejs";
+
+async function requireAdmin() {
+    const session = await getSessionUser();
+    if (!session) return { response: NextResponse.json({ error: "unauthorized" }, { status: 401 }) };
+    if (!isAdmin(session)) return { response: NextResponse.json({ error: "forbidden" }, { status: 403 }) };
+    return { session };
+}
+
+// The assumption set in force and every published override
+export async function GET() {
+    try {
+        const { response } = await requireAdmin();
+        if (response) return response;
+
+        const active = await refreshAssumptions({ force: true });
+        const history = await listAssumptionSets();
+        return NextResponse.json({ active, history });
+    } catch (err) {
+        console.error("[Assumptions] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
+
+// Publishes { version, effectiveFrom?, overrides, note? } as the new active set
+export async function POST(req) {
+    try {
+        const { session, response } = await requireAdmin();
+        if (response) return response;
+
+        const body = await req.json().catch(() => null);
+        if (!body || typeof body.version !== "string" || (body.overrides != null && typeof body.overrides !== "object")) {
+            return NextResponse.json({ error: "invalid_payload" }, { status: 400 });
+        }
+
+        const result = await publishAssumptionSet({
+            version: body.version.trim(),
+            effectiveFrom: body.effectiveFrom,
+            overrides: body.overrides || {},
+            note: body.note,
+            createdBy: session.email,
+        });
+        if (result.error) {
+            return NextResponse.json({ error: result.error, issues: result.issues }, { status: 400 });
+        }
+
+        console.log(`[Assumptions] ${session.email} published ${result.assumptions.version}`);
+        return NextResponse.json({ active: result.assumptions }, { status: 201 });
+    } catch (err) {
+        console.error("[Assumptions] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
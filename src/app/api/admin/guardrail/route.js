@@ -0,0 +1,30 @@
+import { NextResponse } from "next/server";
+import { getSessionUser, isAdmin } from "@/lib/session";
+import { listBlockedAttempts } from "@/lib/guardrailStore";
+
+export const runtime = "nodejs";
+
+const REASONS = ["tooLong", "injection", "offTopic"];
+const MAX_LIMIT = 500;
+
+// Blocked messages and uploads for review; ?reason= narrows to one kind, ?limit= caps the list
+export async function GET(req) {
+    try {
+        const session = await getSessionUser();
+        if (!session) return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        if (!isAdmin(session)) return NextResponse.json({ error: "forbidden" }, { status: 403 });
+
+        const params = new URL(req.url).searchParams;
+        const reason = params.get("reason");
+        if (reason && !REASONS.includes(reason)) {
+            return NextResponse.json({ error: "invalid_payload" }, { status: 400 });
+        }
+        const limit = Math.min(Number(params.get("limit")) || 100, MAX_LIMIT);
+
+        const attempts = await listBlockedAttempts({ reason, limit });
+        return NextResponse.json({ attempts });
+    } catch (err) {
+        console.error("[Guardrail] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
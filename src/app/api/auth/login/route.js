@@ -2,19 +2,23 @@ import { connectDB } from "@/lib/mongodb";
 import User from "@/models/User";
 import jwt from "jsonwebtoken";
 import { NextResponse } from "next/server";
+import { resolveLocale, t } from "@/lib/i18n";
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 
 export async function POST(request) {
+    // Errors are shown in the language picked on the form; the account doesn't exist or isn't known yet
+    let locale = resolveLocale();
     try {
         console.log("[Login] POST /api/auth/login - incoming request");
-        const { email, password } = await request.json();
+        const { email, password, language, numerals } = await request.json();
+        locale = resolveLocale({ language, numerals });
         console.log(`[Login] Payload received for email: ${email}`);
 
         // Validate input
         if (!email || !password) {
             return Response.json(
-                { error: "Please provide email and password" },
+                { error: t(locale, "auth.errors.missingCredentials") },
                 { status: 400 }
             );
         }
@@ -29,7 +33,7 @@ export async function POST(request) {
         if (!user) {
             console.warn(`[Login] User not found for email: ${email}`);
             return Response.json(
-                { error: "Invalid email or password" },
+                { error: t(locale, "auth.errors.invalidCredentials") },
                 { status: 401 }
             );
         }
@@ -40,7 +44,7 @@ export async function POST(request) {
         if (!isPasswordValid) {
             console.warn(`[Login] Invalid password for email: ${email}`);
             return Response.json(
-                { error: "Invalid email or password" },
+                { error: t(locale, "auth.errors.invalidCredentials") },
                 { status: 401 }
             );
         }
@@ -68,6 +72,8 @@ export async function POST(request) {
                     id: user._id,
                     name: user.name,
                     email: user.email,
+                    language: user.language,
+                    numerals: user.numerals,
                 },
             },
             { status: 200 }
@@ -83,7 +89,7 @@ export async function POST(request) {
     } catch (error) {
         console.error("[Login] Error:", error);
         return Response.json(
-            { error: "An error occurred during login. Please try again." },
+            { error: t(locale, "auth.errors.loginFailed") },
             { status: 500 }
         );
     }
@@ -2,33 +2,37 @@ import { connectDB } from "@/lib/mongodb";
 import User from "@/models/User";
 import jwt from "jsonwebtoken";
 import { NextResponse } from "next/server";
+import { resolveLocale, t } from "@/lib/i18n";
 
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 
 export async function POST(request) {
+    // Errors are shown in the language picked on the form; the account doesn't exist or isn't known yet
+    let locale = resolveLocale();
     try {
         console.log("[Signup] POST /api/auth/signup - incoming request");
-        const { name, email, password, confirmPassword } = await request.json();
+        const { name, email, password, confirmPassword, language, numerals } = await request.json();
+        locale = resolveLocale({ language, numerals });
         console.log(`[Signup] Payload received for email: ${email}`);
 
         // Validate input
         if (!name || !email || !password || !confirmPassword) {
             return Response.json(
-                { error: "Please provide all required fields" },
+                { error: t(locale, "auth.errors.missingFields") },
                 { status: 400 }
             );
         }
 
         if (password !== confirmPassword) {
             return Response.json(
-                { error: "Passwords do not match" },
+                { error: t(locale, "auth.errors.passwordsDontMatch") },
                 { status: 400 }
             );
         }
 
         if (password.length < 8) {
             return Response.json(
-                { error: "Password must be at least 8 characters" },
+                { error: t(locale, "auth.errors.passwordTooShort") },
                 { status: 400 }
             );
         }
@@ -41,7 +45,7 @@ export async function POST(request) {
         const existingUser = await User.findOne({ email });
         if (existingUser) {
             return Response.json(
-                { error: "Email already registered" },
+                { error: t(locale, "auth.errors.emailTaken") },
                 { status: 409 }
             );
         }
@@ -51,6 +55,7 @@ export async function POST(request) {
             name,
             email,
             password,
+            ...locale,
         });
 
         await user.save();
@@ -79,6 +84,8 @@ export async function POST(request) {
                     id: user._id,
                     name: user.name,
                     email: user.email,
+                    language: user.language,
+                    numerals: user.numerals,
                 },
             },
             { status: 201 }
@@ -94,7 +101,7 @@ export async function POST(request) {
     } catch (error) {
         console.error("[Signup] Error:", error);
         return Response.json(
-            { error: "An error occurred during signup. Please try again." },
+            { error: t(locale, "auth.errors.signupFailed") },
             { status: 500 }
         );
     }
@@ -1,112 +1,231 @@
 import { NextResponse } from "next/server";
-import { cookies } from "next/headers";
-import jwt from "jsonwebtoken";
 import { runConversationTurn } from "@/lib/graph";
 import {
     extractSalaryFromDocument,
     formatSalaryConfirmation
 } from "@/lib/visionExtractor";
+import { normalizeCurrency, toAED } from "@/lib/currency";
+import { getSessionUser } from "@/lib/session";
+import { appendTurn, loadMessages, loadState, openConversation } from "@/lib/conversationStore";
+import { parseChatRequest } from "@/lib/stateEnvelope";
+import { refreshAssumptions } from "@/lib/assumptionStore";
+import { savePreApproval } from "@/lib/preApprovalStore";
+import { incomeFromSalarySlip, parseAmount } from "@/lib/income";
+import { resolveLocale, t } from "@/lib/i18n";
+import { logBlockedAttempt } from "@/lib/guardrailStore";
+import { connectDB } from "@/lib/mongodb";
+import User from "@/models/User";
 
 export const runtime = "nodejs";
 
-export async function POST(req) {
-    try {
-        console.log("\n==============================");
-        console.log("[API] POST /api/chat");
-        console.log("==============================");
+// The reply language is an account setting, so it follows the user across conversations and devices
+async function loadLocale(userId) {
+    await connectDB();
+    return resolveLocale(await User.findById(userId).select("language numerals").lean());
+}
 
-        /* ---------------- AUTH ---------------- */
-        const cookieStore = await cookies();
-        const token = cookieStore.get("token")?.value;
+/**
+ * One chat turn: salary-slip upload or a message through the graph.
+ * `emit` receives status/delta events for streaming clients; the returned
+ * reply is the complete assistant message either way.
+ */
+async function runTurn({ session, conversation, text, file, locale, emit }) {
+    const userMessage = { role: "user", content: text || t(locale, "salarySlip.uploaded") };
+    const savedState = loadState(conversation);
+
+    /* ============================================================
+       OBJECTIVE 2 — PRIVACY FIREWALL (FILE UPLOAD PATH)
+       ============================================================ */
+    if (file) {
+        console.log("\n[UPLOAD] 📄 Salary slip received");
+        console.log("[UPLOAD] MIME:", file.mimeType);
+        const label = t(locale, "tools.salary_slip");
+        emit({ type: "status", stage: "tool_start", tool: "salary_slip", label: t(locale, "tools.running", { label }) });
+
+        const extractionResult = await extractSalaryFromDocument({
+            arrayBuffer: async () => Buffer.from(file.data, "base64"),
+            type: file.mimeType
+        });
+        emit({ type: "status", stage: "tool_end", tool: "salary_slip", label: t(locale, "tools.done", { label }) });
+
+        if (extractionResult.blocked) {
+            console.log("[GUARDRAIL] 🛑 Upload blocked:", extractionResult.blocked.reason);
+            await logBlockedAttempt({ userId: session.userId, threadId: conversation.threadId, source: "document", ...extractionResult.blocked });
+            const reply = { role: "assistant", content: t(locale, "guardrail.document") };
+            await appendTurn(conversation, [userMessage, reply], savedState);
+            emit({ type: "delta", text: reply.content });
+            return reply;
+        }
 
-        if (!token) {
-            console.log("[AUTH] ❌ No token");
-            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        if (!extractionResult.success) {
+            console.log("[FIREWALL] ❌ Extraction failed:", extractionResult.error);
+            const reply = {
+                role: "assistant",
+                content: t(locale, extractionResult.error === "Not a salary document" ? "salarySlip.notSalary" : "salarySlip.failed")
+            };
+            await appendTurn(conversation, [userMessage, reply], savedState);
+            emit({ type: "delta", text: reply.content });
+            return reply;
         }
 
-        try {
-            jwt.verify(token, process.env.JWT_SECRET || "your-secret-key");
-            console.log("[AUTH] ✅ Token verified");
-        } catch {
-            console.log("[AUTH] ❌ Invalid token");
-            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        console.log("[FIREWALL] ✅ Salary data extracted safely");
+        console.log("[SAFE DATA]", extractionResult.data);
+
+        const salaryData = extractionResult.data;
+
+        const monthlyIncome =
+            parseAmount(salaryData.netSalary) ||
+            parseAmount(salaryData.totalGrossSalary) ||
+            parseAmount(salaryData.basicSalary);
+
+        console.log("[CONFIRMATION] Monthly income chosen:", monthlyIncome, salaryData.currency);
+
+        // Affordability maths runs in AED: convert foreign-currency payslips first
+        const monthlyIncomeAED = toAED(monthlyIncome, salaryData.currency);
+        if (monthlyIncome && monthlyIncomeAED == null) {
+            console.log("[FX] ❌ No rate for payslip currency:", salaryData.currency);
+            const reply = {
+                role: "assistant",
+                content: t(locale, "salarySlip.unsupportedCurrency", { ccy: normalizeCurrency(salaryData.currency) })
+            };
+            await appendTurn(conversation, [userMessage, reply], savedState);
+            emit({ type: "delta", text: reply.content });
+            return reply;
         }
 
-        /* ---------------- BODY ---------------- */
-        const body = await req.json();
-        const { messages, file } = body || {};
+        const confirmationMessage = formatSalaryConfirmation(
+            salaryData,
+            monthlyIncome,
+            monthlyIncomeAED,
+            locale
+        );
+        const reply = { role: "assistant", content: confirmationMessage };
+
+        // The slip's figures become the known income; later calculations pick it up from state
+        await appendTurn(conversation, [userMessage, reply], {
+            ...savedState,
+            income: monthlyIncomeAED ? incomeFromSalarySlip(salaryData, monthlyIncomeAED) : savedState.income ?? null,
+        });
+        emit({ type: "delta", text: reply.content });
+        return reply;
+    }
 
-        console.log("[REQUEST] Messages count:", messages?.length);
-        console.log("[REQUEST] File attached:", !!file);
+    /* ============================================================
+       NORMAL CHAT / CONFIRMATION PATH
+       ============================================================ */
+
+    console.log("\n[CHAT] 🧠 Routing to reasoning LLM");
+    const history = await loadMessages(session.userId, conversation.threadId);
+    const { message: reply, state, preApproval, blocked } = await runConversationTurn({
+        // Earlier refused messages never go back to the model
+        messages: [...history.filter((m) => !m.blocked).map(({ role, content }) => ({ role, content })), userMessage],
+        state: savedState,
+        locale,
+        onEvent: emit,
+    });
+
+    // The reply links to /api/preapprovals/<reference>, which serves this stored copy
+    if (preApproval) {
+        await savePreApproval(session.userId, conversation.threadId, preApproval);
+        console.log("[CHAT] 📄 Pre-approval summary issued:", preApproval.reference);
+    }
 
-        if (!Array.isArray(messages)) {
-            console.log("[ERROR] Invalid messages payload");
-            return NextResponse.json({ error: "invalid_payload" }, { status: 400 });
-        }
+    if (blocked) {
+        await logBlockedAttempt({ userId: session.userId, threadId: conversation.threadId, source: "message", ...blocked, text: userMessage.content });
+        await appendTurn(conversation, [userMessage, reply].map((m) => ({ ...m, blocked: blocked.reason })), state);
+        return reply;
+    }
 
-        /* ============================================================
-           OBJECTIVE 2 — PRIVACY FIREWALL (FILE UPLOAD PATH)
-           ============================================================ */
-        if (file) {
-            console.log("\n[UPLOAD] 📄 Salary slip received");
-            console.log("[UPLOAD] MIME:", file.mimeType);
-
-            const extractionResult = await extractSalaryFromDocument({
-                arrayBuffer: async () => Buffer.from(file.data, "base64"),
-                type: file.mimeType
-            });
-
-            if (!extractionResult.success) {
-                console.log("[FIREWALL] ❌ Extraction failed:", extractionResult.error);
-                return NextResponse.json({
-                    message: {
-                        role: "assistant",
-                        content:
-                            extractionResult.error ||
-                            "I couldn’t safely extract salary data. Please try another document."
-                    }
-                });
-            }
+    await appendTurn(conversation, [userMessage, reply], state);
 
-            console.log("[FIREWALL] ✅ Salary data extracted safely");
-            console.log("[SAFE DATA]", extractionResult.data);
+    console.log("[CHAT] ✅ Assistant response generated");
+    return reply;
+}
 
-            const salaryData = extractionResult.data;
+// Server-Sent Events: `status` and `delta` while the turn runs, then `done` with the full reply.
+// A client that disconnects stops the events, not the turn: it still runs to the end and is saved.
+function streamTurn(turn) {
+    const encoder = new TextEncoder();
+    let disconnected = false;
+    const stream = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                if (disconnected) return;
+                try {
+                    controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+                } catch {
+                    disconnected = true;
+                }
+            };
+            try {
+                const reply = await runTurn({ ...turn, emit: (e) => send(e.type, e) });
+                send("done", { threadId: turn.conversation.threadId, message: reply });
+            } catch (err) {
+                console.error("[SERVER ERROR]", err);
+                send("error", { error: "server_error" });
+            } finally {
+                if (!disconnected) controller.close();
+            }
+        },
+        cancel() {
+            disconnected = true;
+            console.log("[CHAT] ⚠️ Client disconnected; finishing the turn without streaming");
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            "Content-Type": "text/event-stream; charset=utf-8",
+            "Cache-Control": "no-cache, no-transform",
+            Connection: "keep-alive",
+        },
+    });
+}
 
-            const monthlyIncome =
-                salaryData.netSalary ||
-                salaryData.totalGrossSalary ||
-                salaryData.basicSalary;
+export async function POST(req) {
+    try {
+        console.log("\n==============================");
+        console.log("[API] POST /api/chat");
+        console.log("==============================");
 
-            console.log("[CONFIRMATION] Monthly income chosen:", monthlyIncome);
+        /* ---------------- AUTH ---------------- */
+        const session = await getSessionUser();
+        if (!session) {
+            console.log("[AUTH] ❌ Missing or invalid token");
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+        console.log("[AUTH] ✅ Token verified");
+
+        /* ---------------- BODY ---------------- */
+        // Only the new user message comes from the browser; history and state live in MongoDB
+        const request = parseChatRequest(await req.json().catch(() => null));
+        if (request.error) {
+            console.log("[ERROR] Rejected payload:", request.error, request.fields || "");
+            return NextResponse.json({ error: request.error }, { status: 400 });
+        }
+        const { threadId, text, file } = request;
+        const streaming = req.headers.get("accept")?.includes("text/event-stream");
 
-            const confirmationMessage = formatSalaryConfirmation(
-                salaryData,
-                monthlyIncome
-            );
+        console.log("[REQUEST] Thread:", threadId || "(new)");
+        console.log("[REQUEST] File attached:", !!file);
+        console.log("[REQUEST] Streaming:", !!streaming);
 
-            return NextResponse.json({
-                message: {
-                    role: "assistant",
-                    content: confirmationMessage,
-                    _state: {
-                        extractedData: {
-                            income: monthlyIncome
-                        }
-                    }
-                }
-            });
+        // A new thread is only saved with its first turn, so a failure below leaves nothing behind
+        const conversation = await openConversation(session.userId, threadId);
+        if (!conversation) {
+            console.log("[ERROR] Unknown thread:", threadId);
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
         }
 
-        /* ============================================================
-           NORMAL CHAT / CONFIRMATION PATH
-           ============================================================ */
+        // Pick up an admin's assumption override before anything is calculated
+        await refreshAssumptions();
 
-        console.log("\n[CHAT] 🧠 Routing to reasoning LLM");
-        const assistantMsg = await runConversationTurn({ messages });
+        const locale = await loadLocale(session.userId);
+        const turn = { session, conversation, text, file, locale };
+        if (streaming) return streamTurn(turn);
 
-        console.log("[CHAT] ✅ Assistant response generated");
-        return NextResponse.json({ message: assistantMsg });
+        const reply = await runTurn({ ...turn, emit: () => {} });
+        return NextResponse.json({ threadId: conversation.threadId, message: reply });
 
     } catch (err) {
         console.error("[SERVER ERROR]", err);
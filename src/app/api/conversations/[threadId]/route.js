@@ -0,0 +1,55 @@
+import { NextResponse } from "next/server";
+import { getSessionUser } from "@/lib/session";
+import { deleteConversation, loadMessages, openConversation } from "@/lib/conversationStore";
+
+export const runtime = "nodejs";
+
+export async function GET(req, { params }) {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        const { threadId } = await params;
+        const conversation = await openConversation(session.userId, threadId);
+        if (!conversation) {
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
+        }
+
+        const messages = await loadMessages(session.userId, threadId);
+        return NextResponse.json({
+            conversation: {
+                threadId: conversation.threadId,
+                title: conversation.title,
+                createdAt: conversation.createdAt,
+                updatedAt: conversation.updatedAt,
+                messages,
+            },
+        });
+    } catch (err) {
+        console.error("[Conversations] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
+
+export async function DELETE(req, { params }) {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        const { threadId } = await params;
+        const deleted = await deleteConversation(session.userId, threadId);
+        if (!deleted) {
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
+        }
+
+        console.log(`[Conversations] Deleted ${threadId} for ${session.email}`);
+        return NextResponse.json({ success: true });
+    } catch (err) {
+        console.error("[Conversations] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
@@ -0,0 +1,21 @@
+import { NextResponse } from "next/server";
+import { getSessionUser } from "@/lib/session";
+import { listConversations } from "@/lib/conversationStore";
+
+export const runtime = "nodejs";
+
+export async function GET() {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        const conversations = await listConversations(session.userId);
+        console.log(`[Conversations] Listed ${conversations.length} for ${session.email}`);
+        return NextResponse.json({ conversations });
+    } catch (err) {
+        console.error("[Conversations] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
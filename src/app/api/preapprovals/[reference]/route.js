@@ -0,0 +1,42 @@
+import { NextResponse } from "next/server";
+import { getSessionUser } from "@/lib/session";
+import { loadPreApproval } from "@/lib/preApprovalStore";
+import { REFERENCE_PATTERN } from "@/lib/preApproval";
+import { renderPreApprovalHtml, renderPreApprovalPdf } from "@/lib/preApprovalDocument";
+
+export const runtime = "nodejs";
+
+// ?format=pdf downloads the PDF; anything else shows the HTML version
+export async function GET(req, { params }) {
+    try {
+        const session = await getSessionUser();
+        if (!session) {
+            return NextResponse.json({ error: "unauthorized" }, { status: 401 });
+        }
+
+        const { reference } = await params;
+        const summary = REFERENCE_PATTERN.test(reference) ? await loadPreApproval(session.userId, reference) : null;
+        if (!summary) {
+            return NextResponse.json({ error: "not_found" }, { status: 404 });
+        }
+
+        const headers = { "Cache-Control": "private, no-store" };
+        if (new URL(req.url).searchParams.get("format") === "pdf") {
+            const pdf = await renderPreApprovalPdf(summary);
+            console.log(`[PreApproval] PDF ${reference} for ${session.email}`);
+            return new Response(pdf, {
+                headers: {
+                    ...headers,
+                    "Content-Type": "application/pdf",
+                    "Content-Disposition": `attachment; filename="pre-approval-${reference}.pdf"`,
+                },
+            });
+        }
+
+        const html = renderPreApprovalHtml(summary, { pdfUrl: `/api/preapprovals/${reference}?format=pdf` });
+        return new Response(html, { headers: { ...headers, "Content-Type": "text/html; charset=utf-8" } });
+    } catch (err) {
+        console.error("[PreApproval] Error:", err);
+        return NextResponse.json({ error: "server_error" }, { status: 500 });
+    }
+}
@@ -1,21 +1,65 @@
 "use client";
-import { useEffect, useRef, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useRouter } from "next/navigation";
+import { direction, t } from "@/lib/i18n";
+import LanguageSwitcher, { useLocale } from "./LanguageSwitcher";
+
+// Markdown links to our own pages ("[Download the PDF](/api/preapprovals/...)") become
+// real links; everything else stays plain text. Only same-site paths are linked.
+const LINK_PATTERN = /\[([^\]]+)\]\((\/[^\s)]*)\)/g;
+
+function renderWithLinks(text) {
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(LINK_PATTERN)) {
+        if (match.index > last) parts.push(text.slice(last, match.index));
+        parts.push(
+            <a key={match.index} href={match[2]} target="_blank" rel="noopener" className="font-medium text-blue-700 underline dark:text-blue-300">
+                {match[1]}
+            </a>
+        );
+        last = match.index + match[0].length;
+    }
+    if (last < text.length) parts.push(text.slice(last));
+    return parts;
+}
+
+// Parses a Server-Sent Events body, calling onEvent(name, data) per event
+async function readEventStream(res, onEvent) {
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = "";
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+            const frame = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            let event = "message";
+            let data = "";
+            for (const line of frame.split("\n")) {
+                if (line.startsWith("event: ")) event = line.slice(7);
+                else if (line.startsWith("data: ")) data += line.slice(6);
+            }
+            if (data) onEvent(event, JSON.parse(data));
+        }
+    }
+}
 
 export default function Chat() {
     const router = useRouter();
-    const [messages, setMessages] = useState([
-        {
-            role: "assistant",
-            content:
-                "Hi! I’m your mortgage buddy. Tell me anything.\n\nDon’t worry about typing — just upload your salary slip (image or PDF) and I’ll extract the numbers for you."
-        },
-    ]);
+    const [locale, setLocale] = useLocale();
+    // The greeting isn't stored, so it follows the language when that changes
+    const [messages, setMessages] = useState([]);
+    // Conversation history lives on the server; we only keep the thread id
+    const [threadId, setThreadId] = useState(null);
+    const [conversations, setConversations] = useState([]);
 
     const [input, setInput] = useState("");
     const [file, setFile] = useState(null);
-    const [sending, setSending] = useState(false); const [typingMessageIndex, setTypingMessageIndex] = useState(null);
-    const [displayedContent, setDisplayedContent] = useState({});
+    const [sending, setSending] = useState(false);
     const listEndRef = useRef(null);
 
     useEffect(() => {
@@ -23,85 +67,135 @@ export default function Chat() {
         if (listEndRef.current) {
             listEndRef.current.scrollIntoView({ behavior: "smooth" });
         }
-    }, [messages, displayedContent]);
+    }, [messages]);
 
-    // Typing animation effect for assistant messages
-    useEffect(() => {
-        if (typingMessageIndex === null) return;
+    const refreshConversations = useCallback(async () => {
+        try {
+            const res = await fetch("/api/conversations");
+            if (!res.ok) return;
+            const data = await res.json();
+            setConversations(data.conversations || []);
+        } catch (error) {
+            console.log("Conversations fetch error:", error);
+        }
+    }, []);
 
-        const message = messages[typingMessageIndex];
-        if (!message || message.role !== "assistant") {
-            setTypingMessageIndex(null);
-            return;
+    const openConversation = useCallback(async (id) => {
+        try {
+            const res = await fetch(`/api/conversations/${id}`);
+            if (!res.ok) {
+                localStorage.removeItem("threadId");
+                return;
+            }
+            const data = await res.json();
+            setThreadId(id);
+            localStorage.setItem("threadId", id);
+            setMessages(data.conversation.messages.map(({ role, content }) => ({ role, content })));
+        } catch (error) {
+            console.log("Conversation fetch error:", error);
         }
+    }, []);
 
-        const fullContent = message.content;
-        let currentIndex = 0;
+    // The account's language wins over whatever this browser last showed
+    const loadPreferences = useCallback(async () => {
+        try {
+            const res = await fetch("/api/account/preferences");
+            if (!res.ok) return;
+            const data = await res.json();
+            setLocale(data.preferences, { sync: false });
+        } catch (error) {
+            console.log("Preferences fetch error:", error);
+        }
+    }, [setLocale]);
 
-        const typingInterval = setInterval(() => {
-            if (currentIndex <= fullContent.length) {
-                setDisplayedContent((prev) => ({
-                    ...prev,
-                    [typingMessageIndex]: fullContent.slice(0, currentIndex),
-                }));
-                currentIndex++;
-            } else {
-                clearInterval(typingInterval);
-                setTypingMessageIndex(null);
-            }
-        }, 20); // 20ms per character for smooth typing
+    // Pick up where the user left off after a refresh
+    useEffect(() => {
+        loadPreferences();
+        refreshConversations();
+        const saved = localStorage.getItem("threadId");
+        if (saved) openConversation(saved);
+    }, [loadPreferences, refreshConversations, openConversation]);
 
-        return () => clearInterval(typingInterval);
-    }, [typingMessageIndex, messages]);
+    const startNewConversation = () => {
+        setThreadId(null);
+        localStorage.removeItem("threadId");
+        setMessages([]);
+    };
+
+    const removeConversation = async (id) => {
+        try {
+            await fetch(`/api/conversations/${id}`, { method: "DELETE" });
+        } catch (error) {
+            console.log("Conversation delete error:", error);
+        }
+        if (id === threadId) startNewConversation();
+        refreshConversations();
+    };
 
     const sendMessage = (e) => {
         e.preventDefault();
         const text = input.trim();
-        if (!text && !file) return;
-        setMessages((prev) => [...prev, { role: "user", content: text || "Uploaded file" }]);
+        if (sending || (!text && !file)) return;
+        setMessages((prev) => [...prev, { role: "user", content: text || t(locale, "chat.uploadedFile") }]);
         setInput("");
         setSending(true);
 
-        // Add a temporary "thinking" message
-        const thinkingIndex = messages.length + 1;
-        setMessages((prev) => [...prev, { role: "assistant", content: "..." }]);
+        // Placeholder assistant message that fills in as events arrive
+        setMessages((prev) => [...prev, { role: "assistant", content: "", status: null, streaming: true }]);
+        const updateReply = (patch) =>
+            setMessages((prev) => {
+                const updated = [...prev];
+                const last = updated[updated.length - 1];
+                updated[updated.length - 1] = { ...last, ...(typeof patch === "function" ? patch(last) : patch) };
+                return updated;
+            });
+        const failed = { content: t(locale, "chat.failed"), streaming: false, status: null };
+
+        const rememberThread = (id) => {
+            if (!id) return;
+            setThreadId(id);
+            localStorage.setItem("threadId", id);
+            refreshConversations();
+        };
 
-        const sendToAPI = (text, fileData, mimeType) => {
+        const sendToAPI = async (text, fileData, mimeType) => {
             console.log("Sending to API", { text, hasFile: !!fileData });
-            fetch("/api/chat", {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ messages: [...messages, { role: "user", content: text }], file: fileData ? { data: fileData, mimeType } : null }),
-            })
-                .then(async (res) => {
-                    console.log("Fetch response status:", res.status);
-                    const data = await res.json();
-                    console.log("Response data:", data);
-                    const msg = data?.message || { role: "assistant", content: "(No response)" };
+            try {
+                const res = await fetch("/api/chat", {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", Accept: "text/event-stream" },
+                    body: JSON.stringify({ threadId, message: text, file: fileData ? { data: fileData, mimeType } : null }),
+                });
+                console.log("Fetch response status:", res.status);
 
-                    // Replace the "thinking" message with the actual response
-                    setMessages((prev) => {
-                        const updated = [...prev];
-                        updated[updated.length - 1] = msg;
-                        return updated;
-                    });
+                // Errors (auth, bad payload) still come back as plain JSON
+                if (!res.headers.get("content-type")?.includes("text/event-stream")) {
+                    const data = await res.json();
+                    rememberThread(data?.threadId);
+                    updateReply({ ...(data?.message || { role: "assistant", content: t(locale, "chat.noResponse") }), streaming: false, status: null });
+                    return;
+                }
 
-                    // Trigger typing animation for the new message
-                    setTypingMessageIndex(thinkingIndex);
-                })
-                .catch((error) => {
-                    console.log("Fetch error:", error);
-                    setMessages((prev) => {
-                        const updated = [...prev];
-                        updated[updated.length - 1] = {
-                            role: "assistant",
-                            content: "Oops, something went wrong hitting the backend."
-                        };
-                        return updated;
-                    });
-                    setTypingMessageIndex(thinkingIndex);
-                })
-                .finally(() => setSending(false));
+                await readEventStream(res, (event, data) => {
+                    if (event === "status") {
+                        updateReply({ status: data.label });
+                    } else if (event === "delta") {
+                        updateReply((last) => ({ content: last.content + data.text }));
+                    } else if (event === "done") {
+                        rememberThread(data.threadId);
+                        // The final message is authoritative, whatever the deltas added up to
+                        updateReply({ ...data.message, streaming: false, status: null });
+                    } else if (event === "error") {
+                        updateReply(failed);
+                    }
+                });
+            } catch (error) {
+                console.log("Fetch error:", error);
+                updateReply(failed);
+            } finally {
+                updateReply({ streaming: false });
+                setSending(false);
+            }
         };
 
         // Read file as base64 if present
@@ -124,71 +218,119 @@ export default function Chat() {
             await fetch("/api/auth/logout", { method: "POST" });
             localStorage.removeItem("token");
             localStorage.removeItem("user");
+            localStorage.removeItem("threadId");
             router.push("/login");
         } catch (error) {
             console.error("Logout error:", error);
             // Still clear local data and redirect
             localStorage.removeItem("token");
             localStorage.removeItem("user");
+            localStorage.removeItem("threadId");
             router.push("/login");
         }
     };
 
     return (
-        <div className="flex w-full max-w-5xl flex-col rounded-xl border border-zinc-200 bg-white p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900">
+        <div dir={direction(locale)} className="flex w-full max-w-5xl flex-col rounded-xl border border-zinc-200 bg-white p-6 shadow-sm dark:border-zinc-800 dark:bg-zinc-900">
             <header className="mb-4 flex items-center justify-between">
                 <div>
-                    <h2 className="text-lg font-semibold text-zinc-900 dark:text-zinc-100">Mortgage Assistant</h2>
-                    <p className="text-sm text-zinc-600 dark:text-zinc-400">Buy vs Rent analysis powered by Gemini</p>
+                    <h2 className="text-lg font-semibold text-zinc-900 dark:text-zinc-100">{t(locale, "chat.title")}</h2>
+                    <p className="text-sm text-zinc-600 dark:text-zinc-400">{t(locale, "chat.subtitle")}</p>
+                </div>
+                <div className="flex items-center gap-2">
+                    <LanguageSwitcher locale={locale} onChange={setLocale} />
+                    <button
+                        onClick={handleLogout}
+                        className="cursor-pointer rounded-lg border border-zinc-300 bg-white px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-700"
+                        aria-label={t(locale, "chat.logout")}
+                    >
+                        {t(locale, "chat.logout")}
+                    </button>
                 </div>
-                <button
-                    onClick={handleLogout}
-                    className="cursor-pointer rounded-lg border border-zinc-300 bg-white px-4 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-700"
-                    aria-label="Logout"
-                >
-                    Logout
-                </button>
             </header>
 
-            <section className="h-[70vh] overflow-y-auto rounded-lg border border-zinc-200 p-4 dark:border-zinc-800">
-                <ul className="space-y-3" aria-live="polite" role="log" aria-label="Chat messages">
-                    {messages.map((m, i) => {
-                        const isTyping = typingMessageIndex === i;
-                        const content = isTyping ? displayedContent[i] || "" : m.content;
-                        const showCursor = isTyping && content.length < m.content.length;
-
-                        return (
-                            <li key={i}>
-                                <div
+            <div className="flex gap-4">
+                <aside className="hidden h-[70vh] w-56 shrink-0 flex-col gap-2 overflow-y-auto md:flex" aria-label={t(locale, "chat.savedConversations")}>
+                    <button
+                        onClick={startNewConversation}
+                        className="cursor-pointer rounded-lg border border-zinc-300 bg-white px-3 py-2 text-sm font-medium text-zinc-700 hover:bg-zinc-50 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-300 dark:hover:bg-zinc-700"
+                    >
+                        {t(locale, "chat.newAnalysis")}
+                    </button>
+                    <ul className="space-y-1">
+                        {conversations.map((c) => (
+                            <li key={c.threadId} className="group flex items-center gap-1">
+                                <button
+                                    onClick={() => openConversation(c.threadId)}
                                     className={
-                                        m.role === "user"
-                                            ? "ml-auto max-w-[80%] rounded-2xl bg-zinc-100 px-3 py-2 text-zinc-900 dark:bg-zinc-800 dark:text-zinc-100"
-                                            : "mr-auto max-w-[80%] rounded-2xl bg-blue-50 px-3 py-2 text-zinc-900 dark:bg-blue-900/30 dark:text-zinc-100"
+                                        "flex-1 cursor-pointer truncate rounded-lg px-3 py-2 text-start text-sm " +
+                                        (c.threadId === threadId
+                                            ? "bg-zinc-100 font-medium text-zinc-900 dark:bg-zinc-800 dark:text-zinc-100"
+                                            : "text-zinc-600 hover:bg-zinc-50 dark:text-zinc-400 dark:hover:bg-zinc-800")
                                     }
+                                    title={c.title}
                                 >
-                                    <span className="mb-1 block text-xs font-medium text-zinc-500 dark:text-zinc-400">
-                                        {m.role === "user" ? "You" : "Assistant"}
-                                    </span>
-                                    <p className="whitespace-pre-wrap text-sm leading-relaxed">
-                                        {content}
-                                        {showCursor && (
-                                            <span className="inline-block h-4 w-[2px] bg-zinc-900 dark:bg-zinc-100 animate-pulse ml-0.5" />
-                                        )}
-                                        {m.content === "..." && (
-                                            <span className="inline-flex gap-1">
-                                                <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "0ms" }} />
-                                                <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "150ms" }} />
-                                                <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "300ms" }} />
+                                    {c.title}
+                                </button>
+                                <button
+                                    onClick={() => removeConversation(c.threadId)}
+                                    className="cursor-pointer px-1 text-zinc-400 opacity-0 hover:text-red-600 group-hover:opacity-100"
+                                    aria-label={t(locale, "chat.deleteConversation", { title: c.title })}
+                                >
+                                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                                        <line x1="18" y1="6" x2="6" y2="18" />
+                                        <line x1="6" y1="6" x2="18" y2="18" />
+                                    </svg>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </aside>
+
+                <section className="h-[70vh] flex-1 overflow-y-auto rounded-lg border border-zinc-200 p-4 dark:border-zinc-800">
+                    <ul className="space-y-3" aria-live="polite" role="log" aria-label={t(locale, "chat.messages")}>
+                        {[{ role: "assistant", content: t(locale, "chat.greeting") }, ...messages].map((m, i) => {
+                            const waiting = m.streaming && !m.content;
+
+                            return (
+                                <li key={i}>
+                                    <div
+                                        className={
+                                            m.role === "user"
+                                                ? "ms-auto max-w-[80%] rounded-2xl bg-zinc-100 px-3 py-2 text-zinc-900 dark:bg-zinc-800 dark:text-zinc-100"
+                                                : "me-auto max-w-[80%] rounded-2xl bg-blue-50 px-3 py-2 text-zinc-900 dark:bg-blue-900/30 dark:text-zinc-100"
+                                        }
+                                    >
+                                        <span className="mb-1 block text-xs font-medium text-zinc-500 dark:text-zinc-400">
+                                            {m.role === "user" ? t(locale, "chat.you") : t(locale, "chat.assistant")}
+                                        </span>
+                                        {m.streaming && m.status && (
+                                            <span className="mb-1 block text-xs italic text-zinc-500 dark:text-zinc-400" role="status">
+                                                {m.status}
                                             </span>
                                         )}
-                                    </p>
-                                </div>
-                            </li>
-                        );
-                    })}
-                    <li ref={listEndRef} />
-                </ul>
-            </section>
+                                        {/* Older messages may be in the other language, so each one sets its own direction */}
+                                        <p dir="auto" className="whitespace-pre-wrap text-sm leading-relaxed">
+                                            {renderWithLinks(m.content)}
+                                            {m.streaming && m.content && (
+                                                <span className="inline-block h-4 w-[2px] bg-zinc-900 dark:bg-zinc-100 animate-pulse ms-0.5" />
+                                            )}
+                                            {waiting && (
+                                                <span className="inline-flex gap-1">
+                                                    <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "0ms" }} />
+                                                    <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "150ms" }} />
+                                                    <span className="w-1.5 h-1.5 bg-zinc-400 rounded-full animate-bounce" style={{ animationDelay: "300ms" }} />
+                                                </span>
+                                            )}
+                                        </p>
+                                    </div>
+                                </li>
+                            );
+                        })}
+                        <li ref={listEndRef} />
+                    </ul>
+                </section>
+            </div>
 
             <form onSubmit={sendMessage} className="mt-4 flex gap-2">
                 <input
@@ -205,12 +347,13 @@ export default function Chat() {
                         onKeyDown={(e) => {
                             if (e.key === "Enter" && !e.shiftKey) {
                                 e.preventDefault();
-                                sendMessage(e);
+                                // Same rule as the send button: one message at a time while a reply streams
+                                if (!sending) sendMessage(e);
                             }
                         }}
-                        placeholder="Type a message… (Shift+Enter for new line)"
-                        aria-label="Chat message input"
-                        className="w-full rounded-lg border border-zinc-300 bg-white px-3 py-2 pr-10 text-sm outline-none focus:border-zinc-500 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-100 resize-none"
+                        placeholder={t(locale, "chat.placeholder")}
+                        aria-label={t(locale, "chat.inputLabel")}
+                        className="w-full rounded-lg border border-zinc-300 bg-white px-3 py-2 pe-10 text-sm outline-none focus:border-zinc-500 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-100 resize-none"
                         rows={1}
                         style={{ minHeight: "2.5rem", maxHeight: "10rem" }}
                         onInput={(e) => {
@@ -221,8 +364,8 @@ export default function Chat() {
                     <button
                         type="button"
                         onClick={() => document.getElementById('file-upload').click()}
-                        className="cursor-pointer absolute right-2 top-2 text-zinc-500 hover:text-zinc-700 dark:text-zinc-400 dark:hover:text-zinc-200"
-                        aria-label="Upload file"
+                        className="cursor-pointer absolute end-2 top-2 text-zinc-500 hover:text-zinc-700 dark:text-zinc-400 dark:hover:text-zinc-200"
+                        aria-label={t(locale, "chat.uploadFile")}
                     >
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                             <path d="M21.44 11.05l-9.19 9.19a6 6 0 0 1-8.49-8.49l9.19-9.19a4 4 0 0 1 5.66 5.66l-9.2 9.19a2 2 0 0 1-2.83-2.83l8.49-8.48" />
@@ -239,7 +382,7 @@ export default function Chat() {
                         <button
                             onClick={() => setFile(null)}
                             className="cursor-pointer text-zinc-500 hover:text-zinc-700 dark:text-zinc-400 dark:hover:text-zinc-200"
-                            aria-label="Remove file"
+                            aria-label={t(locale, "chat.removeFile")}
                         >
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
                                 <line x1="18" y1="6" x2="6" y2="18" />
@@ -254,7 +397,7 @@ export default function Chat() {
                     disabled={sending}
                     aria-busy={sending}
                 >
-                    {sending ? "Sending…" : "Send"}
+                    {sending ? t(locale, "chat.sending") : t(locale, "chat.send")}
                 </button>
             </form>
         </div>
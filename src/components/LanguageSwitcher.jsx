@@ -0,0 +1,96 @@
+"use client";
+import { useCallback, useEffect, useMemo, useSyncExternalStore } from "react";
+import { DEFAULT_LOCALE, LANGUAGES, NUMERAL_SYSTEMS, direction, resolveLocale, t } from "@/lib/i18n";
+
+// Each language is named in itself, so it can be found whatever is showing now
+const LANGUAGE_NAMES = { en: "English", ar: "العربية" };
+const NUMERAL_SAMPLES = { latn: "123", arab: "١٢٣" };
+
+const STORAGE_KEY = "locale";
+const CHANGE_EVENT = "localechange";
+
+// localStorage is the store: other tabs report changes through "storage", this one through CHANGE_EVENT
+function subscribe(onChange) {
+    window.addEventListener("storage", onChange);
+    window.addEventListener(CHANGE_EVENT, onChange);
+    return () => {
+        window.removeEventListener("storage", onChange);
+        window.removeEventListener(CHANGE_EVENT, onChange);
+    };
+}
+
+function parseSaved(raw) {
+    try {
+        return resolveLocale(JSON.parse(raw));
+    } catch {
+        return DEFAULT_LOCALE;
+    }
+}
+
+/**
+ * The UI locale ({ language, numerals }) and a setter. The choice is kept
+ * in localStorage for the auth pages and, once signed in, saved on the
+ * account (pass { sync: false } to skip that). <html> gets the matching
+ * lang and dir so the whole page flips to right-to-left for Arabic.
+ */
+export function useLocale() {
+    // The server render has no localStorage, so it always starts in the default locale
+    const raw = useSyncExternalStore(subscribe, () => localStorage.getItem(STORAGE_KEY), () => null);
+    const locale = useMemo(() => parseSaved(raw), [raw]);
+
+    useEffect(() => {
+        document.documentElement.lang = locale.language;
+        document.documentElement.dir = direction(locale);
+    }, [locale]);
+
+    const setLocale = useCallback((next, { sync = true } = {}) => {
+        const resolved = resolveLocale({ ...parseSaved(localStorage.getItem(STORAGE_KEY)), ...next });
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(resolved));
+        window.dispatchEvent(new Event(CHANGE_EVENT));
+        if (sync) {
+            fetch("/api/account/preferences", {
+                method: "PATCH",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(resolved),
+            }).catch((error) => console.log("Preferences save error:", error));
+        }
+    }, []);
+
+    return [locale, setLocale];
+}
+
+export default function LanguageSwitcher({ locale, onChange }) {
+    const selectClass =
+        "cursor-pointer rounded-lg border border-zinc-300 bg-white px-2 py-1.5 text-sm text-zinc-700 dark:border-zinc-700 dark:bg-zinc-800 dark:text-zinc-300";
+
+    return (
+        <div className="flex items-center gap-2">
+            <select
+                value={locale.language}
+                onChange={(e) => onChange({ language: e.target.value })}
+                className={selectClass}
+                aria-label={t(locale, "settings.language")}
+            >
+                {LANGUAGES.map((language) => (
+                    <option key={language} value={language} lang={language}>
+                        {LANGUAGE_NAMES[language]}
+                    </option>
+                ))}
+            </select>
+            {locale.language === "ar" && (
+                <select
+                    value={locale.numerals}
+                    onChange={(e) => onChange({ numerals: e.target.value })}
+                    className={selectClass}
+                    aria-label={t(locale, "settings.numerals")}
+                >
+                    {NUMERAL_SYSTEMS.map((numerals) => (
+                        <option key={numerals} value={numerals}>
+                            {NUMERAL_SAMPLES[numerals]}
+                        </option>
+                    ))}
+                </select>
+            )}
+        </div>
+    );
+}
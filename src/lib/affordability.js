@@ -0,0 +1,83 @@
+import { getAssumptions } from "./assumptions";
+import { clampTenureYears, isRateSchedule, levelPayment, normalizeRateSchedule, calculateEMI } from "./emi";
+
+// The DBR limit, credit-card factor and stress buffer come from the
+// assumption set (affordability.*, interest.stressBuffer)
+
+export function monthlyLiabilities({ carLoanEmi = 0, personalLoanEmi = 0, otherEmi = 0, creditCardLimits = 0 } = {}) {
+    // Banks count a share of every credit card limit as a monthly liability, used or not
+    const cardFactor = getAssumptions().affordability.creditCardLimitFactor;
+    const items = [
+        { id: "car_loan", label: "Car loan EMI", amount: Number(carLoanEmi || 0) },
+        { id: "personal_loan", label: "Personal loan EMI", amount: Number(personalLoanEmi || 0) },
+        { id: "other_emi", label: "Other loan EMIs", amount: Number(otherEmi || 0) },
+        {
+            id: "credit_cards",
+            label: `Credit cards (${+(cardFactor * 100).toFixed(2)}% of AED ${Number(creditCardLimits || 0).toLocaleString()} limits)`,
+            amount: Number(creditCardLimits || 0) * cardFactor,
+        },
+    ].filter((i) => i.amount > 0);
+    return { items, total: items.reduce((sum, i) => sum + i.amount, 0) };
+}
+
+// Highest rate the loan can be charged, plus the stress buffer
+export function stressRateFor(annualRate, buffer = getAssumptions().interest.stressBuffer) {
+    if (isRateSchedule(annualRate)) {
+        const s = normalizeRateSchedule(annualRate);
+        return Math.max(s.fixedRate, s.variableRate) + buffer;
+    }
+    return Number(annualRate || getAssumptions().interest.defaultRate) + buffer;
+}
+
+// Largest loan whose EMI fits `monthlyPayment` at `annualRate` over the tenure
+export function loanForPayment(monthlyPayment, annualRate, tenureYears) {
+    const pmt = Number(monthlyPayment || 0);
+    const n = Math.round(clampTenureYears(tenureYears) * 12);
+    const r = Number(annualRate) / 12;
+    if (pmt <= 0 || n <= 0) return 0;
+    if (r <= 0) return pmt * n;
+    return (pmt * (1 - Math.pow(1 + r, -n))) / r;
+}
+
+/**
+ * Debt-burden-ratio check the way UAE banks run it: stressed EMI plus existing
+ * liabilities must stay within the DBR limit (50% of monthly income by default).
+ */
+export function assessAffordability({
+    monthlyIncome,
+    loanAmount,
+    annualRate,
+    tenureYears,
+    liabilities = {},
+    stressBuffer = getAssumptions().interest.stressBuffer,
+}) {
+    const { dbrLimit } = getAssumptions().affordability;
+    const income = Number(monthlyIncome || 0);
+    const loan = Number(loanAmount || 0);
+    const n = Math.round(clampTenureYears(tenureYears) * 12);
+    if (income <= 0) return { error: "missing_income" };
+
+    const debts = monthlyLiabilities(liabilities);
+    const stressRate = stressRateFor(annualRate, stressBuffer);
+    const actualEmi = calculateEMI(loan, annualRate, tenureYears).monthlyEmi;
+    const stressedEmi = levelPayment(loan, stressRate, n);
+    const dbr = (stressedEmi + debts.total) / income;
+    const maxAllowedEmi = Math.max(0, income * dbrLimit - debts.total);
+    const maxLoan = loanForPayment(maxAllowedEmi, stressRate, tenureYears);
+
+    return {
+        monthlyIncome: income,
+        dbrLimit,
+        stressRate,
+        actualEmi,
+        stressedEmi,
+        liabilities: debts,
+        dbr,
+        passes: dbr <= dbrLimit,
+        maxAllowedEmi,
+        emiHeadroom: maxAllowedEmi - stressedEmi, // negative = shortfall
+        maxLoan,
+        loanHeadroom: maxLoan - loan, // negative = loan must shrink by this much
+        incomeNeeded: (stressedEmi + debts.total) / dbrLimit,
+    };
+}
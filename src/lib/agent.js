@@ -1,58 +1,189 @@
-import { GoogleGenerativeAI } from "@google/generative-ai";
 import { z } from "zod";
-import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+import { getAssumptions } from "./assumptions";
+
+// Minimal tool schemas using Zod for validation.
+// Defaults and the tenure cap come from the active assumption set at parse time.
+const withinTenureCap = (years) => years <= getAssumptions().tenure.maxYears;
+const TenureInput = z
+    .number()
+    .min(1)
+    .refine(withinTenureCap, { message: "Tenure exceeds the maximum allowed" })
+    .default(() => getAssumptions().tenure.defaultYears);
+
+// Fixed-then-variable products: fixed rate for N years, then reference rate (EIBOR) + margin
+const RateScheduleInput = z.object({
+    fixedYears: z.number().min(0).refine(withinTenureCap, { message: "Fixed period exceeds the maximum tenure" }),
+    fixedRate: z.number().positive(),
+    referenceRate: z.number().min(0).optional(),
+    margin: z.number().min(0).default(0),
+    floorRate: z.number().min(0).optional(),
+    capRate: z.number().positive().optional(),
+    resetMonths: z.number().int().min(1).max(60).default(12),
+});
+
+const RateInput = z.union([z.number().min(0), RateScheduleInput]).default(() => getAssumptions().interest.defaultRate);
+
+const BuyerProfileInput = z.object({
+    residency: z.enum(["expat", "national", "non_resident"]).optional(),
+    firstHome: z.boolean().optional(),
+    offPlan: z.boolean().optional(),
+});
 
-// Minimal tool schemas using Zod for validation
 const EmiInput = z.object({
     price: z.number().positive(),
     downPayment: z.number().min(0),
-    annualRate: z.number().min(0).default(0.045),
-    tenureYears: z.number().min(1).max(25).default(25),
+    annualRate: RateInput,
+    tenureYears: TenureInput,
+    profile: BuyerProfileInput.default({}),
+    emirate: z.enum(EMIRATES).default("dubai"),
 });
 
 const BuyVsRentInput = z.object({
     stayYears: z.number().min(0),
     monthlyRent: z.number().min(0),
-    monthlyInterestPortion: z.number().min(0),
+    price: z.number().positive(),
+    downPayment: z.number().min(0),
+    loanAmount: z.number().min(0),
+    annualRate: RateInput,
+    tenureYears: TenureInput,
+    upfrontCosts: z.number().min(0).default(0),
     maintenanceEstimate: z.number().min(0).default(0),
+    rentEscalation: z
+        .discriminatedUnion("mode", [
+            z.object({ mode: z.literal("none") }),
+            z.object({ mode: z.literal("fixed"), rate: z.number().min(0).max(1) }),
+            z.object({
+                mode: z.literal("rera"),
+                area: z.string().optional(),
+                unitType: z.string().optional(),
+                indexAnnualRent: z.number().positive().optional(),
+                indexGrowthRate: z.number().optional(),
+            }),
+        ])
+        .default({ mode: "none" }),
+    appreciationRate: z.number().optional(),
+    sellingCostRate: z.number().min(0).optional(),
+    discountRate: z.number().min(0).optional(),
 });
 
-import { enforceLTV, calculateEMI } from "./emi";
-import { buyVsRentRecommendation } from "./buyVsRent";
+const PrepaymentInput = z.object({
+    loanAmount: z.number().positive(),
+    annualRate: RateInput,
+    tenureYears: TenureInput,
+    lumpSums: z
+        .array(z.object({ month: z.number().int().min(1), amount: z.number().positive() }))
+        .default([]),
+    recurring: z
+        .object({
+            amount: z.number().positive(),
+            everyMonths: z.number().int().min(1).default(12),
+            startMonth: z.number().int().min(1).optional(),
+            endMonth: z.number().int().min(1).optional(),
+        })
+        .nullable()
+        .default(null),
+    mode: z.enum(["reduce_tenure", "reduce_emi"]).default("reduce_tenure"),
+    startDate: z.string().optional(),
+});
 
-export function getGeminiClient() {
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) throw new Error("Missing GOOGLE_API_KEY env");
-    return new GoogleGenerativeAI(apiKey);
-}
+const LiabilitiesInput = z.object({
+    carLoanEmi: z.number().min(0).default(0),
+    personalLoanEmi: z.number().min(0).default(0),
+    otherEmi: z.number().min(0).default(0),
+    creditCardLimits: z.number().min(0).default(0),
+});
 
-export function getLCGeminiModel() {
-    const apiKey = process.env.GOOGLE_API_KEY;
-    if (!apiKey) throw new Error("Missing GOOGLE_API_KEY env");
-    return new ChatGoogleGenerativeAI({
-        apiKey,
-        // Prefer a valid default if GEMINI_MODEL is unset or misconfigured
-        model: process.env.GEMINI_MODEL || "gemini-1.5-flash",
-        temperature: 0.2,
-    });
+const AffordabilityInput = z.object({
+    monthlyIncome: z.number().positive(),
+    loanAmount: z.number().min(0),
+    annualRate: RateInput,
+    tenureYears: TenureInput,
+    liabilities: LiabilitiesInput.default({}),
+    stressBuffer: z.number().min(0).optional(),
+});
+
+const MaxPriceInput = z.object({
+    monthlyIncome: z.number().positive(),
+    savings: z.number().min(0),
+    liabilities: LiabilitiesInput.default({}),
+    tenureYears: TenureInput,
+    annualRate: RateInput,
+    profile: BuyerProfileInput.default({}),
+    emirate: z.enum(EMIRATES).default("dubai"),
+});
+
+import {
+    enforceLTV,
+    calculateEMI,
+    buildAmortizationSchedule,
+    summarizeScheduleByYear,
+    scheduleTotals,
+    describeRateResets,
+} from "./emi";
+import { buyVsRentRecommendation } from "./buyVsRent";
+import { simulatePrepayment } from "./prepayment";
+import { calculateUpfrontCosts, EMIRATES } from "./upfrontCosts";
+import { assessAffordability } from "./affordability";
+import { solveMaxPropertyPrice } from "./priceSolver";
+
+// Validation failures as { error, issues: [{ field, message }] }, so the caller can pass them on to the model
+function invalidInput(error) {
+    return {
+        error: "invalid_input",
+        issues: error.issues.map((issue) => ({ field: issue.path.join("."), message: issue.message })),
+    };
 }
 
 export async function runEmiTool(input) {
     const parsed = EmiInput.safeParse(input);
-    if (!parsed.success) return { error: "invalid_input", details: parsed.error.flatten() };
-    const { price, downPayment, annualRate, tenureYears } = parsed.data;
-    const { loanAmount, issues, upfrontCostEstimate } = enforceLTV(price, downPayment);
+    if (!parsed.success) return invalidInput(parsed.error);
+    const { price, downPayment, annualRate, tenureYears, profile, emirate } = parsed.data;
+    const { loanAmount, issues, maxLtv, minDownPayment, ltvRule } = enforceLTV(price, downPayment, profile);
+    const upfrontCosts = calculateUpfrontCosts({ price, loanAmount, emirate });
     const emi = calculateEMI(loanAmount, annualRate, tenureYears);
-    return { loanAmount, upfrontCostEstimate, issues, ...emi };
+    const schedule = buildAmortizationSchedule(loanAmount, annualRate, tenureYears);
+    const { totalPaid, totalInterest } = scheduleTotals(schedule);
+    return {
+        loanAmount,
+        upfrontCostEstimate: upfrontCosts.total,
+        upfrontCosts,
+        issues,
+        maxLtv,
+        minDownPayment,
+        ltvRule,
+        ...emi,
+        totalAmountPaid: totalPaid,
+        totalInterest,
+        yearlySchedule: summarizeScheduleByYear(schedule),
+        rateResets: describeRateResets(schedule),
+    };
 }
 
 export async function runBuyVsRentTool(input) {
     const parsed = BuyVsRentInput.safeParse(input);
-    if (!parsed.success) return { error: "invalid_input", details: parsed.error.flatten() };
+    if (!parsed.success) return invalidInput(parsed.error);
     return buyVsRentRecommendation(parsed.data);
 }
 
+export async function runPrepaymentTool(input) {
+    const parsed = PrepaymentInput.safeParse(input);
+    if (!parsed.success) return invalidInput(parsed.error);
+    return simulatePrepayment(parsed.data);
+}
+
+export async function runAffordabilityTool(input) {
+    const parsed = AffordabilityInput.safeParse(input);
+    if (!parsed.success) return invalidInput(parsed.error);
+    return assessAffordability(parsed.data);
+}
+
+export async function runMaxPriceTool(input) {
+    const parsed = MaxPriceInput.safeParse(input);
+    if (!parsed.success) return invalidInput(parsed.error);
+    return solveMaxPropertyPrice(parsed.data);
+}
+
 // Orchestration note:
 // We will plug these tools into a LangGraph graph where the LLM node handles intent/empathy
 // and routes to tool nodes for deterministic math. This file provides the tool functions; the
-// graph/wiring can live in src/lib/graph.js.
+// graph/wiring can live in src/lib/graph.js, and the model itself comes from src/lib/llm.js.
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { runBuyVsRentTool, runEmiTool } from "./agent";
+
+describe("validated calculation tools", () => {
+    it("runs the EMI and buy-vs-rent calculations on valid input", async () => {
+        const emi = await runEmiTool({ price: 1_200_000, downPayment: 300_000, annualRate: 0.045, tenureYears: 25 });
+        expect(emi.loanAmount).toBe(900_000);
+        expect(emi.monthlyEmi).toBeGreaterThan(0);
+
+        const outcome = await runBuyVsRentTool({
+            stayYears: 10,
+            monthlyRent: 7_000,
+            price: 1_200_000,
+            downPayment: 300_000,
+            loanAmount: 900_000,
+            annualRate: 0.045,
+            tenureYears: 25,
+        });
+        expect(["buy", "rent"]).toContain(outcome.recommendation);
+    });
+
+    it("reports invalid input field by field instead of calculating", async () => {
+        expect(await runEmiTool({ price: -1, downPayment: 0, tenureYears: 99 })).toEqual({
+            error: "invalid_input",
+            issues: [
+                { field: "price", message: expect.any(String) },
+                { field: "tenureYears", message: "Tenure exceeds the maximum allowed" },
+            ],
+        });
+        const { error, issues } = await runBuyVsRentTool({ stayYears: 5, price: 1_000_000, downPayment: 200_000, loanAmount: 800_000 });
+        expect(error).toBe("invalid_input");
+        expect(issues.map((i) => i.field)).toEqual(["monthlyRent"]);
+    });
+});
@@ -0,0 +1,81 @@
+import { connectDB } from "./mongodb";
+import AssumptionSet from "@/models/AssumptionSet";
+import { getAssumptions, resolveAssumptions, setActiveAssumptions } from "./assumptions";
+
+// How long a loaded override is trusted before MongoDB is asked again
+const REFRESH_TTL_MS = 60_000;
+
+let lastRefresh = 0;
+
+const toOverride = (doc) => ({ ...doc.overrides, version: doc.version, effectiveFrom: doc.effectiveFrom });
+
+/**
+ * Loads the newest active admin override and makes it the active set, at
+ * most once per REFRESH_TTL_MS. Without an override (or if it no longer
+ * validates) the built-in defaults stay in force. Returns the active set.
+ */
+export async function refreshAssumptions({ force = false } = {}) {
+    if (!force && Date.now() - lastRefresh < REFRESH_TTL_MS) return getAssumptions();
+    lastRefresh = Date.now();
+
+    try {
+        await connectDB();
+        const doc = await AssumptionSet.findOne({ active: true }).sort({ createdAt: -1 }).lean();
+        if (!doc) {
+            setActiveAssumptions(null);
+            return getAssumptions();
+        }
+        const { assumptions, issues } = resolveAssumptions(toOverride(doc));
+        if (!assumptions) {
+            console.warn(`[ASSUMPTIONS] ⚠️ Ignoring invalid set ${doc.version}:`, issues);
+            setActiveAssumptions(null);
+        } else {
+            setActiveAssumptions(assumptions);
+        }
+    } catch (err) {
+        console.error("[ASSUMPTIONS] Could not load overrides, keeping the current set:", err.message);
+    }
+    return getAssumptions();
+}
+
+/**
+ * Validates and stores a new override, deactivating the previous ones, and
+ * applies it straight away. Returns { set, assumptions } or the validation
+ * error from resolveAssumptions.
+ */
+export async function publishAssumptionSet({ version, effectiveFrom, overrides = {}, note = "", createdBy = null }) {
+    const override = { ...overrides, version, effectiveFrom: effectiveFrom || new Date().toISOString().slice(0, 10) };
+    const resolved = resolveAssumptions(override);
+    if (resolved.error) return resolved;
+
+    await connectDB();
+    if (await AssumptionSet.exists({ version })) {
+        return { error: "version_exists", issues: [`version: ${version} has already been published`] };
+    }
+    await AssumptionSet.updateMany({ active: true }, { active: false });
+    const set = await AssumptionSet.create({
+        version,
+        effectiveFrom: override.effectiveFrom,
+        overrides,
+        note,
+        createdBy,
+    });
+
+    setActiveAssumptions(resolved.assumptions);
+    lastRefresh = Date.now();
+    return { set, assumptions: resolved.assumptions };
+}
+
+export async function listAssumptionSets() {
+    await connectDB();
+    const docs = await AssumptionSet.find().sort({ createdAt: -1 }).lean();
+    return docs.map(({ version, effectiveFrom, overrides, active, note, createdBy, createdAt }) => ({
+        version,
+        effectiveFrom,
+        overrides,
+        active,
+        note,
+        createdBy,
+        createdAt,
+    }));
+}
@@ -0,0 +1,345 @@
+import { z } from "zod";
+
+/* ============================================================
+   ASSUMPTIONS REGISTRY
+   ============================================================
+   Every number the calculations and their explanations assume lives in one
+   versioned set. Modules read it with getAssumptions() at call time, never
+   copy values into their own constants, so an admin override (stored in
+   MongoDB, see assumptionStore.js) takes effect everywhere at once. Results
+   carry assumptionStamp() so a number can be traced to the set behind it.
+
+   Bump `version` whenever a default below changes. */
+
+// UAE Central Bank mortgage caps as a declarative rule table.
+// Rules are evaluated top to bottom against the buyer profile and the first
+// match wins, so the more restrictive cases (off-plan, non-resident, second
+// home) sit above the first-home rules.
+//
+// `when` keys:
+//   residency   - "expat" | "national" | "non_resident" (string or array)
+//   firstHome   - boolean
+//   offPlan     - boolean
+//   priceAbove  - property price strictly greater than this (AED)
+//   priceAtMost - property price less than or equal to this (AED)
+
+const LTV_RULES = [
+    {
+        id: "off_plan",
+        label: "Off-plan property (max 50% LTV)",
+        when: { offPlan: true },
+        maxLtv: 0.5,
+    },
+    {
+        id: "non_resident",
+        label: "Non-resident buyer (max 60% LTV)",
+        when: { residency: "non_resident" },
+        maxLtv: 0.6,
+    },
+    {
+        id: "national_second_home",
+        label: "UAE national, second or subsequent home (max 65% LTV)",
+        when: { residency: "national", firstHome: false },
+        maxLtv: 0.65,
+    },
+    {
+        id: "expat_second_home",
+        label: "Expat resident, second or subsequent home (max 60% LTV)",
+        when: { residency: "expat", firstHome: false },
+        maxLtv: 0.6,
+    },
+    {
+        id: "national_first_home_up_to_5m",
+        label: "UAE national, first home up to AED 5M (max 85% LTV)",
+        when: { residency: "national", firstHome: true, priceAtMost: 5_000_000 },
+        maxLtv: 0.85,
+    },
+    {
+        id: "national_first_home_above_5m",
+        label: "UAE national, first home above AED 5M (max 75% LTV)",
+        when: { residency: "national", firstHome: true, priceAbove: 5_000_000 },
+        maxLtv: 0.75,
+    },
+    {
+        id: "expat_first_home_up_to_5m",
+        label: "Expat resident, first home up to AED 5M (max 80% LTV)",
+        when: { residency: "expat", firstHome: true, priceAtMost: 5_000_000 },
+        maxLtv: 0.8,
+    },
+    {
+        id: "expat_first_home_above_5m",
+        label: "Expat resident, first home above AED 5M (max 70% LTV)",
+        when: { residency: "expat", firstHome: true, priceAbove: 5_000_000 },
+        maxLtv: 0.7,
+    },
+];
+
+// Itemized purchase costs by emirate.
+// Each item is declarative: a percentage of the price or loan and/or a fixed
+// amount, optional VAT, and optional price bounds for tiered fees.
+//
+//   rate        - fraction applied to `of` ("price" | "loan")
+//   fixed       - flat AED amount added on top
+//   vat         - add UAE VAT (upfrontCosts.vatRate) on the item
+//   when        - { priceAtLeast, priceBelow } bounds for tiered fees
+//   financeOnly - only charged when there is a mortgage (implied for `of: "loan"`)
+
+const COMMON_FINANCE_ITEMS = [
+    { id: "agency_commission", label: "Agency commission", rate: 0.02, of: "price", vat: true },
+    { id: "bank_arrangement", label: "Bank arrangement fee", rate: 0.01, of: "loan", vat: true },
+    { id: "valuation", label: "Bank valuation fee", fixed: 3_000, vat: true, financeOnly: true },
+    { id: "conveyancing", label: "Conveyancing", fixed: 8_000 },
+];
+
+const UPFRONT_COST_SCHEDULES = {
+    dubai: {
+        label: "Dubai",
+        items: [
+            { id: "transfer_fee", label: "DLD transfer fee", rate: 0.04, of: "price" },
+            { id: "dld_admin", label: "DLD admin fee", fixed: 580 },
+            { id: "trustee_fee", label: "Trustee office fee", fixed: 4_000, vat: true, when: { priceAtLeast: 500_000 } },
+            { id: "trustee_fee", label: "Trustee office fee", fixed: 2_000, vat: true, when: { priceBelow: 500_000 } },
+            { id: "mortgage_registration", label: "Mortgage registration (DLD)", rate: 0.0025, of: "loan", fixed: 290 },
+            ...COMMON_FINANCE_ITEMS,
+        ],
+    },
+    abu_dhabi: {
+        label: "Abu Dhabi",
+        items: [
+            { id: "transfer_fee", label: "ADM transfer fee", rate: 0.02, of: "price" },
+            { id: "mortgage_registration", label: "Mortgage registration (ADM)", rate: 0.001, of: "loan" },
+            ...COMMON_FINANCE_ITEMS,
+        ],
+    },
+    sharjah: {
+        label: "Sharjah",
+        items: [
+            { id: "transfer_fee", label: "Sharjah Real Estate Registration transfer fee", rate: 0.04, of: "price" },
+            { id: "mortgage_registration", label: "Mortgage registration", rate: 0.0025, of: "loan" },
+            ...COMMON_FINANCE_ITEMS,
+        ],
+    },
+    // Ajman, Ras Al Khaimah, Umm Al Quwain, Fujairah
+    other: {
+        label: "Other emirates",
+        items: [
+            { id: "transfer_fee", label: "Land department transfer fee", rate: 0.04, of: "price" },
+            { id: "mortgage_registration", label: "Mortgage registration", rate: 0.0025, of: "loan" },
+            ...COMMON_FINANCE_ITEMS,
+        ],
+    },
+};
+
+// Dubai RERA rent-increase caps (Decree 43 of 2013): how far the current rent
+// sits below the index average for comparable units → maximum increase at
+// renewal. Checked top to bottom; 10% below the index or less allows none.
+const RERA_INCREASE_BRACKETS = [
+    { gapAbove: 0.4, maxIncrease: 0.2 },
+    { gapAbove: 0.3, maxIncrease: 0.15 },
+    { gapAbove: 0.2, maxIncrease: 0.1 },
+    { gapAbove: 0.1, maxIncrease: 0.05 },
+];
+
+// Local snapshot of average annual rents (AED) from the RERA rental index.
+// `growthRate` is how fast the index is assumed to move.
+const RENT_INDEX = {
+    asOf: "2026-09-30",
+    growthRate: 0.05,
+    areas: {
+        dubai_marina: { label: "Dubai Marina", studio: 80_000, "1br": 120_000, "2br": 175_000, "3br": 240_000 },
+        downtown_dubai: { label: "Downtown Dubai", studio: 90_000, "1br": 135_000, "2br": 210_000, "3br": 300_000 },
+        business_bay: { label: "Business Bay", studio: 75_000, "1br": 110_000, "2br": 160_000, "3br": 220_000 },
+        jumeirah_village_circle: { label: "Jumeirah Village Circle", studio: 55_000, "1br": 75_000, "2br": 110_000, "3br": 150_000 },
+        jumeirah_lake_towers: { label: "Jumeirah Lake Towers", studio: 65_000, "1br": 95_000, "2br": 140_000, "3br": 185_000 },
+        dubai_hills: { label: "Dubai Hills Estate", studio: 80_000, "1br": 115_000, "2br": 170_000, "3br": 250_000 },
+        international_city: { label: "International City", studio: 35_000, "1br": 48_000, "2br": 70_000 },
+    },
+};
+
+// AED per 1 unit of each currency. The dirham is pegged to the US dollar;
+// the others are snapshots and should be refreshed periodically.
+const FX_RATES = {
+    AED: 1,
+    USD: 3.6725,
+    EUR: 4.27,
+    GBP: 4.9,
+    INR: 0.0414,
+    PKR: 0.0131,
+    PHP: 0.0635,
+    EGP: 0.0756,
+    SAR: 0.9793,
+    CAD: 2.64,
+    AUD: 2.41,
+    CHF: 4.58,
+    CNY: 0.515,
+    ZAR: 0.207,
+    RUB: 0.045,
+};
+
+export const DEFAULT_ASSUMPTIONS = {
+    version: "2026.10.4",
+    effectiveFrom: "2026-10-18",
+    interest: {
+        defaultRate: 0.045, // flat annual rate when the user doesn't give one
+        referenceRate: 0.039, // 3M EIBOR for the variable period when none is supplied
+        stressBuffer: 0.02, // banks qualify the EMI at the highest product rate plus this
+    },
+    tenure: {
+        defaultYears: 25,
+        maxYears: 25, // UAE Central Bank cap
+    },
+    ltv: {
+        rules: LTV_RULES,
+        fallbackMaxLtv: 0.5, // conservative cap if no rule matches
+    },
+    upfrontCosts: {
+        vatRate: 0.05,
+        schedules: UPFRONT_COST_SCHEDULES,
+    },
+    affordability: {
+        dbrLimit: 0.5, // total monthly debt repayments may not exceed this share of income
+        creditCardLimitFactor: 0.05, // share of every card limit banks count as a monthly liability
+    },
+    buyVsRent: {
+        appreciationRate: 0.02, // annual property price growth
+        sellingCostRate: 0.02, // agency commission etc. when selling at exit
+        discountRate: 0.05, // annual return the cash could earn elsewhere
+        maxBreakEvenYears: 30,
+    },
+    earlySettlement: {
+        feeRate: 0.01, // UAE Central Bank cap: share of the outstanding balance charged per early settlement
+        feeCap: 10_000, // ...and at most this much (AED) per settlement
+    },
+    rent: {
+        increaseBrackets: RERA_INCREASE_BRACKETS,
+        index: RENT_INDEX,
+    },
+    fx: {
+        asOf: "2026-10-01",
+        rates: FX_RATES,
+    },
+    softClose: {
+        minStayYears: 5, // offer pre-qualification only when buying wins over at least this stay
+        summaryValidityDays: 30, // a pre-approval summary expires this long after it is issued
+        readyScore: 70, // readiness score (0-100) needed for the pre-qualification offer
+        maxOffers: 3, // times the offer may be made in one conversation
+        maxSavingsGap: 0.2, // a "save X more" nudge only when X is at most this share of the price
+    },
+    narrative: {
+        ferrariPriceAED: 350_000, // "rent burned" comparison in the opportunity-cost blurb
+    },
+};
+
+const Fraction = z.number().min(0).max(1);
+
+const AssumptionSetSchema = z.object({
+    version: z.string().min(1),
+    effectiveFrom: z.string().min(1),
+    interest: z.object({ defaultRate: Fraction, referenceRate: Fraction, stressBuffer: Fraction }),
+    tenure: z
+        .object({ defaultYears: z.number().int().min(1), maxYears: z.number().int().min(1).max(35) })
+        .refine((t) => t.defaultYears <= t.maxYears, { message: "defaultYears must not exceed maxYears" }),
+    ltv: z.object({
+        rules: z
+            .array(z.object({ id: z.string(), label: z.string(), when: z.record(z.string(), z.any()), maxLtv: Fraction }))
+            .min(1),
+        fallbackMaxLtv: Fraction,
+    }),
+    upfrontCosts: z.object({
+        vatRate: Fraction,
+        schedules: z
+            .record(
+                z.string(),
+                z.object({
+                    label: z.string(),
+                    items: z.array(
+                        z.object({
+                            id: z.string(),
+                            label: z.string(),
+                            rate: z.number().min(0).max(1).optional(),
+                            of: z.enum(["price", "loan"]).optional(),
+                            fixed: z.number().min(0).optional(),
+                            vat: z.boolean().optional(),
+                            financeOnly: z.boolean().optional(),
+                            when: z.object({ priceAtLeast: z.number().optional(), priceBelow: z.number().optional() }).optional(),
+                        })
+                    ),
+                })
+            )
+            .refine((s) => s.dubai && s.other, { message: "schedules must include dubai and other" }),
+    }),
+    affordability: z.object({ dbrLimit: Fraction, creditCardLimitFactor: Fraction }),
+    buyVsRent: z.object({
+        appreciationRate: z.number().min(-0.5).max(0.5),
+        sellingCostRate: Fraction,
+        discountRate: z.number().min(0).max(0.5),
+        maxBreakEvenYears: z.number().int().min(1).max(50),
+    }),
+    earlySettlement: z.object({ feeRate: Fraction, feeCap: z.number().min(0) }),
+    rent: z.object({
+        increaseBrackets: z.array(z.object({ gapAbove: z.number().min(-1).max(1), maxIncrease: Fraction })).min(1),
+        index: z.object({
+            asOf: z.string().min(1),
+            growthRate: z.number().min(-0.5).max(0.5),
+            areas: z.record(z.string(), z.object({ label: z.string() }).catchall(z.number().positive())),
+        }),
+    }),
+    fx: z.object({
+        asOf: z.string().min(1),
+        rates: z.record(z.string(), z.number().positive()).refine((r) => r.AED === 1, { message: "rates must include AED: 1" }),
+    }),
+    softClose: z.object({
+        minStayYears: z.number().min(0),
+        summaryValidityDays: z.number().int().min(1).max(365),
+        readyScore: z.number().min(0).max(100),
+        maxOffers: z.number().int().min(0),
+        maxSavingsGap: Fraction,
+    }),
+    narrative: z.object({ ferrariPriceAED: z.number().positive() }),
+});
+
+// Objects merge key by key; arrays and plain values in the override replace the default
+export function mergeAssumptions(base, override) {
+    if (!override || typeof override !== "object" || Array.isArray(override)) return override ?? base;
+    const out = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        const current = base?.[key];
+        out[key] = current && typeof current === "object" && !Array.isArray(current) ? mergeAssumptions(current, value) : value;
+    }
+    return out;
+}
+
+/**
+ * Defaults with `override` applied, validated. Returns { assumptions } or
+ * { error: "invalid_assumptions", issues } listing what is wrong. An override
+ * must carry its own `version` so results stay traceable.
+ */
+export function resolveAssumptions(override = {}) {
+    if (!override.version) {
+        return { error: "invalid_assumptions", issues: ["version: an override needs its own version"] };
+    }
+    const parsed = AssumptionSetSchema.safeParse(mergeAssumptions(DEFAULT_ASSUMPTIONS, override));
+    if (!parsed.success) {
+        return {
+            error: "invalid_assumptions",
+            issues: parsed.error.issues.map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`),
+        };
+    }
+    return { assumptions: parsed.data };
+}
+
+let activeAssumptions = DEFAULT_ASSUMPTIONS;
+
+export function getAssumptions() {
+    return activeAssumptions;
+}
+
+// Makes a validated set the active one; pass null to go back to the defaults
+export function setActiveAssumptions(assumptions) {
+    activeAssumptions = assumptions ?? DEFAULT_ASSUMPTIONS;
+}
+
+// What a result records about the set it was computed with
+export function assumptionStamp(assumptions = getAssumptions()) {
+    return { version: assumptions.version, effectiveFrom: assumptions.effectiveFrom };
+}
@@ -0,0 +1,72 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { DEFAULT_ASSUMPTIONS, assumptionStamp, getAssumptions, resolveAssumptions, setActiveAssumptions } from "./assumptions";
+import { calculateEMI } from "./emi";
+import { assessAffordability } from "./affordability";
+import { compareScenarios } from "./scenarios";
+import { earlySettlementFee } from "./prepayment";
+import { reraMaxIncrease } from "./rentProjection";
+import { toAED } from "./currency";
+
+afterEach(() => setActiveAssumptions(null));
+
+describe("resolveAssumptions", () => {
+    it("merges an override over the defaults, leaving the rest untouched", () => {
+        const { assumptions } = resolveAssumptions({ version: "test-1", interest: { defaultRate: 0.0425 } });
+        expect(assumptions.interest).toEqual({ ...DEFAULT_ASSUMPTIONS.interest, defaultRate: 0.0425 });
+        expect(assumptions.tenure).toEqual(DEFAULT_ASSUMPTIONS.tenure);
+        expect(assumptions.ltv.rules).toEqual(DEFAULT_ASSUMPTIONS.ltv.rules);
+    });
+
+    it("requires a version of its own", () => {
+        expect(resolveAssumptions({ interest: { defaultRate: 0.04 } }).error).toBe("invalid_assumptions");
+    });
+
+    it("lists what is wrong with an invalid override", () => {
+        const { error, issues } = resolveAssumptions({ version: "bad", affordability: { dbrLimit: 2 } });
+        expect(error).toBe("invalid_assumptions");
+        expect(issues.some((i) => i.startsWith("affordability.dbrLimit"))).toBe(true);
+    });
+});
+
+describe("active assumption set", () => {
+    it("is read by the calculations at call time", () => {
+        const before = calculateEMI(1_000_000).monthlyEmi;
+        setActiveAssumptions(resolveAssumptions({ version: "test-2", interest: { defaultRate: 0.06 } }).assumptions);
+        expect(calculateEMI(1_000_000).monthlyEmi).toBeGreaterThan(before);
+    });
+
+    it("sets the debt-burden limit", () => {
+        setActiveAssumptions(resolveAssumptions({ version: "test-3", affordability: { dbrLimit: 0.4 } }).assumptions);
+        expect(assessAffordability({ monthlyIncome: 30_000, loanAmount: 1_000_000 }).dbrLimit).toBe(0.4);
+    });
+
+    it("sets the early settlement fee, RERA brackets and FX rates", () => {
+        expect(earlySettlementFee(2_000_000)).toBe(10_000);
+        expect(reraMaxIncrease(60_000, 100_000)).toBe(0.15);
+        expect(toAED(100, "USD")).toBe(367.25);
+        setActiveAssumptions(
+            resolveAssumptions({
+                version: "test-5",
+                earlySettlement: { feeCap: 5_000 },
+                rent: { increaseBrackets: [{ gapAbove: 0.25, maxIncrease: 0.08 }] },
+                fx: { asOf: "2026-11-01", rates: { AED: 1, USD: 3.6725, GBP: 5 } },
+            }).assumptions
+        );
+        expect(earlySettlementFee(2_000_000)).toBe(5_000);
+        expect(reraMaxIncrease(60_000, 100_000)).toBe(0.08);
+        expect(reraMaxIncrease(90_000, 100_000)).toBe(0);
+        expect(toAED(100, "GBP")).toBe(500);
+    });
+
+    it("refuses an FX table without the dirham at 1", () => {
+        expect(resolveAssumptions({ version: "bad-fx", fx: { rates: { AED: 2 } } }).error).toBe("invalid_assumptions");
+    });
+
+    it("stamps results with the version used", () => {
+        setActiveAssumptions(resolveAssumptions({ version: "test-4", effectiveFrom: "2026-11-01" }).assumptions);
+        const base = { stayYears: 8, price: 1_500_000, downPayment: 300_000, rent: 9_000 };
+        expect(compareScenarios({ base }).assumptions).toEqual({ version: "test-4", effectiveFrom: "2026-11-01" });
+        setActiveAssumptions(null);
+        expect(assumptionStamp()).toEqual({ version: getAssumptions().version, effectiveFrom: DEFAULT_ASSUMPTIONS.effectiveFrom });
+    });
+});
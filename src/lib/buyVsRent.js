@@ -1,28 +1,122 @@
+import { getAssumptions } from "./assumptions";
+import { buildAmortizationSchedule, outstandingBalanceAt } from "./emi";
+import { projectRent, rentForMonth } from "./rentProjection";
+
+// Growth, selling-cost and discount rates default to the assumption set (buyVsRent.*)
+
+// Present-value cost of renting vs buying for an exit after `months`.
+// Buying = down payment + upfront costs + mortgage payments + maintenance,
+// minus what the user keeps when selling (value - selling costs - loan balance).
+function compareAtHorizon(months, ctx) {
+    const { rentProjection, maint, schedule, price, downPayment, upfrontCosts, loanAmount, monthlyDiscount } = ctx;
+    let rentPV = 0;
+    let buyPV = downPayment + upfrontCosts;
+    let totalRent = 0;
+    let totalMortgagePayments = 0;
+    for (let m = 1; m <= months; m++) {
+        const df = Math.pow(1 + monthlyDiscount, m - 1); // paid at the start of each month
+        const payment = schedule[m - 1]?.payment || 0;
+        const rent = rentForMonth(rentProjection, m);
+        rentPV += rent / df;
+        buyPV += (payment + maint) / df;
+        totalRent += rent;
+        totalMortgagePayments += payment;
+    }
+    const propertyValue = price * Math.pow(1 + ctx.appreciationRate, months / 12);
+    const sellingCosts = propertyValue * ctx.sellingCostRate;
+    const outstandingBalance = months > 0 ? outstandingBalanceAt(schedule, months) : loanAmount;
+    const netSaleProceeds = propertyValue - sellingCosts - outstandingBalance;
+    buyPV -= netSaleProceeds / Math.pow(1 + monthlyDiscount, months);
+    return {
+        rentPV,
+        buyPV,
+        netAdvantage: rentPV - buyPV, // > 0 means buying is cheaper in today's money
+        atExit: {
+            propertyValue,
+            outstandingBalance,
+            sellingCosts,
+            netSaleProceeds,
+            equity: propertyValue - outstandingBalance,
+            totalRent,
+            totalMortgagePayments,
+        },
+    };
+}
+
 export function buyVsRentRecommendation({
     stayYears,
     monthlyRent,
-    monthlyInterestPortion,
+    price,
+    downPayment,
+    loanAmount,
+    annualRate,
+    tenureYears,
+    upfrontCosts = 0,
     maintenanceEstimate = 0,
+    rentEscalation = { mode: "none" },
+    appreciationRate = getAssumptions().buyVsRent.appreciationRate,
+    sellingCostRate = getAssumptions().buyVsRent.sellingCostRate,
+    discountRate = getAssumptions().buyVsRent.discountRate,
 }) {
-    const stay = Number(stayYears || 0);
-    if (stay < 3) {
-        return { recommendation: "rent", rationale: "Short stay (<3y): transaction fees outweigh benefits." };
-    }
-    if (stay > 5) {
-        return { recommendation: "buy", rationale: "Long stay (>5y): equity buildup likely beats rent." };
-    }
-    const rent = Number(monthlyRent || 0);
-    const interest = Number(monthlyInterestPortion || 0);
-    const maint = Number(maintenanceEstimate || 0);
-    const buyMonthly = interest + maint;
-    if (buyMonthly < rent) {
-        return {
-            recommendation: "buy",
-            rationale: "Mid-term: mortgage interest + maintenance < rent. Buying may be better.",
-        };
+    const { maxBreakEvenYears } = getAssumptions().buyVsRent;
+    const stay = Math.max(0, Number(stayYears || 0));
+    const p = Number(price || 0);
+    const loan = Number(loanAmount || 0);
+    const ctx = {
+        rentProjection: projectRent({
+            monthlyRent,
+            years: Math.max(stay, maxBreakEvenYears),
+            escalation: rentEscalation,
+        }),
+        maint: Number(maintenanceEstimate || 0),
+        price: p,
+        loanAmount: loan,
+        downPayment: Number(downPayment ?? p - loan),
+        upfrontCosts: Number(upfrontCosts || 0),
+        schedule: buildAmortizationSchedule(loan, annualRate, tenureYears),
+        appreciationRate: Number(appreciationRate),
+        sellingCostRate: Number(sellingCostRate),
+        monthlyDiscount: Math.pow(1 + Number(discountRate), 1 / 12) - 1,
+    };
+
+    const stayMonths = Math.round(stay * 12);
+    const atStay = compareAtHorizon(stayMonths, ctx);
+
+    let breakEvenYear = null;
+    for (let y = 1; y <= maxBreakEvenYears; y++) {
+        if (compareAtHorizon(y * 12, ctx).netAdvantage >= 0) {
+            breakEvenYear = y;
+            break;
+        }
     }
+
+    const recommendation = atStay.netAdvantage >= 0 ? "buy" : "rent";
+    const fmt = (n) => Math.round(Math.abs(n)).toLocaleString();
+    const costLine = `Over ${stay} years, buying costs AED ${fmt(atStay.buyPV)} and renting costs AED ${fmt(atStay.rentPV)} in today's money (discounted at ${(discountRate * 100).toFixed(1)}%/yr, after selling at exit and repaying the AED ${fmt(atStay.atExit.outstandingBalance)} loan balance).`;
+    const breakEvenLine = breakEvenYear
+        ? `Buying breaks even with renting after ${breakEvenYear} year${breakEvenYear === 1 ? "" : "s"}.`
+        : `Buying does not break even within ${maxBreakEvenYears} years.`;
+    // Without a stay there is no horizon to compare over: buying would only mean selling again at once
+    const rationale = stayMonths === 0
+        ? `With no time left in the UAE, buying only adds costs: buying and selling straight away would lose AED ${fmt(atStay.netAdvantage)} in upfront and selling costs, so renting comes out ahead.`
+        : recommendation === "buy"
+            ? `${costLine} Buying comes out AED ${fmt(atStay.netAdvantage)} ahead. ${breakEvenLine}`
+            : `${costLine} Renting comes out AED ${fmt(atStay.netAdvantage)} ahead. ${breakEvenLine}`;
+
     return {
-        recommendation: "rent",
-        rationale: "Mid-term: rent costs lower than monthly interest + maintenance. Renting may be better.",
+        recommendation,
+        rationale,
+        stayMonths,
+        breakEvenYear,
+        netAdvantage: atStay.netAdvantage,
+        npvBuyCost: atStay.buyPV,
+        npvRentCost: atStay.rentPV,
+        atExit: atStay.atExit,
+        rentProjection: {
+            mode: ctx.rentProjection.mode,
+            index: ctx.rentProjection.index,
+            years: ctx.rentProjection.years.slice(0, Math.ceil(stay)),
+        },
+        assumptions: { appreciationRate, sellingCostRate, discountRate, maxBreakEvenYears },
     };
 }
@@ -0,0 +1,54 @@
+import { describe, expect, it } from "vitest";
+import { buyVsRentRecommendation } from "./buyVsRent";
+import { buildAmortizationSchedule, outstandingBalanceAt } from "./emi";
+
+const BASE = {
+    monthlyRent: 9_000,
+    price: 1_500_000,
+    downPayment: 300_000,
+    loanAmount: 1_200_000,
+    annualRate: 0.045,
+    tenureYears: 25,
+    upfrontCosts: 90_000,
+};
+
+describe("buyVsRentRecommendation", () => {
+    it("recommends buying over a long stay and renting over a short one", () => {
+        expect(buyVsRentRecommendation({ ...BASE, stayYears: 15 }).recommendation).toBe("buy");
+        expect(buyVsRentRecommendation({ ...BASE, stayYears: 1 }).recommendation).toBe("rent");
+    });
+
+    it("breaks even in the first year buying comes out ahead", () => {
+        const { breakEvenYear } = buyVsRentRecommendation({ ...BASE, stayYears: 10 });
+        expect(breakEvenYear).toBeGreaterThan(1);
+        expect(buyVsRentRecommendation({ ...BASE, stayYears: breakEvenYear }).netAdvantage).toBeGreaterThanOrEqual(0);
+        expect(buyVsRentRecommendation({ ...BASE, stayYears: breakEvenYear - 1 }).netAdvantage).toBeLessThan(0);
+    });
+
+    it("sells at exit against the amortization schedule's balance", () => {
+        const result = buyVsRentRecommendation({ ...BASE, stayYears: 8 });
+        const schedule = buildAmortizationSchedule(BASE.loanAmount, BASE.annualRate, BASE.tenureYears);
+        expect(result.atExit.outstandingBalance).toBe(outstandingBalanceAt(schedule, 96));
+        expect(result.atExit.totalRent).toBeCloseTo(9_000 * 96, 6);
+        expect(result.atExit.propertyValue).toBeCloseTo(1_500_000 * 1.02 ** 8, 4);
+        expect(result.netAdvantage).toBeCloseTo(result.npvRentCost - result.npvBuyCost, 6);
+        expect(result.rentProjection.years).toHaveLength(8);
+    });
+
+    it("does not break even when renting is much cheaper", () => {
+        const result = buyVsRentRecommendation({ ...BASE, monthlyRent: 2_000, stayYears: 10 });
+        expect(result).toMatchObject({ recommendation: "rent", breakEvenYear: null });
+        expect(result.rationale).toContain("does not break even within 30 years");
+    });
+
+    it("handles a stay of zero years explicitly", () => {
+        const result = buyVsRentRecommendation({ ...BASE, stayYears: 0 });
+        expect(result).toMatchObject({ recommendation: "rent", stayMonths: 0, npvRentCost: 0 });
+        // Buying and selling at once loses the upfront and selling costs and nothing else
+        expect(result.netAdvantage).toBeCloseTo(-(90_000 + 1_500_000 * 0.02), 6);
+        expect(result.atExit.outstandingBalance).toBe(BASE.loanAmount);
+        expect(result.rentProjection.years).toEqual([]);
+        expect(result.rationale).toContain("With no time left in the UAE");
+        expect(result.rationale).not.toMatch(/Over 0 years|break(?:s)? even/);
+    });
+});
@@ -0,0 +1,173 @@
+import { createHash } from "crypto";
+import { readdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { runConversationTurn } from "./graph";
+import { createMockProvider, createProvider, createRecordingProvider, setLLM } from "./llm";
+
+/* ============================================================
+   RECORDED-CONVERSATION HARNESS
+   ============================================================
+   A fixture is a scripted conversation plus the model responses recorded
+   for each turn:
+
+   {
+     "name": "...",
+     "state": { ... },                         // optional starting agent state
+     "locale": { "language": "ar", "numerals": "arab" }, // optional, English by default
+     "turns": [{
+       "user": "Staying 8 years, rent is 9k",
+       "responses": [{ "toolCalls": [...] }, { "text": "..." }],
+       "expect": {
+         "toolCalls": [{ "name": "calculate_mortgage", "args": { "stayYears": 8 } }],
+         "extractedData": { "stayYears": 8 },
+         "income": { "source": "document" }, // or null: no income known
+         "softClose": true,
+         "disclaimer": true,
+         "blocked": null,                    // or the guardrail's reason, e.g. "injection"
+         "replyIncludes": ["..."],
+         "replyExcludes": ["..."]
+       }
+     }]
+   }
+
+   Replay feeds `responses` to the mock provider, so the graph, tools and
+   formatting run for real while the model is fixed. Record mode sends the
+   same turns to the configured LLM_PROVIDER and stores what it answered.
+   Args, extractedData and income are matched as subsets; toolCalls must
+   match in number and order. */
+
+export const SOFT_CLOSE_PATTERN = /### ✅ Next Step/;
+export const DISCLAIMER_PATTERN = /⚠️\s*(This is an estimate|These are estimates)/;
+
+export function loadFixtures(dir) {
+    return readdirSync(dir)
+        .filter((f) => f.endsWith(".json"))
+        .sort()
+        .map((f) => ({ file: path.join(dir, f), fixture: JSON.parse(readFileSync(path.join(dir, f), "utf8")) }));
+}
+
+export function saveFixture(file, fixture) {
+    writeFileSync(file, `${JSON.stringify(fixture, null, 2)}\n`);
+}
+
+// Every key in `expected` must match in `actual`; arrays match element by element
+function matchesSubset(expected, actual) {
+    if (Array.isArray(expected)) {
+        return Array.isArray(actual) && expected.length === actual.length && expected.every((e, i) => matchesSubset(e, actual[i]));
+    }
+    if (expected && typeof expected === "object") {
+        return actual != null && typeof actual === "object" && Object.entries(expected).every(([k, v]) => matchesSubset(v, actual[k]));
+    }
+    return expected === actual;
+}
+
+const show = (value) => JSON.stringify(value);
+
+/** Differences between a turn's expectations and what happened, as readable lines. */
+export function checkTurn(expect = {}, { reply, toolCalls, extractedData, income, blocked }) {
+    const failures = [];
+
+    if (expect.toolCalls) {
+        const names = toolCalls.map((c) => c.name);
+        if (!matchesSubset(expect.toolCalls.map((c) => c.name), names)) {
+            failures.push(`expected tool calls ${show(expect.toolCalls.map((c) => c.name))}, got ${show(names)}`);
+        } else {
+            expect.toolCalls.forEach((c, i) => {
+                if (c.args && !matchesSubset(c.args, toolCalls[i].args)) {
+                    failures.push(`${c.name} args: expected ${show(c.args)} within ${show(toolCalls[i].args)}`);
+                }
+            });
+        }
+    }
+
+    for (const [key, value] of Object.entries(expect.extractedData || {})) {
+        if (!matchesSubset(value, extractedData?.[key])) {
+            failures.push(`extractedData.${key}: expected ${show(value)}, got ${show(extractedData?.[key])}`);
+        }
+    }
+
+    if (expect.income !== undefined && !matchesSubset(expect.income, income ?? null)) {
+        failures.push(`income: expected ${show(expect.income)}, got ${show(income ?? null)}`);
+    }
+
+    if (expect.softClose != null && SOFT_CLOSE_PATTERN.test(reply) !== expect.softClose) {
+        failures.push(expect.softClose ? "soft-close CTA missing" : "soft-close CTA shown unexpectedly");
+    }
+    if (expect.disclaimer != null && DISCLAIMER_PATTERN.test(reply) !== expect.disclaimer) {
+        failures.push(expect.disclaimer ? "disclaimer missing" : "disclaimer shown unexpectedly");
+    }
+    if (expect.blocked !== undefined && (blocked?.reason ?? null) !== expect.blocked) {
+        failures.push(`blocked: expected ${show(expect.blocked)}, got ${show(blocked?.reason ?? null)}`);
+    }
+    for (const text of expect.replyIncludes || []) {
+        if (!reply.includes(text)) failures.push(`reply does not include ${show(text)}`);
+    }
+    for (const text of expect.replyExcludes || []) {
+        if (reply.includes(text)) failures.push(`reply includes ${show(text)}`);
+    }
+    return failures;
+}
+
+// Identifies the system prompt a fixture was recorded against
+function systemPromptHash(calls) {
+    const system = calls.find((c) => c.messages)?.messages.find((m) => m.role === "system")?.content;
+    return system ? createHash("sha256").update(system).digest("hex").slice(0, 12) : null;
+}
+
+/**
+ * Plays a fixture turn by turn, carrying history and state between turns.
+ * Returns per-turn failures, the fixture (with fresh responses when
+ * recording) and whether the system prompt changed since it was recorded.
+ */
+export async function playFixture(fixture, { record = false } = {}) {
+    if (record && (process.env.LLM_PROVIDER || "gemini") === "mock") {
+        throw new Error("Record mode needs a real model: set LLM_PROVIDER to gemini or openai");
+    }
+
+    let messages = [];
+    let state = fixture.state || {};
+    let promptHash = null;
+    const results = [];
+    const turns = [];
+
+    for (const [i, turn] of fixture.turns.entries()) {
+        const recorded = turn.responses || [];
+        const provider = record ? createRecordingProvider(createProvider()) : createMockProvider(recorded);
+        const userMessage = { role: "user", content: turn.user };
+
+        setLLM(provider);
+        let outcome;
+        try {
+            outcome = await runConversationTurn({ messages: [...messages, userMessage], state, locale: fixture.locale });
+        } finally {
+            setLLM(null);
+        }
+
+        const failures = checkTurn(turn.expect, {
+            reply: outcome.message.content,
+            toolCalls: outcome.toolCalls,
+            extractedData: outcome.state.extractedData,
+            income: outcome.state.income,
+            blocked: outcome.blocked,
+        });
+        if (!record && provider.calls.length !== recorded.length) {
+            failures.push(`the model was called ${provider.calls.length} times but ${recorded.length} responses are recorded - re-record this fixture`);
+        }
+
+        promptHash ??= systemPromptHash(provider.calls);
+        results.push({ turn: i + 1, user: turn.user, reply: outcome.message.content, failures });
+        turns.push(record ? { ...turn, responses: provider.recorded } : turn);
+        // Like the chat route, refused turns are left out of the history the model sees
+        if (!outcome.blocked) messages = [...messages, userMessage, outcome.message];
+        state = outcome.state;
+    }
+
+    const recordedHash = fixture.recordedWith?.systemPromptHash;
+    return {
+        results,
+        fixture: record
+            ? { ...fixture, recordedWith: { provider: process.env.LLM_PROVIDER || "gemini", systemPromptHash: promptHash, recordedAt: new Date().toISOString() }, turns }
+            : fixture,
+        promptChanged: !record && recordedHash != null && recordedHash !== promptHash,
+    };
+}
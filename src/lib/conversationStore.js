@@ -0,0 +1,85 @@
+import { randomUUID } from "crypto";
+import { connectDB } from "./mongodb";
+import Conversation from "@/models/Conversation";
+import Message from "@/models/Message";
+import { openState, sealState } from "./stateEnvelope";
+
+const TITLE_LENGTH = 60;
+
+function titleFrom(text) {
+    const clean = String(text || "").replace(/\s+/g, " ").trim();
+    if (!clean) return null;
+    return clean.length > TITLE_LENGTH ? `${clean.slice(0, TITLE_LENGTH - 1)}…` : clean;
+}
+
+/**
+ * Existing thread for this user, or a fresh one when no threadId is given.
+ * A fresh thread is only stored with its first turn (appendTurn), so a turn
+ * that fails leaves no empty conversation behind. Returns null when the
+ * thread doesn't exist or belongs to someone else.
+ */
+export async function openConversation(userId, threadId) {
+    await connectDB();
+    if (threadId) {
+        return Conversation.findOne({ user: userId, threadId });
+    }
+    return new Conversation({ user: userId, threadId: randomUUID() });
+}
+
+export async function loadMessages(userId, threadId) {
+    await connectDB();
+    const docs = await Message.find({ user: userId, threadId }).sort({ createdAt: 1, _id: 1 }).lean();
+    return docs.map((m) => ({ role: m.role, content: m.content, createdAt: m.createdAt, ...(m.blocked && { blocked: m.blocked }) }));
+}
+
+const envelopeContext = (conversation) => ({ userId: String(conversation.user), threadId: conversation.threadId });
+
+// Verified agent state for the thread; anything that fails the signature check is dropped
+export function loadState(conversation) {
+    const { state, error } = openState(conversation.state, envelopeContext(conversation));
+    if (error) {
+        console.warn(`[STATE] ⚠️ Rejected stored state for thread ${conversation.threadId}: ${error}`);
+        return {};
+    }
+    return state;
+}
+
+// Stores the turn's messages and the graph state they produced; a new thread is created here
+export async function appendTurn(conversation, messages, state) {
+    await connectDB();
+    await Message.insertMany(
+        messages.map((m) => ({
+            user: conversation.user,
+            threadId: conversation.threadId,
+            role: m.role,
+            content: m.content,
+            blocked: m.blocked,
+        }))
+    );
+
+    const update = { state: sealState(state, envelopeContext(conversation)) };
+    // A refused message (an injection attempt, say) doesn't name the conversation
+    const firstUserText = messages.find((m) => m.role === "user" && !m.blocked)?.content;
+    if (conversation.title === "New conversation" && titleFrom(firstUserText)) {
+        update.title = titleFrom(firstUserText);
+    }
+    if (conversation.isNew) {
+        conversation.set(update);
+        await conversation.save();
+    } else {
+        await Conversation.updateOne({ _id: conversation._id }, { $set: update });
+    }
+}
+
+export async function listConversations(userId) {
+    await connectDB();
+    const docs = await Conversation.find({ user: userId }).sort({ updatedAt: -1 }).select("threadId title createdAt updatedAt").lean();
+    return docs.map((c) => ({ threadId: c.threadId, title: c.title, createdAt: c.createdAt, updatedAt: c.updatedAt }));
+}
+
+export async function deleteConversation(userId, threadId) {
+    await connectDB();
+    const { deletedCount } = await Conversation.deleteOne({ user: userId, threadId });
+    if (deletedCount) await Message.deleteMany({ user: userId, threadId });
+    return deletedCount > 0;
+}
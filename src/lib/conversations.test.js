@@ -0,0 +1,38 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { afterAll, beforeAll, describe, expect, test, vi } from "vitest";
+import { loadFixtures, playFixture, saveFixture } from "./conversationHarness";
+
+// RECORD_CONVERSATIONS=1 re-records the fixtures against the real LLM_PROVIDER (npm run test:record)
+const RECORD = process.env.RECORD_CONVERSATIONS === "1";
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "conversations");
+
+describe("recorded conversations", () => {
+    beforeAll(() => {
+        vi.spyOn(console, "log").mockImplementation(() => {});
+        if (!RECORD) {
+            // Replays must never reach a real model
+            vi.stubGlobal("fetch", async (url) => {
+                throw new Error(`Network access during a replayed conversation: ${url}`);
+            });
+        }
+    });
+
+    afterAll(() => {
+        vi.restoreAllMocks();
+        vi.unstubAllGlobals();
+    });
+
+    for (const { file, fixture } of loadFixtures(FIXTURE_DIR)) {
+        test(fixture.name, { timeout: RECORD ? 120_000 : 10_000 }, async () => {
+            const { results, fixture: played, promptChanged } = await playFixture(fixture, { record: RECORD });
+            if (RECORD) saveFixture(file, played);
+            if (promptChanged) {
+                console.warn(`[conversations] "${fixture.name}" was recorded against an older system prompt - re-record it with npm run test:record`);
+            }
+
+            const failures = results.flatMap((r) => r.failures.map((f) => `turn ${r.turn} (${JSON.stringify(r.user)}): ${f}`));
+            expect(failures).toEqual([]);
+        });
+    }
+});
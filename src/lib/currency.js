@@ -0,0 +1,114 @@
+import { getAssumptions } from "./assumptions";
+import { DEFAULT_LOCALE, formatAED, formatCurrency } from "./i18n";
+
+// FX table: AED per 1 unit of each currency, from the assumption set
+// (assumptions.fx) so an admin override refreshes it without a deploy.
+// FX_RATES_JSON='{"asOf":"...","rates":{...}}' still layers rates on top.
+// What users type or payslips print → ISO code
+const CURRENCY_ALIASES = {
+    "DH": "AED",
+    "DHS": "AED",
+    "DIRHAM": "AED",
+    "DIRHAMS": "AED",
+    "$": "USD",
+    "US$": "USD",
+    "DOLLAR": "USD",
+    "DOLLARS": "USD",
+    "€": "EUR",
+    "EURO": "EUR",
+    "EUROS": "EUR",
+    "£": "GBP",
+    "POUND": "GBP",
+    "POUNDS": "GBP",
+    "₹": "INR",
+    "RS": "INR",
+    "RUPEE": "INR",
+    "RUPEES": "INR",
+    "SR": "SAR",
+    "RIYAL": "SAR",
+};
+
+let envOverride;
+
+function fxEnvOverride() {
+    if (envOverride !== undefined) return envOverride;
+    envOverride = null;
+    if (process.env.FX_RATES_JSON) {
+        try {
+            envOverride = JSON.parse(process.env.FX_RATES_JSON);
+        } catch (e) {
+            console.error("[FX] Ignoring invalid FX_RATES_JSON:", e.message);
+        }
+    }
+    return envOverride;
+}
+
+export function getFxTable() {
+    const { asOf, rates } = getAssumptions().fx;
+    const override = fxEnvOverride();
+    return {
+        asOf: override?.asOf || asOf,
+        base: "AED",
+        rates: { ...rates, ...(override?.rates || {}), AED: 1 },
+    };
+}
+
+export function normalizeCurrency(code) {
+    if (!code) return "AED";
+    const c = String(code).trim().toUpperCase();
+    return CURRENCY_ALIASES[c] || c;
+}
+
+export function isSupportedCurrency(code) {
+    return Object.hasOwn(getFxTable().rates, normalizeCurrency(code));
+}
+
+// null when the currency is not in the table: callers must not guess a rate
+export function toAED(amount, currency) {
+    if (amount == null) return amount;
+    const rate = getFxTable().rates[normalizeCurrency(currency)];
+    if (!rate) return null;
+    return Math.round(Number(amount) * rate * 100) / 100; // whole fils
+}
+
+export function fromAED(amountAED, currency) {
+    if (amountAED == null) return amountAED;
+    const rate = getFxTable().rates[normalizeCurrency(currency)];
+    if (!rate) return null;
+    return Number(amountAED) / rate;
+}
+
+/**
+ * Converts the money fields of a tool's arguments to AED.
+ * `fieldCurrencies` maps field name → currency the user stated it in.
+ * Returns the converted values, a note per conversion, and any fields whose
+ * currency isn't in the FX table (left untouched).
+ */
+export function convertFieldsToAED(values, fieldCurrencies) {
+    const out = { ...values };
+    const conversions = [];
+    const unsupported = [];
+    const { rates, asOf } = getFxTable();
+    for (const [field, currency] of Object.entries(fieldCurrencies)) {
+        const ccy = normalizeCurrency(currency);
+        if (out[field] == null || ccy === "AED") continue;
+        if (!rates[ccy]) {
+            unsupported.push({ field, currency: ccy });
+            continue;
+        }
+        const amountAED = toAED(out[field], ccy);
+        conversions.push({ field, currency: ccy, amount: out[field], amountAED, rate: rates[ccy], asOf });
+        out[field] = amountAED;
+    }
+    return { values: out, conversions, unsupported };
+}
+
+// "AED 10,000 (≈ USD 2,723)" — second currency only when it differs from AED
+export function formatMoney(amountAED, displayCurrency, locale = DEFAULT_LOCALE) {
+    const aed = formatAED(amountAED, locale);
+    const ccy = normalizeCurrency(displayCurrency);
+    if (!displayCurrency || ccy === "AED") return aed;
+    const converted = fromAED(amountAED, ccy);
+    if (converted == null) return aed;
+    return `${aed} (≈ ${formatCurrency(converted, ccy, locale)})`;
+}
@@ -1,40 +1,211 @@
+import { getAssumptions } from "./assumptions";
+import { evaluateLTVRule } from "./ltvRules";
+
 export function clampTenureYears(tenureYears) {
-    const t = Number(tenureYears || 25);
-    if (Number.isNaN(t) || t <= 0) return 25;
-    return Math.min(t, 25);
+    const { defaultYears, maxYears } = getAssumptions().tenure;
+    const t = Number(tenureYears || defaultYears);
+    if (Number.isNaN(t) || t <= 0) return defaultYears;
+    return Math.min(t, maxYears);
 }
 
 export function clampRateAnnual(rateAnnual) {
-    const r = Number(rateAnnual || 0.045);
-    if (Number.isNaN(r) || r <= 0) return 0.045;
+    const { defaultRate } = getAssumptions().interest;
+    const r = Number(rateAnnual || defaultRate);
+    if (Number.isNaN(r) || r <= 0) return defaultRate;
     return r;
 }
 
-export function enforceLTV(price, downPayment) {
+// `profile` = { residency, firstHome, offPlan }; see ltvRules.js for the table
+export function enforceLTV(price, downPayment, profile = {}) {
     const p = Number(price || 0);
     const d = Number(downPayment || 0);
     if (p <= 0) return { loanAmount: 0, issues: ["invalid_price"] };
-    const maxLoan = p * 0.8; // 80% LTV
-    const impliedDownPayment = p - maxLoan; // 20%
+    const ltvRule = evaluateLTVRule(p, profile);
+    const maxLoan = p * ltvRule.maxLtv;
+    const impliedDownPayment = p - maxLoan; // minimum down payment under the rule
     const effectiveDown = Math.max(d, impliedDownPayment);
     const loanAmount = Math.max(0, p - effectiveDown);
     const issues = [];
     if (d < impliedDownPayment) issues.push("down_payment_adjusted_to_meet_ltv");
-    return { loanAmount, issues, upfrontCostEstimate: p * 0.07 };
+    return {
+        loanAmount,
+        issues,
+        maxLtv: ltvRule.maxLtv,
+        minDownPayment: impliedDownPayment,
+        ltvRule,
+    };
+}
+
+// A rate is either a flat annual rate or a fixed-then-variable schedule:
+// { fixedYears, fixedRate, referenceRate, margin, floorRate, capRate, resetMonths }
+export function isRateSchedule(rate) {
+    return Boolean(rate) && typeof rate === "object";
+}
+
+export function normalizeRateSchedule(rate) {
+    const fixedYears = Math.max(0, Number(rate.fixedYears || 0));
+    const fixedRate = clampRateAnnual(rate.fixedRate);
+    const referenceRate = Number(rate.referenceRate ?? getAssumptions().interest.referenceRate);
+    const margin = Number(rate.margin || 0);
+    const floorRate = rate.floorRate != null ? Number(rate.floorRate) : null;
+    const capRate = rate.capRate != null ? Number(rate.capRate) : null;
+    let variableRate = referenceRate + margin;
+    if (floorRate != null) variableRate = Math.max(variableRate, floorRate);
+    if (capRate != null) variableRate = Math.min(variableRate, capRate);
+    return {
+        fixedYears,
+        fixedRate,
+        referenceRate,
+        margin,
+        floorRate,
+        capRate,
+        variableRate: clampRateAnnual(variableRate),
+        resetMonths: Math.max(1, Math.round(Number(rate.resetMonths || 12))),
+    };
+}
+
+// Annual rate charged in a given month (1-based).
+export function rateForMonth(rate, month) {
+    if (!isRateSchedule(rate)) return clampRateAnnual(rate);
+    const s = normalizeRateSchedule(rate);
+    return month <= Math.round(s.fixedYears * 12) ? s.fixedRate : s.variableRate;
+}
+
+export function levelPayment(P, rAnnual, months) {
+    const r = rAnnual / 12;
+    if (P <= 0 || months <= 0) return 0;
+    if (r <= 0) return P / months;
+    const pow = Math.pow(1 + r, months);
+    return (P * r * pow) / (pow - 1);
 }
 
 export function calculateEMI(loanAmount, annualRate, tenureYears) {
     const P = Number(loanAmount || 0);
-    const rAnnual = clampRateAnnual(annualRate);
     const nYears = clampTenureYears(tenureYears);
+    if (isRateSchedule(annualRate)) {
+        // EMI during the fixed period, plus the payment shock at the first reset
+        const schedule = buildAmortizationSchedule(P, annualRate, nYears);
+        const first = schedule[0];
+        if (!first) return { monthlyEmi: 0, monthlyInterestPortion: 0, monthlyPrincipalPortion: 0, paymentShock: null };
+        return {
+            monthlyEmi: first.payment,
+            monthlyInterestPortion: first.interest,
+            monthlyPrincipalPortion: first.principal,
+            paymentShock: describeRateResets(schedule)[0] || null,
+        };
+    }
+    const rAnnual = clampRateAnnual(annualRate);
     const r = rAnnual / 12; // monthly rate
     const n = nYears * 12; // months
     if (P <= 0 || r <= 0 || n <= 0) {
         return { monthlyEmi: 0, monthlyInterestPortion: 0, monthlyPrincipalPortion: 0 };
     }
-    const pow = Math.pow(1 + r, n);
-    const monthlyEmi = (P * r * pow) / (pow - 1);
+    const monthlyEmi = levelPayment(P, rAnnual, n);
     const monthlyInterestPortion = P * r; // first month interest
     const monthlyPrincipalPortion = monthlyEmi - monthlyInterestPortion;
     return { monthlyEmi, monthlyInterestPortion, monthlyPrincipalPortion };
 }
+
+// Month-by-month amortization: one row per installment with opening balance,
+// interest, principal and closing balance. The final row absorbs rounding drift.
+// With a rate schedule the EMI is recomputed from the remaining balance and
+// remaining term at the end of the fixed period and at every reset after it.
+export function buildAmortizationSchedule(loanAmount, annualRate, tenureYears) {
+    const P = Number(loanAmount || 0);
+    const nYears = clampTenureYears(tenureYears);
+    const n = Math.round(nYears * 12);
+    if (P <= 0 || n <= 0) return [];
+    const schedule = [];
+    const fixedMonths = isRateSchedule(annualRate)
+        ? Math.round(normalizeRateSchedule(annualRate).fixedYears * 12)
+        : n;
+    const resetMonths = isRateSchedule(annualRate) ? normalizeRateSchedule(annualRate).resetMonths : n;
+    let balance = P;
+    let rate = rateForMonth(annualRate, 1);
+    let emi = levelPayment(P, rate, n);
+    for (let month = 1; month <= n && balance > 0; month++) {
+        const isReset = month > fixedMonths && (month - fixedMonths - 1) % resetMonths === 0;
+        if (isReset) {
+            rate = rateForMonth(annualRate, month);
+            emi = levelPayment(balance, rate, n - month + 1);
+        }
+        const openingBalance = balance;
+        const interest = openingBalance * (rate / 12);
+        let principal = emi - interest;
+        if (month === n || principal > openingBalance) principal = openingBalance;
+        balance = openingBalance - principal;
+        schedule.push({
+            month,
+            year: Math.ceil(month / 12),
+            rate,
+            openingBalance,
+            payment: interest + principal,
+            interest,
+            principal,
+            closingBalance: balance,
+        });
+    }
+    return schedule;
+}
+
+// Months where the rate changed, with the EMI before and after ("payment shock").
+export function describeRateResets(schedule) {
+    const resets = [];
+    for (let i = 1; i < (schedule || []).length; i++) {
+        const prev = schedule[i - 1];
+        const row = schedule[i];
+        if (row.rate === prev.rate) continue;
+        resets.push({
+            month: row.month,
+            rateBefore: prev.rate,
+            rateAfter: row.rate,
+            emiBefore: prev.payment,
+            emiAfter: row.payment,
+            change: row.payment - prev.payment,
+            changePct: prev.payment > 0 ? (row.payment - prev.payment) / prev.payment : 0,
+        });
+    }
+    return resets;
+}
+
+// Roll monthly rows up into loan years (year 1 = months 1-12).
+export function summarizeScheduleByYear(schedule) {
+    const years = [];
+    for (const row of schedule || []) {
+        let y = years[row.year - 1];
+        if (!y) {
+            y = years[row.year - 1] = {
+                year: row.year,
+                openingBalance: row.openingBalance,
+                payments: 0,
+                interest: 0,
+                principal: 0,
+                closingBalance: row.closingBalance,
+            };
+        }
+        y.payments += row.payment;
+        y.interest += row.interest;
+        y.principal += row.principal;
+        y.closingBalance = row.closingBalance;
+    }
+    return years;
+}
+
+// Balance still owed after `month` installments have been paid.
+export function outstandingBalanceAt(schedule, month) {
+    if (!schedule || schedule.length === 0) return 0;
+    const m = Math.floor(Number(month || 0));
+    if (m <= 0) return schedule[0].openingBalance;
+    if (m >= schedule.length) return 0;
+    return schedule[m - 1].closingBalance;
+}
+
+export function scheduleTotals(schedule) {
+    let totalPaid = 0;
+    let totalInterest = 0;
+    for (const row of schedule || []) {
+        totalPaid += row.payment;
+        totalInterest += row.interest;
+    }
+    return { totalPaid, totalInterest, months: (schedule || []).length };
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from "vitest";
+import {
+    buildAmortizationSchedule,
+    calculateEMI,
+    describeRateResets,
+    outstandingBalanceAt,
+    scheduleTotals,
+    summarizeScheduleByYear,
+} from "./emi";
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+describe("calculateEMI", () => {
+    it("uses the standard annuity formula", () => {
+        const { monthlyEmi, monthlyInterestPortion, monthlyPrincipalPortion } = calculateEMI(1_000_000, 0.045, 25);
+        expect(monthlyEmi).toBeCloseTo(5_558.32, 2);
+        expect(monthlyInterestPortion).toBeCloseTo(3_750, 6);
+        expect(monthlyPrincipalPortion).toBeCloseTo(monthlyEmi - 3_750, 6);
+    });
+
+    it("returns zeros for an empty loan", () => {
+        expect(calculateEMI(0, 0.045, 25).monthlyEmi).toBe(0);
+    });
+});
+
+describe("buildAmortizationSchedule", () => {
+    const schedule = buildAmortizationSchedule(1_000_000, 0.045, 25);
+
+    it("has one row per month and pays the loan off exactly", () => {
+        expect(schedule).toHaveLength(300);
+        expect(schedule[0].openingBalance).toBe(1_000_000);
+        expect(schedule.at(-1).closingBalance).toBe(0);
+        expect(sum(schedule, "principal")).toBeCloseTo(1_000_000, 4);
+    });
+
+    it("reconciles its totals with EMI × months minus the principal", () => {
+        const { monthlyEmi } = calculateEMI(1_000_000, 0.045, 25);
+        const totals = scheduleTotals(schedule);
+        expect(totals.months).toBe(300);
+        expect(totals.totalPaid).toBeCloseTo(monthlyEmi * 300, 2);
+        expect(totals.totalInterest).toBeCloseTo(monthlyEmi * 300 - 1_000_000, 2);
+    });
+
+    it("rolls up into loan years", () => {
+        const years = summarizeScheduleByYear(schedule);
+        expect(years).toHaveLength(25);
+        expect(years[0].interest + years[0].principal).toBeCloseTo(years[0].payments, 6);
+        expect(years[0].closingBalance).toBe(schedule[11].closingBalance);
+        expect(sum(years, "interest")).toBeCloseTo(scheduleTotals(schedule).totalInterest, 4);
+    });
+
+    it("recomputes the EMI at the end of a fixed period", () => {
+        const rate = { fixedYears: 3, fixedRate: 0.0399, referenceRate: 0.039, margin: 0.015 };
+        const withReset = buildAmortizationSchedule(1_000_000, rate, 25);
+        const [shock] = describeRateResets(withReset);
+        expect(shock).toMatchObject({ month: 37, rateBefore: 0.0399, rateAfter: 0.054 });
+        expect(shock.emiAfter).toBeGreaterThan(shock.emiBefore);
+        expect(withReset.at(-1).closingBalance).toBeCloseTo(0, 6);
+        expect(sum(withReset, "principal")).toBeCloseTo(1_000_000, 4);
+    });
+
+    it("is empty without a loan", () => {
+        expect(buildAmortizationSchedule(0, 0.045, 25)).toEqual([]);
+        expect(scheduleTotals([])).toEqual({ totalPaid: 0, totalInterest: 0, months: 0 });
+    });
+});
+
+describe("outstandingBalanceAt", () => {
+    const schedule = buildAmortizationSchedule(500_000, 0.045, 10);
+
+    it("is the full loan before any payment and zero after the last", () => {
+        expect(outstandingBalanceAt(schedule, 0)).toBe(500_000);
+        expect(outstandingBalanceAt(schedule, 120)).toBe(0);
+        expect(outstandingBalanceAt(schedule, 200)).toBe(0);
+    });
+
+    it("is the closing balance after that many installments", () => {
+        expect(outstandingBalanceAt(schedule, 60)).toBe(schedule[59].closingBalance);
+    });
+});
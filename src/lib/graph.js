@@ -1,24 +1,254 @@
 // FILE: src/lib/graph.js
 
-import { StateGraph } from "@langchain/langgraph";
-import { getLCGeminiModel, runEmiTool } from "./agent";
-import { buyVsRentRecommendation } from "./buyVsRent";
-import { tool } from "@langchain/core/tools";
+import { GraphRecursionError, StateGraph } from "@langchain/langgraph";
+import { runEmiTool, runBuyVsRentTool, runPrepaymentTool, runAffordabilityTool, runMaxPriceTool } from "./agent";
+import { getLLM } from "./llm";
+import { assumptionStamp, getAssumptions } from "./assumptions";
+import {
+    buildAmortizationSchedule,
+    outstandingBalanceAt,
+    summarizeScheduleByYear,
+    isRateSchedule,
+    normalizeRateSchedule,
+} from "./emi";
+import { EMIRATES } from "./upfrontCosts";
+import { RENT_UNIT_TYPES } from "./rentProjection";
+import { convertFieldsToAED, formatMoney, fromAED, getFxTable, normalizeCurrency, toAED } from "./currency";
+import { compareScenarios } from "./scenarios";
+import { crossCheckToolArgs, parseUserInputs, toFraction } from "./inputParser";
+import { buildPreApprovalSummary } from "./preApproval";
+import { IncomeSchema, describeIncome, describeIncomeBreakdown, incomeAfterCall, migrateLegacyIncome } from "./income";
+import { SoftCloseStateSchema, assessReadiness, decideSoftClose, initialSoftCloseState, noteUserReply, recordSoftClose } from "./qualification";
+import { MAX_MESSAGE_CHARS, screenMessage } from "./guardrails";
+import { DEFAULT_LOCALE, LANGUAGES, NUMERAL_SYSTEMS, formatAED, formatCurrency, formatPercent, label, resolveLocale, t } from "./i18n";
+import { ToolInputParsingException, tool } from "@langchain/core/tools";
 import { z } from "zod";
 
 /* ============================================================
-   OBJECTIVE 4 — SOFT CLOSE DETECTION (MINIMAL)
+   RATE HELPERS (flat rate or fixed-then-EIBOR schedule)
    ============================================================ */
 
-function shouldTriggerSoftClose({ recommendation, stayYears }) {
-    return recommendation === "buy" && typeof stayYears === "number" && stayYears >= 5;
+// Users say "3.99%"; tools expect 0.0399
+const toDecimalRate = (rate) => (rate == null ? undefined : toFraction(rate));
+
+function buildRateInput({ annualRate, fixedYears, fixedRate, eiborRate, eiborMargin, rateFloor, rateCap }) {
+    const flat = toDecimalRate(annualRate) ?? getAssumptions().interest.defaultRate;
+    if (fixedYears == null || eiborMargin == null) return flat;
+    return {
+        fixedYears,
+        fixedRate: toDecimalRate(fixedRate) ?? flat,
+        referenceRate: toDecimalRate(eiborRate),
+        margin: toDecimalRate(eiborMargin),
+        floorRate: toDecimalRate(rateFloor),
+        capRate: toDecimalRate(rateCap),
+    };
+}
+
+function describeRate(rate, locale = DEFAULT_LOCALE) {
+    if (!isRateSchedule(rate)) return t(locale, "rate.flat", { rate: rate ?? getAssumptions().interest.defaultRate });
+    const s = normalizeRateSchedule(rate);
+    const bounds = [
+        s.floorRate != null ? t(locale, "rate.floor", { rate: s.floorRate }) : null,
+        s.capRate != null ? t(locale, "rate.cap", { rate: s.capRate }) : null,
+    ].filter(Boolean).join(t(locale, "common.separator"));
+    return t(locale, "rate.schedule", { s, bounds });
+}
+
+function describePaymentShock(shock, locale = DEFAULT_LOCALE) {
+    if (!shock) return null;
+    return t(locale, "paymentShock", { shock });
+}
+
+function buildRentEscalation({ rentIncreaseRate, rentArea, rentUnitType }) {
+    if (rentArea && rentUnitType) return { mode: "rera", area: rentArea, unitType: rentUnitType };
+    if (rentIncreaseRate != null) return { mode: "fixed", rate: toDecimalRate(rentIncreaseRate) };
+    return { mode: "none" };
+}
+
+function describeRentProjection(projection, locale = DEFAULT_LOCALE) {
+    if (!projection || projection.mode === "none") return t(locale, "rentProjection.flat");
+    const path = projection.years
+        .map((y) => t(locale, "rentProjection.year", { year: y.year, rent: y.monthlyRent, increase: y.increase }))
+        .join(t(locale, "common.separator"));
+    if (projection.mode === "fixed") return t(locale, "rentProjection.fixed", { path });
+    return t(locale, "rentProjection.rera", { index: projection.index, path });
+}
+
+// Liability labels come from affordability.js in English; the credit-card one carries its own numbers
+function liabilityLabel(item, locale) {
+    if (item.id !== "credit_cards") return label(locale, "liabilities", item.id, item.label);
+    const factor = getAssumptions().affordability.creditCardLimitFactor;
+    return t(locale, "affordability.creditCards", { factor, limits: item.amount / factor });
+}
+
+function describeAffordability(aff, locale = DEFAULT_LOCALE) {
+    if (!aff) return null;
+    const lines = [
+        t(locale, "affordability.income", { amount: aff.monthlyIncome }),
+        t(locale, "affordability.stressed", { rate: aff.stressRate, stressed: aff.stressedEmi, actual: aff.actualEmi }),
+        ...aff.liabilities.items.map((i) => t(locale, "affordability.liability", { label: liabilityLabel(i, locale), amount: i.amount })),
+        t(locale, "affordability.dbr", { dbr: aff.dbr, limit: aff.dbrLimit, passes: aff.passes }),
+        aff.passes
+            ? t(locale, "affordability.headroom", { emiHeadroom: aff.emiHeadroom, maxLoan: aff.maxLoan })
+            : t(locale, "affordability.shortfall", {
+                  emiShortfall: -aff.emiHeadroom,
+                  loanShortfall: -aff.loanHeadroom,
+                  maxLoan: aff.maxLoan,
+                  incomeNeeded: aff.incomeNeeded,
+              }),
+    ];
+    return lines;
+}
+
+// "Assumption set 2026.10.1, effective 2026-10-01" - which defaults a result was computed under
+function describeAssumptionSet(stamp = assumptionStamp(), locale = DEFAULT_LOCALE) {
+    return t(locale, "common.assumptionSet", stamp);
+}
+
+// The assumption set names rules, fees and emirates in English; the catalog translates the ones it knows
+const ltvRuleLabel = (rule, locale) => label(locale, "ltvRules", rule.id, rule.label);
+const emirateLabel = (name, locale) => label(locale, "emirates", name, name);
+const localizedUpfrontItems = (items, locale) => items.map((i) => ({ ...i, label: label(locale, "upfrontItems", i.id, i.label) }));
+
+/* ============================================================
+   CURRENCY HELPERS (everything is computed in AED)
+   ============================================================ */
+
+// Money args per tool → currency args that may apply to them, most specific first
+const MONEY_ARGS = {
+    calculate_mortgage: {
+        price: ["currency"],
+        downPayment: ["currency"],
+        rent: ["currency"],
+        monthlyIncome: ["incomeCurrency", "currency"],
+        savings: ["savingsCurrency", "currency"],
+        carLoanEmi: ["currency"],
+        personalLoanEmi: ["currency"],
+        creditCardLimits: ["currency"],
+    },
+    max_affordable_price: {
+        monthlyIncome: ["incomeCurrency", "currency"],
+        savings: ["savingsCurrency", "currency"],
+        carLoanEmi: ["currency"],
+        personalLoanEmi: ["currency"],
+        creditCardLimits: ["currency"],
+    },
+    simulate_prepayment: {
+        annualPrepayment: ["currency"],
+    },
+    compare_scenarios: {
+        price: ["currency"],
+        downPayment: ["currency"],
+        rent: ["currency"],
+    },
+};
+
+// Money fields inside array args (one-off prepayments, scenario variations); these follow `currency`
+const NESTED_MONEY_ARGS = {
+    lumpSums: ["amount"],
+    variations: ["price", "downPayment", "rent"],
+};
+
+// Converts a tool call's money args to AED and drops the currency args
+function normalizeMoneyArgs(toolName, rawArgs) {
+    const { currency, incomeCurrency, savingsCurrency, ...args } = rawArgs || {};
+    const given = { currency, incomeCurrency, savingsCurrency };
+    const fieldCurrencies = {};
+    for (const [field, keys] of Object.entries(MONEY_ARGS[toolName] || {})) {
+        fieldCurrencies[field] = keys.map((k) => given[k]).find(Boolean) || "AED";
+    }
+    const { values, conversions, unsupported } = convertFieldsToAED(args, fieldCurrencies);
+
+    const ccy = normalizeCurrency(currency);
+    for (const [key, fields] of Object.entries(NESTED_MONEY_ARGS)) {
+        if (!Array.isArray(values[key]) || !currency || ccy === "AED") continue;
+        values[key] = values[key].map((item) => {
+            const out = { ...item };
+            for (const field of fields) {
+                if (out[field] == null) continue;
+                const amountAED = toAED(out[field], ccy);
+                if (amountAED == null) {
+                    unsupported.push({ field: key, currency: ccy });
+                    continue;
+                }
+                conversions.push({ field: `${key}.${field}`, currency: ccy, amount: out[field], amountAED, rate: getFxTable().rates[ccy], asOf: getFxTable().asOf });
+                out[field] = amountAED;
+            }
+            return out;
+        });
+    }
+    return { args: values, conversions, unsupported };
+}
+
+function describeConversions(conversions, locale = DEFAULT_LOCALE) {
+    return (conversions || []).map((c) => t(locale, "conversion", { c, field: label(locale, "fields", c.field, c.field) }));
+}
+
+// Second currency for results: explicit choice, else the one the user priced things in
+function pickDisplayCurrency(explicit, remembered, conversions) {
+    const ccy = normalizeCurrency(explicit || remembered || conversions?.[0]?.currency);
+    return ccy !== "AED" && fromAED(1, ccy) != null ? ccy : null;
+}
+
+/* ============================================================
+   INPUT CROSS-CHECK (numbers the user typed vs the tool args)
+   ============================================================ */
+
+// Currency the model gave this field in (amounts are still unconverted here)
+function argCurrency(field, args) {
+    if (field === "monthlyIncome" && args.incomeCurrency) return normalizeCurrency(args.incomeCurrency);
+    if (field === "savings" && args.savingsCurrency) return normalizeCurrency(args.savingsCurrency);
+    return normalizeCurrency(args.currency);
+}
+
+function describeArgValue(field, value, args, locale = DEFAULT_LOCALE) {
+    if (field === "stayYears" || field === "tenureYears") return t(locale, "common.years", { n: value });
+    if (field === "annualRate") return formatPercent(toDecimalRate(value), locale, 2);
+    return formatCurrency(value, argCurrency(field, args), locale);
+}
+
+// Disagreements between the last user message and a tool call's args
+function checkCallAgainstMessage(call, text, state) {
+    if (typeof text !== "string") return [];
+    // A remembered AED price can't size a down payment given in another currency
+    const knownPrice = argCurrency("price", call.args) === "AED" ? state.extractedData?.price : null;
+    // A restated salary the model left out is checked against the known income the tool will use
+    const args = withKnownIncome(call.args, state);
+    return crossCheckToolArgs(parseUserInputs(text, { knownPrice }), call.name, args);
+}
+
+// Asked instead of calculating, so a misread number never reaches the tools
+function clarificationQuestion(mismatches, args, locale = DEFAULT_LOCALE) {
+    const lines = mismatches.map((m) => {
+        const value = (v) => describeArgValue(m.field, v, args, locale);
+        const price = (v) => describeArgValue("price", v, args, locale);
+        let said = t(locale, "clarification.said", { source: m.source });
+        if (m.percent != null && m.expected != null) {
+            said += t(locale, "clarification.percentOfPrice", { value: value(m.expected), price: price(m.base) });
+        } else if (m.expected != null && !["stayYears", "tenureYears"].includes(m.field)) {
+            said += t(locale, "clarification.expected", { value: value(m.expected) });
+        }
+        let read = t(locale, "clarification.notPicked");
+        if (m.used != null) {
+            read = t(locale, "clarification.readAs", { value: value(m.used) });
+            if (m.percent != null && m.expected == null && args.price > 0) {
+                read += t(locale, "clarification.shareOfPrice", { share: m.used / args.price, price: price(args.price) });
+            }
+        }
+        return t(locale, "clarification.line", { field: label(locale, "fields", m.field, m.field), said, read });
+    });
+    return t(locale, "clarification.message", { lines });
 }
 
 /* ============================================================
    SYSTEM PROMPT - LLM AS BRAIN
    ============================================================ */
 
-const SYSTEM_PROMPT = `You are a helpful mortgage assistant for UAE expats helping them decide between buying vs renting.
+// Built per call so the defaults it quotes follow the active assumption set
+function buildSystemPrompt() {
+    const { interest, tenure, affordability } = getAssumptions();
+    const pct = (r) => `${+(r * 100).toFixed(2)}%`;
+    return `You are a helpful mortgage assistant for UAE expats helping them decide between buying vs renting.
 
 Your job:
 1. Understand what the user is saying naturally (e.g., "8 years", "8", "around 8 yrs" all mean stay duration of 8 years)
@@ -27,19 +257,37 @@ Your job:
    - Property price (AED)
    - Down payment amount (AED or percentage like "20%")
    - Monthly rent (AED)
-   - Loan tenure (default 25 years, but user may ask to change it to 15, 20, etc.)
+   - Loan tenure (default ${tenure.defaultYears} years, maximum ${tenure.maxYears}, but user may ask to change it to 15, 20, etc.)
+   - Buyer profile, which changes the maximum loan (LTV): residency (UAE-resident expat, UAE national, or non-resident), whether it is their first home in the UAE, and whether the property is off-plan
+     - Ask about these when relevant: price above AED 5M, user mentions another property, being a UAE national, living abroad, or buying off-plan
+     - If the user hasn't said, assume a UAE-resident expat buying their first, ready property and mention that assumption
+   - Emirate where the property is (Dubai, Abu Dhabi, Sharjah, ...) - transfer and registration fees differ; assume Dubai if not mentioned
+   - Expected rent increases (optional): a fixed yearly % (rentIncreaseRate), or for Dubai the area and unit type of their current rental (rentArea, rentUnitType) so RERA rent-increase caps can be applied
+   - Monthly income and existing debts (car loan, personal loan EMIs, credit card limits) if the user mentions them - pass them to calculate_mortgage so it can check the ${pct(affordability.dbrLimit)} debt-burden ratio (income from an uploaded salary slip is added automatically)
+   - Savings (optional): if the user says how much cash they have, pass it as savings so the app can check it covers the down payment and fees
+   - Currency: many users are paid or save abroad (USD, GBP, INR, ...). Pass amounts exactly as the user stated them and set currency (or incomeCurrency / savingsCurrency when only the salary or savings are in another currency); the tools convert to AED using the app's FX table
+     - If the user wants to see results in their home currency, pass displayCurrency (e.g. "GBP")
+   - Interest rate (optional, default ${pct(interest.defaultRate)}). Users may describe a fixed-then-variable product, e.g. "3-year fixed at 3.99% then EIBOR + 1.5%":
+     pass fixedYears=3, fixedRate=0.0399, eiborMargin=0.015 (and eiborRate, rateFloor, rateCap if they mention them)
 
 3. When you have ALL required info (stay duration, price, down payment, rent), call the calculate_mortgage tool
 4. If user asks to change ANY parameter (tenure, down payment, etc.), immediately recalculate by calling the tool again with updated values
+   - If one message asks for several things (e.g., "recalculate with 20% down and show what a 100k prepayment does"), call each tool you need; you will see earlier results before deciding on the next call
 5. If user asks "how did you calculate?", call the explain_calculation tool
-6. **IMPORTANT - Soft Close Response:** If you previously showed a "Next Step" / pre-qualification offer and the user accepts it (e.g., "yes", "okay", "sure", "that's fine"), do NOT repeat the calculation. Instead, provide a brief pre-approval summary with actionable next steps like:
-   - Mention they should gather documents (Emirates ID, salary certificate, bank statements)
-   - Suggest contacting 2-3 UAE banks for rate comparison
-   - Offer to help with any other mortgage questions
+   - If user asks how much they would still owe after N years (e.g., "if I leave the UAE after 5 years"), call explain_calculation with afterYears = N
+6. If user asks how much they can afford (e.g., "how much house can I afford on AED 35k a month with AED 400k saved?"), call max_affordable_price with their savings (and income, existing debts, tenure, emirate if mentioned). Never estimate a budget yourself
+7. If user wants to pay down the loan early (annual bonus, end-of-service gratuity, a lump sum), call simulate_prepayment
+   - Use lumpSums for one-off payments (afterYears + amount) and annualPrepayment for yearly ones
+   - mode "reduce_tenure" (default) keeps the EMI and finishes early; "reduce_emi" keeps the end date and lowers the EMI
+8. If user wants options side by side ("15 vs 25 years", "10% vs 25% down", "the 1.8M villa vs the 1.2M apartment"), call compare_scenarios once with the base scenario and one variation per option
+   - A variation only lists what differs from the base; name variations A, B, C... unless the user names them
+   - Compared scenarios are saved by name. When the user refers to one ("scenario B", "the villa option"), take its numbers from the saved scenarios listed at the end of these instructions
+9. **IMPORTANT - Soft Close Response:** If you previously showed a "Next Step" / pre-qualification offer and the user accepts it (e.g., "yes", "okay", "sure", "that's fine"), do NOT repeat the calculation. Call generate_preapproval_summary instead: it creates the downloadable pre-approval summary (reference number, expiry date, document checklist) and the next steps
+   - Also call it whenever the user asks for the summary, a PDF or a document to take to the bank
    - DO NOT ask them again if they want pre-qualification - they already said yes
 
 Rules:
-- Assume all money values are in AED unless stated otherwise
+- Money values are in AED unless the user names another currency ("$5,000", "£80k", "2 lakh rupees") - never convert currencies yourself, pass the currency to the tool
 - Understand variations: "2000", "2k", "2000 AED", "around 2000" all mean 2000
 - Understand percentages: "20%" or "20% of price" means 20% of property price as down payment
 - When user asks "what if I change tenure to 20 years?" or "if I pay 20% down?", IMMEDIATELY call calculate_mortgage with the new values
@@ -49,6 +297,7 @@ Rules:
 - Pay attention to conversation flow - if user accepted an offer, move forward, don't repeat
 
 Current conversation context will be provided in messages.`;
+}
 
 /* ============================================================
    STATE SCHEMA (Zod)
@@ -62,41 +311,352 @@ const StateSchema = z.object({
             price: z.number().nullable().default(null),
             down: z.number().nullable().default(null),
             rent: z.number().nullable().default(null),
-            tenureYears: z.number().default(25),
+            tenureYears: z.number().default(() => getAssumptions().tenure.defaultYears),
+            residency: z.enum(["expat", "national", "non_resident"]).nullable().default(null),
+            firstHome: z.boolean().nullable().default(null),
+            offPlan: z.boolean().nullable().default(null),
+            emirate: z.string().nullable().default(null),
+            rentEscalation: z.any().nullable().default(null),
+            savings: z.number().nullable().default(null),
+            displayCurrency: z.string().nullable().default(null),
+            liabilities: z
+                .object({
+                    carLoanEmi: z.number().optional(),
+                    personalLoanEmi: z.number().optional(),
+                    otherEmi: z.number().optional(),
+                    creditCardLimits: z.number().optional(),
+                })
+                .nullable()
+                .default(null),
         })
-        .default({
+        .default(() => ({
             stayYears: null,
             price: null,
             down: null,
             rent: null,
-            tenureYears: 25,
-        }),
+            tenureYears: getAssumptions().tenure.defaultYears,
+            residency: null,
+            firstHome: null,
+            offPlan: null,
+            emirate: null,
+            rentEscalation: null,
+            savings: null,
+            displayCurrency: null,
+            liabilities: null,
+        })),
+    // Monthly income with its source and salary slip breakdown (see income.js)
+    income: IncomeSchema.nullable().default(null),
     lastCalculation: z.string().nullable().default(null),
+    // Soft-close offers and nudges shown so far, and how the user answered (see qualification.js)
+    softClose: SoftCloseStateSchema.default(initialSoftCloseState),
+    // Latest pre-approval summary issued in this conversation (the document itself is stored separately)
+    preApproval: z.object({ reference: z.string(), issuedAt: z.string(), expiresAt: z.string() }).nullable().default(null),
+    // Scenarios from compare_scenarios, by name, so later turns can refer back to them
+    savedScenarios: z
+        .array(z.object({ name: z.string(), inputs: z.any(), monthlyEmi: z.number(), recommendation: z.string() }))
+        .default([]),
+    // Language and digits for this turn's replies, from the user's account (see i18n.js)
+    locale: z
+        .object({ language: z.enum(LANGUAGES), numerals: z.enum(NUMERAL_SYSTEMS) })
+        .default(() => ({ ...DEFAULT_LOCALE })),
+    // Per-turn scratch for the intent → tools loop (not carried between turns)
+    pendingToolCalls: z.array(z.object({ name: z.string(), args: z.any() })).default([]),
+    toolResults: z.array(z.any()).default([]),
+    toolRounds: z.number().default(0),
+    draftReply: z.string().nullable().default(null),
+    // What follows this turn's calculation: readiness plus the soft-close action
+    qualification: z.any().nullable().default(null),
+    // Set when the guardrail refused the message: { reason, detail } (see guardrails.js)
+    blocked: z.object({ reason: z.string(), detail: z.string() }).nullable().default(null),
+});
+
+/* ============================================================
+   TOOL ARGUMENTS - ONE ZOD SOURCE PER TOOL
+   ============================================================
+   What the model may pass to each tool is declared once, here. The
+   function declaration it sees is generated from the schema
+   (toDeclaration), every call is validated against it before its tool
+   node runs it, and the LangChain tool extends it with the fields the
+   agent fills in from state (AGENT_ARGS). Amounts are in whatever
+   currency the user gave; the tool node converts them to AED. */
+
+const RESIDENCIES = ["expat", "national", "non_resident"];
+
+const currencyArg = z
+    .string()
+    .optional()
+    .describe("ISO code of the currency the user gave amounts in, e.g. USD, GBP, INR (default AED). Pass amounts unconverted");
+const displayCurrencyArg = z.string().optional().describe("Also show results in this currency, e.g. GBP");
+// Capped at the active assumption set's maximum tenure, both when a call is
+// validated and in the declaration (toDeclaration fills in its maximum)
+const TenureYears = z
+    .number()
+    .min(1)
+    .refine((years) => years <= getAssumptions().tenure.maxYears, {
+        error: () => `Tenure can be at most ${getAssumptions().tenure.maxYears} years`,
+    });
+const tenureArg = TenureYears.optional().describe("Loan tenure in years (omit for the default)");
+
+// A flat rate, or a fixed period followed by EIBOR plus a margin; rates are decimals
+const RateArgs = {
+    annualRate: z.number().min(0).optional().describe("Flat annual rate as a decimal, e.g. 0.045 (omit for the default rate)"),
+    fixedYears: z.number().min(0).optional().describe("Years the introductory fixed rate applies"),
+    fixedRate: z.number().min(0).optional().describe("Fixed-period rate as a decimal, e.g. 0.0399"),
+    eiborRate: z.number().min(0).optional().describe("EIBOR reference rate after the fixed period as a decimal (default 3M EIBOR)"),
+    eiborMargin: z.number().min(0).optional().describe("Bank margin over EIBOR as a decimal, e.g. 0.015"),
+    rateFloor: z.number().min(0).optional().describe("Minimum variable rate as a decimal"),
+    rateCap: z.number().min(0).optional().describe("Maximum variable rate as a decimal"),
+};
+
+const BuyerArgs = {
+    residency: z.enum(RESIDENCIES).optional().describe("Buyer residency (default expat resident)"),
+    firstHome: z.boolean().optional().describe("First home in the UAE (default true)"),
+    offPlan: z.boolean().optional().describe("Off-plan property (default false)"),
+    emirate: z.enum(EMIRATES).optional().describe("Emirate of the property (default dubai); sets the transfer and registration fees"),
+};
+
+const DebtArgs = {
+    carLoanEmi: z.number().min(0).optional().describe("Existing monthly car loan payment in AED"),
+    personalLoanEmi: z.number().min(0).optional().describe("Existing monthly personal loan payment in AED"),
+    creditCardLimits: z.number().min(0).optional().describe("Total credit card limits in AED"),
+};
+
+const RentEscalationArgs = {
+    rentIncreaseRate: z.number().min(0).optional().describe("Expected annual rent increase as a decimal, e.g. 0.05"),
+    rentArea: z
+        .string()
+        .optional()
+        .describe("Dubai area of the current rental for RERA rent caps, e.g. dubai_marina, downtown_dubai, business_bay, jumeirah_village_circle, jumeirah_lake_towers, dubai_hills, international_city"),
+    rentUnitType: z.enum(RENT_UNIT_TYPES).optional().describe("Unit type of the current rental"),
+};
+
+const CalculateMortgageArgs = z.object({
+    stayYears: z.number().positive().describe("Years user plans to stay in UAE"),
+    price: z.number().positive().describe("Property price in AED"),
+    downPayment: z.number().min(0).describe("Down payment in AED"),
+    rent: z.number().min(0).describe("Monthly rent in AED"),
+    tenureYears: tenureArg,
+    ...RateArgs,
+    ...BuyerArgs,
+    monthlyIncome: z.number().positive().optional().describe("Monthly income in AED, if known"),
+    savings: z.number().min(0).optional().describe("Cash the user has for the down payment and fees, if they said"),
+    ...DebtArgs,
+    ...RentEscalationArgs,
+    currency: currencyArg,
+    incomeCurrency: z.string().optional().describe("Currency of monthlyIncome if different from currency"),
+    savingsCurrency: z.string().optional().describe("Currency of savings if different from currency"),
+    displayCurrency: displayCurrencyArg,
+});
+
+const ExplainCalculationArgs = z.object({
+    afterYears: z.number().positive().optional().describe("Years after which to show the outstanding loan balance"),
 });
 
+const SimulatePrepaymentArgs = z.object({
+    lumpSums: z
+        .array(
+            z.object({
+                afterYears: z.number().positive().describe("Years from loan start"),
+                amount: z.number().positive().describe("Amount in AED"),
+            })
+        )
+        .optional()
+        .describe("One-off prepayments"),
+    annualPrepayment: z.number().positive().optional().describe("Amount in AED prepaid every year (e.g. annual bonus)"),
+    annualPrepaymentStartYear: z.number().min(1).optional().describe("Year of the first annual prepayment (default 1)"),
+    mode: z.enum(["reduce_tenure", "reduce_emi"]).optional().describe("Keep EMI and finish early, or keep end date and lower EMI"),
+    currency: currencyArg,
+});
+
+const MaxAffordablePriceArgs = z.object({
+    monthlyIncome: z.number().positive().optional().describe("Monthly income in AED (omit if already known from the salary slip)"),
+    savings: z.number().min(0).describe("Cash available for down payment and fees in AED"),
+    ...DebtArgs,
+    tenureYears: tenureArg,
+    ...RateArgs,
+    ...BuyerArgs,
+    currency: currencyArg,
+    incomeCurrency: z.string().optional().describe("Currency of monthlyIncome if different from currency"),
+    savingsCurrency: z.string().optional().describe("Currency of savings if different from currency (e.g. savings held abroad)"),
+    displayCurrency: displayCurrencyArg,
+});
+
+const CompareScenariosArgs = z.object({
+    baseName: z.string().optional().describe("Name of the base scenario (default Base)"),
+    stayYears: z.number().positive().optional().describe("Years user plans to stay in UAE"),
+    price: z.number().positive().optional().describe("Base property price in AED"),
+    downPayment: z.number().min(0).optional().describe("Base down payment in AED"),
+    downPaymentPercent: z.number().min(0).optional().describe("Base down payment as a share of price, e.g. 0.2 for 20% (use instead of downPayment)"),
+    rent: z.number().min(0).optional().describe("Monthly rent in AED"),
+    tenureYears: tenureArg,
+    ...RateArgs,
+    ...BuyerArgs,
+    ...RentEscalationArgs,
+    variations: z
+        .array(
+            z.object({
+                name: z.string().optional().describe("Scenario name, e.g. A, B or the user's label"),
+                price: z.number().positive().optional().describe("Property price in AED"),
+                downPayment: z.number().min(0).optional().describe("Down payment in AED"),
+                downPaymentPercent: z.number().min(0).optional().describe("Down payment as a share of this scenario's price, e.g. 0.25"),
+                rent: z.number().min(0).optional().describe("Monthly rent in AED"),
+                stayYears: z.number().positive().optional().describe("Years in the UAE"),
+                tenureYears: TenureYears.optional().describe("Loan tenure in years"),
+                annualRate: z.number().min(0).optional().describe("Flat annual rate as a decimal"),
+                emirate: z.enum(EMIRATES).optional().describe("Emirate of the property"),
+            })
+        )
+        .min(1)
+        .describe("One entry per alternative; list only the values that differ from the base"),
+    currency: currencyArg,
+});
+
+const PreApprovalSummaryArgs = z.object({});
+
+// Fields the agent fills in from state before a tool runs; the model never sees them
+const AGENT_ARGS = {
+    calculationData: z.string().nullable().optional().describe("JSON string of the last calculation result (set by the agent, not the model)"),
+    currencyConversions: z.array(z.any()).optional().describe("Conversions applied to the user's amounts (set by the agent, not the model)"),
+    locale: z.any().optional().describe("Language and digits of the reply (set by the agent, not the model)"),
+    income: IncomeSchema.nullable().optional().describe("Known income, for where it came from (set by the agent, not the model)"),
+    baseRate: z.any().optional().describe("Rate of the last calculation (set by the agent, not the model)"),
+    knownRentEscalation: z.any().optional().describe("Rent escalation of the last calculation (set by the agent, not the model)"),
+};
+
+const agentArgs = (...names) => Object.fromEntries(names.map((name) => [name, AGENT_ARGS[name]]));
+
+// JSON Schema keywords that both Gemini and OpenAI-compatible function declarations accept
+const DECLARATION_KEYWORDS = ["type", "description", "enum", "properties", "required", "items", "minimum", "maximum"];
+
+function toDeclarationSchema(node) {
+    const out = {};
+    for (const key of DECLARATION_KEYWORDS) {
+        if (node[key] === undefined) continue;
+        if (key === "properties") {
+            out.properties = Object.fromEntries(Object.entries(node.properties).map(([name, child]) => [name, toDeclarationSchema(child)]));
+        } else if (key === "items") {
+            out.items = toDeclarationSchema(node.items);
+        } else {
+            out[key] = node[key];
+        }
+    }
+    return out;
+}
+
+// Limits that come from the assumption set, filled in when the declaration is built
+function withAssumedLimits({ zodSchema, jsonSchema }) {
+    if (zodSchema === TenureYears) jsonSchema.maximum = getAssumptions().tenure.maxYears;
+}
+
+// The function declaration the model gets: the tool's name and description, parameters
+// from its argument schema. Built per request so assumption overrides show up in it.
+function toDeclaration(langchainTool, argsSchema) {
+    return {
+        name: langchainTool.name,
+        description: langchainTool.description,
+        parameters: toDeclarationSchema(z.toJSONSchema(argsSchema, { io: "input", override: withAssumedLimits })),
+    };
+}
+
+// Validation problems as [{ field, message }]; "variations.1.price" points into arrays
+const issuesFrom = (zodIssues) => zodIssues.map((issue) => ({ field: issue.path.join("."), message: issue.message }));
+
+// What a tool returns when the calculation refused its input; the tool node hands it back to the model
+const invalidArguments = (issues) => JSON.stringify({ error: "invalid_arguments", issues });
+
+function invalidArgumentsIn(content) {
+    if (typeof content !== "string" || !content.startsWith("{")) return null;
+    try {
+        const parsed = JSON.parse(content);
+        return parsed?.error === "invalid_arguments" ? parsed.issues : null;
+    } catch {
+        return null;
+    }
+}
+
+// Field names in the calculation inputs (agent.js) → the tool argument the model gave
+const ARG_NAMES = {
+    monthlyRent: "rent",
+    "profile.residency": "residency",
+    "profile.firstHome": "firstHome",
+    "profile.offPlan": "offPlan",
+    "annualRate.fixedYears": "fixedYears",
+    "annualRate.fixedRate": "fixedRate",
+    "annualRate.referenceRate": "eiborRate",
+    "annualRate.margin": "eiborMargin",
+    "annualRate.floorRate": "rateFloor",
+    "annualRate.capRate": "rateCap",
+    "liabilities.carLoanEmi": "carLoanEmi",
+    "liabilities.personalLoanEmi": "personalLoanEmi",
+    "liabilities.creditCardLimits": "creditCardLimits",
+};
+
+const toArgIssues = (issues) => issues.map((issue) => ({ ...issue, field: ARG_NAMES[issue.field] ?? issue.field }));
+
 /* ============================================================
    TOOLS - LangChain Tool Format
    ============================================================ */
 
 const calculateMortgageTool = tool(
-    async ({ stayYears, price, downPayment, rent, tenureYears = 25 }) => {
+    async ({
+        stayYears,
+        price,
+        downPayment,
+        rent,
+        tenureYears = getAssumptions().tenure.defaultYears,
+        residency,
+        firstHome,
+        offPlan,
+        emirate = "dubai",
+        monthlyIncome,
+        carLoanEmi,
+        personalLoanEmi,
+        creditCardLimits,
+        rentIncreaseRate,
+        rentArea,
+        rentUnitType,
+        displayCurrency,
+        currencyConversions = [],
+        ...rateArgs
+    }) => {
         console.log("🟢 [TOOL CALL] calculate_mortgage - Starting calculation with params:", {
             stayYears,
             price,
             downPayment,
             rent,
-            tenureYears
+            tenureYears,
+            residency,
+            firstHome,
+            offPlan,
+            emirate,
+            monthlyIncome,
+            rentIncreaseRate,
+            rentArea,
+            rentUnitType,
+            displayCurrency,
+            ...rateArgs
         });
 
+        const rentEscalation = buildRentEscalation({ rentIncreaseRate, rentArea, rentUnitType });
+
+        const annualRate = buildRateInput(rateArgs);
+
         // Call EMI calculator
         console.log("  ↳ [EMI TOOL] Calling EMI calculator...");
         const emiResult = await runEmiTool({
             price,
             downPayment,
-            annualRate: 0.045,
+            annualRate,
             tenureYears,
+            profile: { residency, firstHome, offPlan },
+            emirate,
         });
+        if (emiResult.error) {
+            console.log("  ↳ [EMI TOOL] Invalid input:", emiResult.issues);
+            return invalidArguments(toArgIssues(emiResult.issues));
+        }
         console.log("  ↳ [EMI TOOL] Result:", {
+            ltvRule: emiResult.ltvRule?.id,
             loanAmount: emiResult.loanAmount,
             monthlyEmi: emiResult.monthlyEmi,
             monthlyInterest: emiResult.monthlyInterestPortion
@@ -104,288 +664,999 @@ const calculateMortgageTool = tool(
 
         // Call buy vs rent recommendation
         console.log("  ↳ [BUY_VS_RENT TOOL] Calling recommendation engine...");
-        const recommendation = buyVsRentRecommendation({
+        const recommendation = await runBuyVsRentTool({
             stayYears,
             monthlyRent: rent,
-            monthlyInterestPortion: emiResult.monthlyInterestPortion,
+            price,
+            downPayment: price - emiResult.loanAmount,
+            loanAmount: emiResult.loanAmount,
+            annualRate,
+            tenureYears,
+            upfrontCosts: emiResult.upfrontCostEstimate,
+            rentEscalation,
         });
+        if (recommendation.error) {
+            console.log("  ↳ [BUY_VS_RENT TOOL] Invalid input:", recommendation.issues);
+            return invalidArguments(toArgIssues(recommendation.issues));
+        }
         console.log("  ↳ [BUY_VS_RENT TOOL] Recommendation:", recommendation.recommendation.toUpperCase());
+
+        // Balance still owed if the user sells when they leave the UAE
+        const schedule = buildAmortizationSchedule(emiResult.loanAmount, annualRate, tenureYears);
+        const balanceAtStayEnd = outstandingBalanceAt(schedule, Math.round(stayYears * 12));
+        console.log("  ↳ [AMORTIZATION] Balance after stay:", balanceAtStayEnd);
+
+        // Debt-burden-ratio check whenever we know the user's income
+        let affordability = null;
+        if (monthlyIncome) {
+            console.log("  ↳ [AFFORDABILITY TOOL] Running DBR check...");
+            affordability = await runAffordabilityTool({
+                monthlyIncome,
+                loanAmount: emiResult.loanAmount,
+                annualRate,
+                tenureYears,
+                liabilities: { carLoanEmi, personalLoanEmi, creditCardLimits },
+            });
+            if (affordability.error) affordability = null;
+            console.log("  ↳ [AFFORDABILITY TOOL] DBR:", affordability?.dbr, "passes:", affordability?.passes);
+        }
         console.log("🟢 [TOOL CALL] calculate_mortgage - Complete");
 
         return JSON.stringify({
             emi: emiResult,
             recommendation,
-            inputs: { stayYears, price, downPayment, rent, tenureYears },
+            amortization: {
+                balanceAtStayEnd,
+                principalRepaidByStayEnd: emiResult.loanAmount - balanceAtStayEnd,
+            },
+            affordability,
+            inputs: { stayYears, price, downPayment, rent, tenureYears, annualRate, profile: emiResult.ltvRule?.profile, emirate, rentEscalation },
+            currency: {
+                conversions: currencyConversions,
+                display: displayCurrency
+                    ? { currency: displayCurrency, aedPerUnit: toAED(1, displayCurrency), asOf: getFxTable().asOf }
+                    : null,
+            },
+            assumptions: assumptionStamp(),
         });
     },
     {
         name: "calculate_mortgage",
-        description: "Calculate EMI and buy vs rent recommendation. Call this when you have: stay duration, property price, down payment, and monthly rent. Returns EMI details and recommendation.",
-        schema: z.object({
-            stayYears: z.number().describe("Number of years user plans to stay in UAE"),
-            price: z.number().describe("Property price in AED"),
-            downPayment: z.number().describe("Down payment amount in AED"),
-            rent: z.number().describe("Monthly rent in AED"),
-            tenureYears: z.number().default(25).describe("Loan tenure in years (default 25)"),
-        }),
+        description: "Calculate EMI and buy vs rent recommendation when you have all required info: stay duration, property price, down payment, and monthly rent.",
+        schema: CalculateMortgageArgs.extend(agentArgs("currencyConversions")),
     }
 );
 
 const explainCalculationTool = tool(
-    async ({ calculationData }) => {
+    async ({ calculationData, afterYears, locale = DEFAULT_LOCALE }) => {
         console.log("🟢 [TOOL CALL] explain_calculation - Explaining previous calculation");
 
         if (!calculationData) {
             console.log("  ↳ [EXPLAIN] No calculation data available");
-            return "No calculation has been performed yet. Please provide your details first.";
+            return t(locale, "explain.noCalculation");
         }
 
         const data = JSON.parse(calculationData);
-        const { emi, recommendation, inputs } = data;
+        const { emi, recommendation, affordability, inputs, currency, assumptions } = data;
         console.log("  ↳ [EXPLAIN] Formatting detailed explanation for user");
 
-        return `Here's how I calculated it:
+        const annualRate = inputs.annualRate;
+        const schedule = buildAmortizationSchedule(emi.loanAmount, annualRate, inputs.tenureYears);
+        const yearly = summarizeScheduleByYear(schedule);
+
+        const checkpoints = [inputs.stayYears];
+        if (typeof afterYears === "number" && afterYears > 0 && afterYears !== inputs.stayYears) {
+            checkpoints.push(afterYears);
+        }
+        const balanceLines = checkpoints.map((y) => {
+            const owed = outstandingBalanceAt(schedule, Math.round(y * 12));
+            return t(locale, "explain.balance", { years: y, owed, repaid: emi.loanAmount - owed });
+        });
+        const tableYears = Math.min(yearly.length, Math.max(...checkpoints.map(Math.ceil)));
+
+        const conversionLines = describeConversions(currency?.conversions, locale);
+        const ccy = currency?.display?.currency;
+        const homeCurrencySection = ccy
+            ? t(locale, "explain.homeCurrency", {
+                  ccy,
+                  aedPerUnit: currency.display.aedPerUnit,
+                  asOf: currency.display.asOf,
+                  price: formatMoney(inputs.price, ccy, locale),
+                  emi: formatMoney(emi.monthlyEmi, ccy, locale),
+                  upfront: formatMoney(emi.upfrontCostEstimate, ccy, locale),
+                  buying: recommendation.netAdvantage >= 0,
+                  netAdvantage: formatMoney(Math.abs(recommendation.netAdvantage), ccy, locale),
+              })
+            : "";
+
+        return t(locale, "explain.body", {
+            conversionSection: conversionLines.length ? t(locale, "explain.conversions", { lines: conversionLines }) : "",
+            inputs,
+            emi,
+            ltvLabel: ltvRuleLabel(emi.ltvRule, locale),
+            emirate: emirateLabel(emi.upfrontCosts.emirate, locale),
+            items: localizedUpfrontItems(emi.upfrontCosts.items, locale),
+            rateText: describeRate(annualRate, locale),
+            shockLine: describePaymentShock(emi.paymentShock, locale),
+            balanceLines,
+            yearly: yearly.slice(0, tableYears),
+            affordabilitySection: affordability
+                ? t(locale, "explain.affordability", { limit: affordability.dbrLimit, lines: describeAffordability(affordability, locale) })
+                : "",
+            rationale: t(locale, "explain.rationale", { recommendation }),
+            recommendation,
+            breakEven: t(locale, "explain.breakEven", { year: recommendation.breakEvenYear, maxYears: recommendation.assumptions.maxBreakEvenYears }),
+            rentProjection: describeRentProjection(recommendation.rentProjection, locale),
+            recommendationLabel: t(locale, `common.recommendation.${recommendation.recommendation}`),
+            homeCurrencySection,
+            assumptionSet: describeAssumptionSet(assumptions, locale),
+        });
+    },
+    {
+        name: "explain_calculation",
+        description: "Explain calculation details when user asks how you calculated",
+        schema: ExplainCalculationArgs.extend(agentArgs("calculationData", "locale")),
+    }
+);
+
+const simulatePrepaymentTool = tool(
+    async ({ calculationData, lumpSums = [], annualPrepayment, annualPrepaymentStartYear, mode = "reduce_tenure", locale = DEFAULT_LOCALE }) => {
+        console.log("🟢 [TOOL CALL] simulate_prepayment - Simulating overpayments", { lumpSums, annualPrepayment, mode });
 
-**Loan Details:**
-• Property price: AED ${inputs.price.toLocaleString()}
-• Down payment: AED ${inputs.downPayment.toLocaleString()}
-• Loan amount (80% LTV): AED ${emi.loanAmount.toLocaleString()}
-• Upfront costs (≈7%): AED ${emi.upfrontCostEstimate.toLocaleString()}
+        if (!calculationData) {
+            console.log("  ↳ [PREPAYMENT] No calculation data available");
+            return t(locale, "prepayment.noCalculation");
+        }
 
-**EMI Calculation:**
-• Interest rate: 4.5% per year
-• Loan tenure: ${inputs.tenureYears} years
-• Monthly EMI: AED ${emi.monthlyEmi.toLocaleString()}
-• First month interest portion: AED ${emi.monthlyInterestPortion.toLocaleString()}
+        const { emi, inputs } = JSON.parse(calculationData);
+        const result = await runPrepaymentTool({
+            loanAmount: emi.loanAmount,
+            annualRate: inputs.annualRate,
+            tenureYears: inputs.tenureYears,
+            lumpSums: lumpSums.map((l) => ({ month: Math.max(1, Math.round(l.afterYears * 12)), amount: l.amount })),
+            recurring: annualPrepayment
+                ? { amount: annualPrepayment, everyMonths: 12, startMonth: Math.max(1, Math.round((annualPrepaymentStartYear || 1) * 12)) }
+                : null,
+            mode,
+        });
+        if (result.error) {
+            console.log("  ↳ [PREPAYMENT] Invalid input:", result.issues);
+            return invalidArguments(toArgIssues(result.issues));
+        }
+        console.log("  ↳ [PREPAYMENT] Interest saved:", result.interestSaved);
+
+        const more = result.prepayments.length - 10;
+        return t(locale, "prepayment.body", {
+            modeLine: result.mode === "reduce_emi"
+                ? t(locale, "prepayment.reduceEmi", { emi: result.withPrepayment.monthlyEmiFinal })
+                : t(locale, "prepayment.reduceTenure", { emi: result.baseline.monthlyEmi }),
+            result,
+            duration: (months) => t(locale, "prepayment.duration", { months }),
+            events: result.prepayments.slice(0, 10),
+            more: more > 0 ? t(locale, "prepayment.more", { count: more }) : "",
+            assumptionSet: describeAssumptionSet(undefined, locale),
+        });
+    },
+    {
+        name: "simulate_prepayment",
+        description: "Simulate lump-sum or recurring overpayments (annual bonus, gratuity) on the last calculated mortgage: interest saved, new payoff date, early-settlement fees.",
+        schema: SimulatePrepaymentArgs.extend(agentArgs("calculationData", "locale")),
+    }
+);
 
-**Recommendation Logic:**
-${recommendation.rationale}
+const maxAffordablePriceTool = tool(
+    async ({
+        monthlyIncome,
+        savings,
+        carLoanEmi,
+        personalLoanEmi,
+        creditCardLimits,
+        tenureYears = getAssumptions().tenure.defaultYears,
+        residency,
+        firstHome,
+        offPlan,
+        emirate = "dubai",
+        displayCurrency,
+        currencyConversions = [],
+        locale = DEFAULT_LOCALE,
+        ...rateArgs
+    }) => {
+        console.log("🟢 [TOOL CALL] max_affordable_price - Solving for maximum price", { monthlyIncome, savings, tenureYears, emirate });
+
+        if (!monthlyIncome) {
+            return t(locale, "maxPrice.needIncome");
+        }
 
-• Stay duration: ${inputs.stayYears} years
-• Monthly rent: AED ${inputs.rent.toLocaleString()}
-• Recommendation: **${recommendation.recommendation.toUpperCase()}**`;
+        const annualRate = buildRateInput(rateArgs);
+        const result = await runMaxPriceTool({
+            monthlyIncome,
+            savings: savings ?? 0,
+            liabilities: { carLoanEmi, personalLoanEmi, creditCardLimits },
+            tenureYears,
+            annualRate,
+            profile: { residency, firstHome, offPlan },
+            emirate,
+        });
+        if (result.error) {
+            console.log("  ↳ [MAX PRICE] Invalid input:", result.issues);
+            return invalidArguments(toArgIssues(result.issues));
+        }
+        console.log("  ↳ [MAX PRICE] Result:", { maxPrice: result.maxPrice, binding: result.bindingConstraint });
+
+        const ltvLabel = ltvRuleLabel(result.ltvRule, locale);
+        const conversionLines = describeConversions(currencyConversions, locale);
+
+        return t(locale, "maxPrice.body", {
+            conversionSection: conversionLines.length ? t(locale, "maxPrice.convertedFirst", { lines: conversionLines }) : "",
+            money: (n) => formatMoney(n, displayCurrency, locale),
+            result,
+            ltvLabel,
+            emirate: emirateLabel(result.upfrontCosts.emirate, locale),
+            savings: savings ?? 0,
+            rateText: describeRate(annualRate, locale),
+            tenureYears,
+            bindingText: t(locale, `maxPrice.binding.${result.bindingConstraint}`, { result, ltvLabel }),
+            assumptionSet: describeAssumptionSet(undefined, locale),
+        });
     },
     {
-        name: "explain_calculation",
-        description: "Explain how the EMI and recommendation were calculated. Call this when user asks 'how did you calculate?' or wants details.",
-        schema: z.object({
-            calculationData: z.string().nullable().describe("JSON string of the last calculation result"),
-        }),
+        name: "max_affordable_price",
+        description: "Find the maximum property price the user can afford from monthly income, savings and existing debts ('how much house can I afford?').",
+        schema: MaxAffordablePriceArgs.extend(agentArgs("currencyConversions", "locale")),
+    }
+);
+
+const MAX_SAVED_SCENARIOS = 10;
+
+const hasRateArgs = (args) => args.annualRate != null || (args.fixedYears != null && args.eiborMargin != null);
+
+// "4.50%" or "3.99% for 3 yrs, then 5.10%" - short enough for a table cell
+function shortRate(rate, locale = DEFAULT_LOCALE) {
+    if (!isRateSchedule(rate)) return t(locale, "rate.short", { rate: rate ?? getAssumptions().interest.defaultRate });
+    return t(locale, "rate.shortSchedule", { s: normalizeRateSchedule(rate) });
+}
+
+function formatScenarioComparison({ baseName, scenarios, assumptions, conversions = [] }, locale = DEFAULT_LOCALE) {
+    const aed = (n) => formatAED(n, locale);
+    const signed = (amount) => t(locale, "compare.signed", { amount });
+    const recommendation = (s) => t(locale, `common.recommendation.${s.recommendation}`);
+    const ok = scenarios.filter((s) => !s.error);
+    const row = (key, cell) => `| ${t(locale, `compare.rows.${key}`)} | ${ok.map(cell).join(" | ")} |`;
+
+    const table = [
+        `| | ${ok.map((s) => `**${s.name}**`).join(" | ")} |`,
+        `|---|${ok.map(() => "---:").join("|")}|`,
+        row("price", (s) => aed(s.inputs.price)),
+        row("downPayment", (s) => t(locale, "compare.downPaymentCell", { amount: s.inputs.downPayment, share: s.inputs.downPayment / s.inputs.price })),
+        row("loan", (s) => aed(s.loanAmount)),
+        row("tenureRate", (s) => t(locale, "compare.tenureRateCell", { years: s.inputs.tenureYears, rate: shortRate(s.inputs.annualRate, locale) })),
+        row("stayRent", (s) => t(locale, "compare.stayRentCell", { years: s.inputs.stayYears, rent: s.inputs.rent })),
+        row("emi", (s) => aed(s.monthlyEmi)),
+        row("totalInterest", (s) => aed(s.totalInterest)),
+        row("upfrontCash", (s) => aed(s.upfrontCash)),
+        row("recommendation", (s) => t(locale, "compare.recommendationCell", { recommendation: recommendation(s), advantage: Math.abs(s.netAdvantage) })),
+        row("breakEven", (s) => t(locale, "compare.breakEvenCell", { year: s.breakEvenYear, maxYears: getAssumptions().buyVsRent.maxBreakEvenYears })),
+    ];
+
+    const differences = ok
+        .filter((s) => s.vsBase)
+        .map((s) => {
+            const d = s.vsBase;
+            const rec = t(locale, d.recommendationChanged ? "compare.flips" : "compare.stays", { recommendation: recommendation(s) });
+            return t(locale, "compare.difference", { name: s.name, emi: signed(d.monthlyEmi), interest: signed(d.totalInterest), upfront: signed(d.upfrontCash), rec });
+        });
+
+    const conversionLines = describeConversions(conversions, locale);
+    const notes = [
+        ...ok
+            .filter((s) => s.downPaymentAdjusted)
+            .map((s) => t(locale, "compare.downPaymentRaised", { name: s.name, amount: s.inputs.downPayment, rule: ltvRuleLabel(s.ltvRule, locale) })),
+        ...scenarios.filter((s) => s.error).map((s) => t(locale, "compare.incomplete", { name: s.name })),
+    ];
+
+    return t(locale, "compare.body", {
+        conversionSection: conversionLines.length ? t(locale, "maxPrice.convertedFirst", { lines: conversionLines }) : "",
+        table: table.join("\n"),
+        differences: differences.length ? t(locale, "compare.comparedWith", { baseName, lines: differences }) : "",
+        notes: notes.length ? `\n${notes.map((n) => `⚠️ ${n}`).join("\n")}\n` : "",
+        names: ok.map((s) => s.name),
+        assumptionSet: describeAssumptionSet(assumptions, locale),
+    });
+}
+
+// Saved scenarios as a context block for the model, so "scenario B" resolves to real numbers
+function describeSavedScenarios(saved) {
+    if (!saved?.length) return "";
+    const fmt = (n) => Math.round(n).toLocaleString();
+    const lines = saved.map(({ name, inputs: i, monthlyEmi, recommendation }) =>
+        `- ${name}: price ${fmt(i.price)}, down payment ${fmt(i.downPayment)}, rent ${fmt(i.rent)}/month, stay ${i.stayYears} years, tenure ${i.tenureYears} years, rate ${shortRate(i.annualRate)}, emirate ${i.emirate} → EMI ${fmt(monthlyEmi)}, ${recommendation.toUpperCase()}`
+    );
+    return `\n\nSaved scenarios (amounts in AED):\n${lines.join("\n")}`;
+}
+
+const compareScenariosTool = tool(
+    async ({
+        variations = [],
+        baseName = "Base",
+        stayYears,
+        price,
+        downPayment,
+        downPaymentPercent,
+        rent,
+        tenureYears = getAssumptions().tenure.defaultYears,
+        residency,
+        firstHome,
+        offPlan,
+        emirate = "dubai",
+        rentIncreaseRate,
+        rentArea,
+        rentUnitType,
+        baseRate,
+        knownRentEscalation,
+        currencyConversions = [],
+        locale = DEFAULT_LOCALE,
+        ...rateArgs
+    }) => {
+        console.log("🟢 [TOOL CALL] compare_scenarios - Comparing", [baseName, ...variations.map((v) => v.name)].join(", "));
+
+        const missing = [!stayYears && "stayYears", !price && "price", !rent && "rent"]
+            .filter(Boolean)
+            .map((field) => t(locale, `compare.missing.${field}`));
+        if (missing.length) {
+            return JSON.stringify({ error: "missing_inputs", message: t(locale, "compare.needInputs", { missing }) });
+        }
+
+        const rentEscalation = rentIncreaseRate != null || (rentArea && rentUnitType)
+            ? buildRentEscalation({ rentIncreaseRate, rentArea, rentUnitType })
+            : knownRentEscalation ?? { mode: "none" };
+
+        const base = {
+            stayYears,
+            price,
+            downPayment,
+            downPaymentPercent,
+            rent,
+            tenureYears,
+            annualRate: hasRateArgs(rateArgs) || baseRate == null ? buildRateInput(rateArgs) : baseRate,
+            profile: { residency, firstHome, offPlan },
+            emirate,
+            rentEscalation,
+        };
+        const comparison = compareScenarios({
+            base,
+            baseName,
+            variations: variations.map((v, i) => ({
+                ...v,
+                name: v.name || String.fromCharCode(65 + i),
+                annualRate: toDecimalRate(v.annualRate),
+            })),
+        });
+        console.log("  ↳ [SCENARIOS] Result:", comparison.scenarios.map((s) => ({ name: s.name, emi: s.monthlyEmi, rec: s.recommendation, error: s.error })));
+        console.log("🟢 [TOOL CALL] compare_scenarios - Complete");
+
+        return JSON.stringify({ ...comparison, conversions: currencyConversions });
+    },
+    {
+        name: "compare_scenarios",
+        description: "Compare a base scenario with named variations side by side (e.g. 15 vs 25 years, 10% vs 25% down, two different properties): EMI, total interest, upfront cash and buy vs rent recommendation for each. Base values left out are taken from the last calculation.",
+        schema: CompareScenariosArgs.extend(agentArgs("baseRate", "knownRentEscalation", "currencyConversions", "locale")),
     }
 );
 
+const preApprovalSummaryTool = tool(
+    async ({ calculationData, income, locale = DEFAULT_LOCALE }) => {
+        console.log("🟢 [TOOL CALL] generate_preapproval_summary - Building the summary document");
+
+        if (!calculationData) {
+            console.log("  ↳ [PRE-APPROVAL] No calculation data available");
+            return JSON.stringify({
+                error: "no_calculation",
+                message: t(locale, "preApproval.noCalculation"),
+            });
+        }
+
+        const summary = buildPreApprovalSummary(JSON.parse(calculationData), { income });
+        console.log("  ↳ [PRE-APPROVAL] Issued", summary.reference, "valid until", summary.expiresAt);
+        return JSON.stringify({ summary });
+    },
+    {
+        name: "generate_preapproval_summary",
+        description: "Create the downloadable pre-approval summary (PDF/HTML, reference number, expiry date, document checklist) from the last calculation. Call it when the user accepts the Next Step offer or asks for the summary.",
+        schema: PreApprovalSummaryArgs.extend(agentArgs("calculationData", "income", "locale")),
+    }
+);
+
+function formatPreApprovalReply(result, locale = DEFAULT_LOCALE) {
+    const { summary, error, message } = JSON.parse(result);
+    if (error) return message;
+
+    const { affordability } = summary;
+    const affordabilityLine = affordability
+        ? affordability.passes
+            ? t(locale, "preApproval.withinLimit", { dbr: affordability.dbr, limit: affordability.dbrLimit })
+            : t(locale, "preApproval.aboveLimit", { dbr: affordability.dbr, limit: affordability.dbrLimit, maxLoan: affordability.maxLoan })
+        : t(locale, "preApproval.noIncome");
+
+    return t(locale, "preApproval.body", { summary, affordabilityLine, url: `/api/preapprovals/${summary.reference}` });
+}
+
 /* ============================================================
-   AGENT NODE - LLM WITH TOOL BINDING
-   ============================================================ */
+   TOOL REGISTRY
+   ============================================================
+   Each tool registers once: the LangChain tool with its argument schema
+   (the model's declaration is generated from it), how to prepare args
+   from state, what to write back into state, and (optionally) how to turn
+   its result into the reply. The status label
+   streaming clients show comes from the locale catalog (tools.<name>).
+   The graph gets one node per registered tool, so adding a tool is just
+   another registerTool() call. */
+
+const TOOL_REGISTRY = new Map();
+
+function registerTool(definition) {
+    const { name } = definition.tool;
+    TOOL_REGISTRY.set(name, { ...definition, name });
+}
 
-async function agentNode(state) {
-    console.log("🔵 [AGENT NODE] Processing messages:", state.messages.length);
-
-    const llm = getLCGeminiModel();
-
-    // WRONG: llm.bind({ tools: [...] })
-    // const llmWithTools = llm.bind({ tools: [ { functionDeclarations: [...] } ] });
-
-    // RIGHT: use bindTools to attach functionDeclarations
-    const llmWithTools = llm.bindTools([
-        {
-            functionDeclarations: [
-                {
-                    name: "calculate_mortgage",
-                    description: "Calculate EMI and buy vs rent recommendation when you have all required info: stay duration, property price, down payment, and monthly rent.",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            stayYears: { type: "number", description: "Years user plans to stay in UAE" },
-                            price: { type: "number", description: "Property price in AED" },
-                            downPayment: { type: "number", description: "Down payment in AED" },
-                            rent: { type: "number", description: "Monthly rent in AED" },
-                            tenureYears: { type: "number", description: "Loan tenure (default 25)" },
-                        },
-                        required: ["stayYears", "price", "downPayment", "rent"],
-                    },
-                },
-                {
-                    name: "explain_calculation",
-                    description: "Explain calculation details when user asks how you calculated",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            calculationData: { type: "string", description: "Last calculation JSON" },
-                        },
-                    },
-                },
-            ],
+// Income and debts we already know (e.g., from an uploaded salary slip) feed the DBR check
+function withKnownIncome(args, state) {
+    const known = state.extractedData || {};
+    const out = { ...args };
+    if (out.monthlyIncome == null && state.income) out.monthlyIncome = state.income.monthly;
+    for (const key of ["carLoanEmi", "personalLoanEmi", "creditCardLimits"]) {
+        if (out[key] == null && known.liabilities?.[key] != null) out[key] = known.liabilities[key];
+    }
+    return out;
+}
+
+// Readiness after the turn's last calculation and the soft-close action it leads to, recorded so it isn't repeated
+function qualify(result, savings, softClose) {
+    const { emi, recommendation, affordability, inputs } = JSON.parse(result);
+    const readiness = assessReadiness({
+        recommendation: recommendation.recommendation,
+        stayYears: inputs.stayYears,
+        price: inputs.price,
+        loanAmount: emi.loanAmount,
+        cashNeeded: inputs.price - emi.loanAmount + emi.upfrontCostEstimate,
+        affordability,
+        savings,
+    });
+    const action = decideSoftClose(readiness, softClose);
+    console.log("  ↳ [QUALIFICATION]", readiness.level, `score ${readiness.score}`, "→", action);
+    return { qualification: { ...readiness, action }, softClose: recordSoftClose(softClose, action, readiness) };
+}
+
+// The income a tool ran with becomes the known income; a typed figure keeps the amount the user gave before conversion
+function updatedIncome(args, state, conversions) {
+    const fx = conversions?.find((c) => c.field === "monthlyIncome");
+    return incomeAfterCall(state.income, args.monthlyIncome, fx && { amount: fx.amount, currency: fx.currency });
+}
+
+registerTool({
+    tool: calculateMortgageTool,
+    args: CalculateMortgageArgs,
+    prepareArgs: (args, state, { displayCurrency, conversions }) =>
+        withKnownIncome({ ...args, displayCurrency: displayCurrency ?? undefined, currencyConversions: conversions }, state),
+    applyResult: (result, args, state, { displayCurrency, conversions }) => ({
+        lastCalculation: result,
+        income: updatedIncome(args, state, conversions),
+        extractedData: {
+            stayYears: args.stayYears,
+            price: args.price,
+            down: args.downPayment,
+            rent: args.rent,
+            tenureYears: args.tenureYears || getAssumptions().tenure.defaultYears,
+            residency: args.residency ?? state.extractedData?.residency ?? null,
+            firstHome: args.firstHome ?? state.extractedData?.firstHome ?? null,
+            offPlan: args.offPlan ?? state.extractedData?.offPlan ?? null,
+            emirate: args.emirate ?? state.extractedData?.emirate ?? null,
+            rentEscalation: buildRentEscalation(args),
+            savings: args.savings ?? state.extractedData?.savings ?? null,
+            displayCurrency,
+            liabilities: {
+                carLoanEmi: args.carLoanEmi,
+                personalLoanEmi: args.personalLoanEmi,
+                creditCardLimits: args.creditCardLimits,
+            },
         },
-    ]);
+    }),
+    summarize: (result) => {
+        const { emi, recommendation } = JSON.parse(result);
+        return `EMI AED ${Math.round(emi.monthlyEmi).toLocaleString()}/month, recommendation ${recommendation.recommendation.toUpperCase()}`;
+    },
+    format: formatCalculationReply,
+});
+
+registerTool({
+    tool: maxAffordablePriceTool,
+    args: MaxAffordablePriceArgs,
+    prepareArgs: (args, state, { displayCurrency, conversions }) =>
+        withKnownIncome({ ...args, displayCurrency: displayCurrency ?? undefined, currencyConversions: conversions, locale: state.locale }, state),
+    applyResult: (result, args, state, { conversions }) => ({
+        income: updatedIncome(args, state, conversions),
+        extractedData: { ...state.extractedData, savings: args.savings ?? state.extractedData?.savings ?? null },
+    }),
+});
+
+registerTool({
+    tool: simulatePrepaymentTool,
+    args: SimulatePrepaymentArgs,
+    prepareArgs: (args, state) => ({ ...args, calculationData: state.lastCalculation, locale: state.locale }),
+});
+
+registerTool({
+    tool: explainCalculationTool,
+    args: ExplainCalculationArgs,
+    prepareArgs: (args, state) => ({ calculationData: state.lastCalculation, afterYears: args.afterYears, locale: state.locale }),
+});
+
+registerTool({
+    tool: preApprovalSummaryTool,
+    args: PreApprovalSummaryArgs,
+    prepareArgs: (args, state) => ({ calculationData: state.lastCalculation, income: state.income, locale: state.locale }),
+    applyResult: (result, args, state) => {
+        const { summary } = JSON.parse(result);
+        if (!summary) return {};
+        return {
+            preApproval: { reference: summary.reference, issuedAt: summary.issuedAt, expiresAt: summary.expiresAt },
+            softClose: { ...state.softClose, accepted: true, awaitingReply: false },
+        };
+    },
+    summarize: (result) => {
+        const { summary, message } = JSON.parse(result);
+        return summary ? `issued ${summary.reference}, valid until ${summary.expiresAt.slice(0, 10)}` : message;
+    },
+    format: (result, state, emit) => {
+        const text = formatPreApprovalReply(result, state.locale);
+        emit({ type: "delta", text });
+        return text;
+    },
+});
+
+registerTool({
+    tool: compareScenariosTool,
+    args: CompareScenariosArgs,
+    // Anything the user didn't restate comes from the last calculation
+    prepareArgs: (args, state, { conversions }) => {
+        const known = state.extractedData || {};
+        const out = { ...args, currencyConversions: conversions, locale: state.locale };
+        const fallback = {
+            stayYears: known.stayYears,
+            price: known.price,
+            rent: known.rent,
+            tenureYears: known.tenureYears,
+            residency: known.residency,
+            firstHome: known.firstHome,
+            offPlan: known.offPlan,
+            emirate: known.emirate,
+        };
+        for (const [key, value] of Object.entries(fallback)) {
+            if (out[key] == null && value != null) out[key] = value;
+        }
+        // A known down payment only fits the base if the base price is the known one too
+        if (args.price == null && args.downPayment == null && args.downPaymentPercent == null && known.down != null) {
+            out.downPayment = known.down;
+        }
+        if (!hasRateArgs(args) && state.lastCalculation) {
+            out.baseRate = JSON.parse(state.lastCalculation).inputs?.annualRate;
+        }
+        if (known.rentEscalation) out.knownRentEscalation = known.rentEscalation;
+        return out;
+    },
+    applyResult: (result, args, state) => {
+        const { scenarios, error } = JSON.parse(result);
+        if (error) return {};
+        const fresh = scenarios
+            .filter((s) => !s.error)
+            .map(({ name, inputs, monthlyEmi, recommendation }) => ({ name, inputs, monthlyEmi, recommendation }));
+        const names = new Set(fresh.map((s) => s.name.toLowerCase()));
+        const kept = (state.savedScenarios || []).filter((s) => !names.has(s.name.toLowerCase()));
+        return { savedScenarios: [...kept, ...fresh].slice(-MAX_SAVED_SCENARIOS) };
+    },
+    summarize: (result) => {
+        const { scenarios, error, message } = JSON.parse(result);
+        if (error) return message;
+        return scenarios
+            .map((s) => (s.error ? `${s.name}: incomplete` : `${s.name}: EMI AED ${Math.round(s.monthlyEmi).toLocaleString()}/month, ${s.recommendation.toUpperCase()}`))
+            .join("; ");
+    },
+    format: (result, state, emit) => {
+        const comparison = JSON.parse(result);
+        const text = comparison.error ? comparison.message : formatScenarioComparison(comparison, state.locale);
+        emit({ type: "delta", text });
+        return text;
+    },
+});
+
+/* ============================================================
+   GRAPH NODES - GUARDRAIL → INTENT → TOOL NODES → RESPOND
+   ============================================================ */
+
+// Tool rounds per turn before we stop and answer with what we have
+const MAX_TOOL_ROUNDS = 3;
 
-    // Prepare messages with correct roles for LangChain coercion
-    const messagesToSend = [
-        { role: "system", content: SYSTEM_PROMPT },
-        ...state.messages.map(m => ({
-            role: m.role === "assistant" ? "ai" : "human",
+// Streaming listener passed to graph.invoke via config.configurable.emit
+const noEmit = () => {};
+const emitterFrom = (config) => config?.configurable?.emit ?? noEmit;
+
+// What the model should know about the income so it doesn't ask for it again
+function describeKnownIncome(income) {
+    if (!income) return "";
+    const breakdown = describeIncomeBreakdown(income);
+    return `\n\nKnown monthly income: ${describeIncome(income)}${breakdown.length ? `; salary slip: ${breakdown.join(", ")}` : ""}. The tools use it automatically - don't ask for it again, and only pass monthlyIncome if the user gives a different figure.`;
+}
+
+// Which language to answer in; English needs no instruction, so its prompt stays as recorded
+function describeLanguage(locale) {
+    const { language, numerals } = resolveLocale(locale);
+    if (language !== "ar") return "";
+    const digits = numerals === "arab" ? "Arabic-Indic digits (٠١٢٣٤٥٦٧٨٩) with ٬ for thousands and ٫ for decimals" : "Western digits (0-9)";
+    return `\n\nLanguage: the user reads Arabic. Always reply in Modern Standard Arabic, whatever language the user writes in, and write numbers with ${digits}. Keep the currency code AED (or د.إ) and the tool names as they are. Users may type numbers in Arabic-Indic digits ("٢٥٠٬٠٠٠" is 250000, "٢٠٪" is 20%): read them as numbers, and always pass tool arguments as plain numbers.`;
+}
+
+// Conversation as provider messages, system prompt first
+function toModelMessages(messages, { savedScenarios = [], income = null, locale = DEFAULT_LOCALE } = {}) {
+    return [
+        { role: "system", content: buildSystemPrompt() + describeLanguage(locale) + describeSavedScenarios(savedScenarios) + describeKnownIncome(income) },
+        ...messages.map(m => ({
+            role: m.role === "assistant" ? "assistant" : "user",
             content: typeof m.content === "string" ? m.content : JSON.stringify(m.content),
         })),
     ];
+}
+
+// Deterministic screening before the model sees the message; a refusal goes straight to respond
+function guardrailNode(state) {
+    const lastUser = state.messages.findLastIndex((m) => m.role === "user");
+    const previousReply = state.messages.slice(0, lastUser).findLast((m) => m.role === "assistant")?.content;
+    const verdict = screenMessage(state.messages[lastUser]?.content, { previousReply });
+    if (verdict.allowed) return {};
+
+    console.log("🛑 [GUARDRAIL] Blocked:", verdict.reason, "-", verdict.detail);
+    return {
+        blocked: { reason: verdict.reason, detail: verdict.detail },
+        draftReply: t(state.locale, `guardrail.${verdict.reason}`, { max: MAX_MESSAGE_CHARS }),
+    };
+}
+
+const routeAfterGuardrail = (state) => (state.blocked ? "respond" : "intent");
 
-    console.log("🟡 [LLM CALL] Invoking LLM with tools...");
-    const response = await llmWithTools.invoke(messagesToSend);
+const sameCall = (a, b) => a.name === b.name && JSON.stringify(a.args) === JSON.stringify(b.args);
 
+async function intentNode(state) {
+    console.log("🔵 [INTENT NODE] Round", state.toolRounds + 1, "- messages:", state.messages.length);
+
+    const llm = getLLM();
+    const tools = [...TOOL_REGISTRY.values()].map((t) => toDeclaration(t.tool, t.args));
+
+    const messagesToSend = toModelMessages(state.messages, { savedScenarios: state.savedScenarios, income: state.income, locale: state.locale });
+    // On later rounds the model sees what already ran, so it can chain another tool or stop
+    if (state.toolResults.length) {
+        messagesToSend.push({
+            role: "user",
+            content: `[Tool results so far this turn - not from the user]\n${state.toolResults.map((r) => `- ${r.name}: ${r.summary}`).join("\n")}\n\nIf answering the user's last message needs another tool, call it now. Otherwise reply without calling a tool.`,
+        });
+    }
+
+    console.log("🟡 [LLM CALL] Invoking", llm.name, "with tools...");
+    const response = await llm.chat(messagesToSend, { tools });
     console.log("🟡 [LLM RESPONSE]", JSON.stringify(response, null, 2).substring(0, 500));
 
-    // Check if LLM wants to call a tool
-    const functionCall = response.content?.[0]?.functionCall || response.functionCall;
+    // Calls already made this turn would only repeat the same answer
+    const calls = response.toolCalls.filter((c) => !state.toolResults.some((r) => sameCall(r, c)));
+    if (calls.length) console.log("🟢 [TOOL INVOCATION] LLM wants to call:", calls.map((c) => c.name).join(", "));
 
-    if (functionCall) {
-        console.log("🟢 [TOOL INVOCATION] LLM wants to call:", functionCall.name);
+    // Every number the user typed must match the args; otherwise ask before calculating anything
+    const lastUserMessage = state.messages.findLast((m) => m.role === "user");
+    for (const call of calls) {
+        const mismatches = checkCallAgainstMessage(call, lastUserMessage?.content, state);
+        if (!mismatches.length) continue;
+        console.log("⚠️ [INPUT CHECK]", call.name, "args disagree with the message:", mismatches);
+        return {
+            pendingToolCalls: [],
+            toolResults: [
+                ...state.toolResults,
+                { name: call.name, args: call.args, content: clarificationQuestion(mismatches, call.args, state.locale), summary: "asked the user to confirm their numbers", needsUser: true },
+            ],
+        };
+    }
 
-        let toolResult;
-        if (functionCall.name === "calculate_mortgage") {
-            const args = functionCall.args;
-            toolResult = await calculateMortgageTool.invoke(args);
+    return {
+        pendingToolCalls: calls,
+        toolRounds: state.toolRounds + (calls.length ? 1 : 0),
+        draftReply: calls.length ? state.draftReply : response.text,
+    };
+}
 
-            // Store calculation in state
-            state.lastCalculation = toolResult;
+// A call that didn't pass validation: the model gets the issues back and can call again with fixed args
+function rejectCall(state, call, rest, issues) {
+    console.log("⚠️ [TOOL ARGS]", call.name, "rejected:", issues);
+    const problems = issues.map((i) => `${i.field || "arguments"}: ${i.message}`).join("; ");
+    return {
+        pendingToolCalls: rest,
+        toolResults: [
+            ...state.toolResults,
+            {
+                name: call.name,
+                args: call.args,
+                content: JSON.stringify({ error: "invalid_arguments", issues }),
+                summary: `not run, invalid arguments (${problems}) - call it again with corrected arguments, or ask the user`,
+                invalid: true,
+            },
+        ],
+    };
+}
 
-            // Update extracted data
-            state.extractedData = {
-                stayYears: args.stayYears,
-                price: args.price,
-                down: args.downPayment,
-                rent: args.rent,
-                tenureYears: args.tenureYears || 25,
+// One graph node per registered tool; each runs the next pending call addressed to it
+function makeToolNode(definition) {
+    return async (state, config) => {
+        const emit = emitterFrom(config);
+        const [call, ...rest] = state.pendingToolCalls;
+
+        // Every call is checked against the same schema its declaration was generated from
+        const checked = definition.args.safeParse(call.args ?? {});
+        if (!checked.success) return rejectCall(state, call, rest, issuesFrom(checked.error.issues));
+
+        // Amounts arrive in whatever currency the user used; the tools work in AED
+        const { args: toolArgs, conversions, unsupported } = normalizeMoneyArgs(call.name, call.args);
+        if (unsupported.length) {
+            const codes = [...new Set(unsupported.map((u) => u.currency))].join(", ");
+            console.log("  ↳ [FX] No rate for:", codes);
+            const content = t(state.locale, "fx.unsupported", { codes });
+            return {
+                // Nothing else can run sensibly on unconverted amounts
+                pendingToolCalls: [],
+                toolResults: [...state.toolResults, { name: call.name, args: call.args, content, summary: "needs amounts in a supported currency", needsUser: true }],
             };
-        } else if (functionCall.name === "explain_calculation") {
-            toolResult = await explainCalculationTool.invoke({
-                calculationData: state.lastCalculation,
-            });
         }
+        if (conversions.length) console.log("  ↳ [FX] Converted to AED:", describeConversions(conversions));
+        const displayCurrency = pickDisplayCurrency(toolArgs.displayCurrency, state.extractedData?.displayCurrency, conversions);
+        const ctx = { displayCurrency, conversions };
+
+        const args = definition.prepareArgs ? definition.prepareArgs(toolArgs, state, ctx) : toolArgs;
+        const toolLabel = t(state.locale, `tools.${call.name}`);
+        emit({ type: "status", stage: "tool_start", tool: call.name, label: t(state.locale, "tools.running", { label: toolLabel }) });
+        let content;
+        try {
+            content = await definition.tool.invoke(args);
+        } catch (error) {
+            // Args prepared from state can still fail the tool's own schema
+            if (!(error instanceof ToolInputParsingException)) throw error;
+            content = invalidArguments([{ field: "", message: error.message }]);
+        }
+        emit({ type: "status", stage: "tool_end", tool: call.name, label: t(state.locale, "tools.done", { label: toolLabel }) });
+        const issues = invalidArgumentsIn(content);
+        if (issues) return rejectCall(state, call, rest, issues);
+        const update = definition.applyResult ? definition.applyResult(content, args, state, ctx) : {};
+        const summary = definition.summarize ? definition.summarize(content) : content.slice(0, 300);
 
-        // Let LLM format the response naturally based on conversation context
-        let finalContent;
+        return {
+            ...update,
+            pendingToolCalls: rest,
+            toolResults: [...state.toolResults, { name: call.name, args: call.args, content, summary }],
+        };
+    };
+}
 
-        // If tool was explain_calculation, just return the text directly
-        if (functionCall.name === "explain_calculation") {
-            finalContent = toolResult;
-        } else {
-            // For calculate_mortgage, parse JSON and format
-            try {
-                const resultData = JSON.parse(toolResult);
-                const { emi, recommendation, inputs } = resultData;
-
-                // ------------------------------------------------------------
-                // OBJECTIVE 4 — SOFT CLOSE (BARE MINIMUM)
-                // ------------------------------------------------------------
-                // Determine whether to show a single soft-close CTA to the user.
-                // Rule: if recommendation is "buy" and stayYears >= 5, trigger CTA.
-                const triggerClose = shouldTriggerSoftClose({
-                    recommendation: recommendation.recommendation,
-                    stayYears: inputs.stayYears,
-                });
-
-                let softCloseCTA = "";
-                if (triggerClose) {
-                    softCloseCTA = `\n\n---\n\n### ✅ Next Step\n\nBased on your income and stay duration, you are **financially suited to buy** rather than rent.\n\nI can pre-qualify you for a home in the **AED ${(inputs.price / 1_000_000).toFixed(1)}M range** and generate a **pre-approval summary** for you.\n\n👉 **Would you like me to do that next?**`;
-                }
+// Next pending tool node, another intent round, or the reply
+function routeAfterIntent(state) {
+    const next = state.pendingToolCalls[0];
+    if (!next) return "respond";
+    if (!TOOL_REGISTRY.has(next.name)) {
+        console.log("⚠️ [GRAPH] Unknown tool requested:", next.name);
+        return "respond";
+    }
+    return next.name;
+}
 
-                // Calculate total interest and total amount paid
-                const totalMonths = inputs.tenureYears * 12;
-                const totalAmountPaid = emi.monthlyEmi * totalMonths;
-                const totalInterest = totalAmountPaid - emi.loanAmount;
-                const totalCost = inputs.downPayment + emi.upfrontCostEstimate + totalAmountPaid;
-
-                // 🔥 OBJECTIVE 3: Rent Opportunity Cost Calculation
-                const totalRentPaid = inputs.rent * 12 * inputs.stayYears;
-                const rentLossNarrative = recommendation.recommendation === "buy"
-                    ? `\n\n💸 **Rent Opportunity Cost:**\n- Renting for ${inputs.stayYears} years at AED ${inputs.rent.toLocaleString()}/month = **AED ${totalRentPaid.toLocaleString()} total**\n- Zero equity built (like burning ${Math.floor(totalRentPaid / 350_000)} Ferrari(s) 🔥)\n- Buying converts this into **your** property equity.`
-                    : "";
-
-                // Calculate actual down payment (may be adjusted for LTV)
-                const minDownPayment = inputs.price * 0.2; // 20% for 80% LTV
-                const actualDownPayment = Math.max(inputs.downPayment, minDownPayment);
-                const wasAdjusted = emi.issues && emi.issues.includes('down_payment_adjusted_to_meet_ltv');
-
-                // Create a data summary for the LLM to format naturally
-                const dataSummary = `
+// After the last round's calls the model isn't asked again: anything it called would be dropped
+function routeAfterTool(state) {
+    const next = state.pendingToolCalls[0];
+    if (next) return TOOL_REGISTRY.has(next.name) ? next.name : "intent";
+    if (state.toolRounds < MAX_TOOL_ROUNDS) return "intent";
+    console.log("⚠️ [GRAPH] Max tool rounds reached, answering with results so far");
+    return "respond";
+}
+
+// Text appended after the turn's last calculation for the soft-close action chosen by qualify()
+function softCloseCopy(qualification, inputs, affordability, income, locale = DEFAULT_LOCALE) {
+    const stayYears = inputs.stayYears;
+    switch (qualification?.action) {
+        case "offer":
+            return t(locale, "softClose.offer", {
+                income: describeIncome(income, locale) ?? formatAED(affordability.monthlyIncome, locale),
+                stayYears,
+                price: inputs.price,
+            });
+        case "nudge": {
+            const { gaps, cashNeeded, savings } = qualification;
+            const cashLine = t(locale, "softClose.cashLine", { cashNeeded, savings });
+            const why = gaps.dbr > 0
+                ? t(locale, "softClose.dbrGap", { maxLoan: affordability.maxLoan, limit: affordability.dbrLimit, gap: gaps.dbr, cashLine: gaps.cash > 0 ? cashLine : null })
+                : t(locale, "softClose.cashGap", { cashLine });
+            return t(locale, "softClose.nudge", { stayYears, why, saveMore: qualification.saveMore });
+        }
+        case "ask_income":
+            return t(locale, "softClose.askIncome", { stayYears });
+        default:
+            return "";
+    }
+}
+
+/**
+ * Builds the reply for calculate_mortgage: a data summary the LLM turns into
+ * natural prose, plus the soft-close CTA when it applies. The formatting call
+ * is streamed and each token is emitted as a delta.
+ */
+async function formatCalculationReply(toolResult, state, emit = noEmit) {
+    const llm = getLLM();
+    const messagesToSend = toModelMessages(state.messages, { income: state.income, locale: state.locale });
+    try {
+        const resultData = JSON.parse(toolResult);
+        const { emi, recommendation, amortization, affordability, inputs, currency, assumptions } = resultData;
+
+        // ------------------------------------------------------------
+        // OBJECTIVE 4 — SOFT CLOSE
+        // ------------------------------------------------------------
+        // The offer, a "save X more" nudge or nothing, as decided by qualify() in respondNode
+        const softCloseCTA = softCloseCopy(state.qualification, inputs, affordability, state.income, state.locale);
+
+        // Totals come from the amortization schedule
+        const totalMonths = inputs.tenureYears * 12;
+        const totalAmountPaid = emi.totalAmountPaid;
+        const totalInterest = emi.totalInterest;
+        const totalCost = inputs.downPayment + emi.upfrontCostEstimate + totalAmountPaid;
+
+        // 🔥 OBJECTIVE 3: Rent Opportunity Cost Calculation
+        // Projected rent over the stay, including annual increases
+        const totalRentPaid = Math.round(recommendation.atExit.totalRent);
+        const rentEscalates = recommendation.rentProjection.mode !== "none";
+        const rentLossNarrative = recommendation.recommendation === "buy"
+            ? `\n\n💸 **Rent Opportunity Cost:**\n- Renting for ${inputs.stayYears} years starting at AED ${inputs.rent.toLocaleString()}/month${rentEscalates ? " with annual increases" : ""} = **AED ${totalRentPaid.toLocaleString()} total**\n- Zero equity built (like burning ${Math.floor(totalRentPaid / getAssumptions().narrative.ferrariPriceAED)} Ferrari(s) 🔥)\n- Buying converts this into **your** property equity.`
+            : "";
+
+        // Calculate actual down payment (may be adjusted for LTV)
+        const minDownPayment = emi.minDownPayment;
+        const maxLtvPct = Math.round(emi.maxLtv * 100);
+        const actualDownPayment = Math.max(inputs.downPayment, minDownPayment);
+        const wasAdjusted = emi.issues && emi.issues.includes('down_payment_adjusted_to_meet_ltv');
+
+        // Conversions applied to the user's amounts, and figures in their home currency
+        const conversionLines = describeConversions(currency?.conversions);
+        const homeCcy = currency?.display?.currency;
+        const currencySection = [
+            conversionLines.length
+                ? `CURRENCY CONVERSION (mention briefly that amounts were converted to AED at these rates):\n${conversionLines.map((l) => `- ${l}`).join("\n")}`
+                : "",
+            homeCcy
+                ? `IN ${homeCcy} (show the key figures in both AED and ${homeCcy}; rates as of ${currency.display.asOf}):
+- Property Price: ${formatMoney(inputs.price, homeCcy)}
+- Monthly EMI: ${formatMoney(emi.monthlyEmi, homeCcy)}
+- Upfront Costs: ${formatMoney(emi.upfrontCostEstimate, homeCcy)}
+- Current Monthly Rent: ${formatMoney(inputs.rent, homeCcy)}
+- Net Advantage of ${recommendation.netAdvantage >= 0 ? "Buying" : "Renting"}: ${formatMoney(Math.abs(recommendation.netAdvantage), homeCcy)}`
+                : "",
+        ].filter(Boolean).join("\n\n");
+
+        // Create a data summary for the LLM to format naturally
+        const dataSummary = `
 Tool Result Data:
 - Recommendation: ${recommendation.recommendation.toUpperCase()}
 - Rationale: ${recommendation.rationale}
+- Break-even Year (buying vs renting): ${recommendation.breakEvenYear ?? `not within ${recommendation.assumptions.maxBreakEvenYears} years`}
+- Net Advantage of ${recommendation.netAdvantage >= 0 ? "Buying" : "Renting"} (present value): AED ${Math.abs(recommendation.netAdvantage).toLocaleString(undefined, { maximumFractionDigits: 0 })}
+- Equity at Exit (property value - loan balance): AED ${recommendation.atExit.equity.toLocaleString(undefined, { maximumFractionDigits: 0 })}
 ${rentLossNarrative}
 
 IMPORTANT ASSUMPTIONS (state these clearly in your response):
-- Interest Rate: 4.5% per year (typical UAE mortgage rate)
-- Maximum LTV (Loan-to-Value): 80% (UAE regulatory requirement)
-- Minimum Down Payment: 20% of property price = AED ${minDownPayment.toLocaleString()}
-- Upfront Costs: ~7% of property price (registration, fees, etc.)
+- ${describeAssumptionSet(assumptions)}
+- Interest Rate: ${describeRate(inputs.annualRate)}${isRateSchedule(inputs.annualRate) ? "" : " (typical UAE mortgage rate)"}
+- Maximum LTV (Loan-to-Value): ${maxLtvPct}% (UAE Central Bank rule: ${emi.ltvRule.label})
+- Buyer Profile Used: ${inputs.profile.residency === "national" ? "UAE national" : inputs.profile.residency === "non_resident" ? "non-resident" : "UAE-resident expat"}, ${inputs.profile.firstHome ? "first home" : "second or subsequent home"}, ${inputs.profile.offPlan ? "off-plan" : "ready property"}
+- Minimum Down Payment: ${100 - maxLtvPct}% of property price = AED ${minDownPayment.toLocaleString()}
+- Upfront Costs: itemized ${emi.upfrontCosts.emirate} fee schedule (≈${(emi.upfrontCosts.percentOfPrice * 100).toFixed(1)}% of property price in total)
+- Property Appreciation: ${(recommendation.assumptions.appreciationRate * 100).toFixed(1)}% per year
+- Selling Costs at Exit: ${(recommendation.assumptions.sellingCostRate * 100).toFixed(1)}% of sale price
+- Discount Rate (return on cash if renting instead): ${(recommendation.assumptions.discountRate * 100).toFixed(1)}% per year
 
 PROPERTY & LOAN DETAILS:
 - Property Price: AED ${inputs.price.toLocaleString()}
 - User's Down Payment Input: AED ${inputs.downPayment.toLocaleString()} (${((inputs.downPayment / inputs.price) * 100).toFixed(1)}%)
-${wasAdjusted ? `- ADJUSTED Down Payment (to meet 20% minimum): AED ${actualDownPayment.toLocaleString()} (${((actualDownPayment / inputs.price) * 100).toFixed(1)}%)` : ''}
+${wasAdjusted ? `- ADJUSTED Down Payment (to meet ${100 - maxLtvPct}% minimum): AED ${actualDownPayment.toLocaleString()} (${((actualDownPayment / inputs.price) * 100).toFixed(1)}%)` : ''}
 - Actual Down Payment Used: AED ${actualDownPayment.toLocaleString()} (${((actualDownPayment / inputs.price) * 100).toFixed(1)}%)
 - Loan Amount: AED ${emi.loanAmount.toLocaleString()} (Calculation: ${inputs.price.toLocaleString()} - ${actualDownPayment.toLocaleString()})
-- Upfront Costs: AED ${emi.upfrontCostEstimate.toLocaleString()}
+- Upfront Costs: AED ${emi.upfrontCostEstimate.toLocaleString(undefined, { maximumFractionDigits: 0 })} (${emi.upfrontCosts.emirate}), made up of:
+${emi.upfrontCosts.items.map((i) => `  - ${i.label}: AED ${i.amount.toLocaleString(undefined, { maximumFractionDigits: 0 })} (${i.formula})`).join("\n")}
 
 MONTHLY PAYMENT (${inputs.tenureYears} years tenure):
 - Monthly EMI: AED ${emi.monthlyEmi.toLocaleString(undefined, { maximumFractionDigits: 0 })}
   - Principal portion: AED ${emi.monthlyPrincipalPortion.toLocaleString(undefined, { maximumFractionDigits: 0 })}
   - Interest portion: AED ${emi.monthlyInterestPortion.toLocaleString(undefined, { maximumFractionDigits: 0 })}
-- Current Monthly Rent: AED ${inputs.rent.toLocaleString()}
+${emi.paymentShock ? `- PAYMENT SHOCK at rate reset (explain this clearly): ${describePaymentShock(emi.paymentShock)}\n` : ""}- Current Monthly Rent: AED ${inputs.rent.toLocaleString()}
+- Rent Projection: ${describeRentProjection(recommendation.rentProjection)}
 
-LONG-TERM ANALYSIS:
+${affordability ? `AFFORDABILITY (UAE Central Bank ${+(affordability.dbrLimit * 100).toFixed(1)}% debt-burden ratio, EMI stress-tested like banks do):\n${describeAffordability(affordability).map((l) => `- ${l}`).join("\n")}\n${affordability.passes ? "" : "- IMPORTANT: tell the user clearly that a bank would likely decline this loan size, and by how much it exceeds the limit\n"}\n` : ""}${currencySection ? `${currencySection}\n\n` : ""}LONG-TERM ANALYSIS:
 - Stay Duration: ${inputs.stayYears} years
 - Total EMI Payments (${totalMonths} months): AED ${totalAmountPaid.toLocaleString(undefined, { maximumFractionDigits: 0 })}
 - Total Interest Paid: AED ${totalInterest.toLocaleString(undefined, { maximumFractionDigits: 0 })}
 - Total Cost (down + upfront + EMIs): AED ${totalCost.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+- Outstanding Loan Balance after ${inputs.stayYears} years (owed to the bank if sold on leaving): AED ${amortization.balanceAtStayEnd.toLocaleString(undefined, { maximumFractionDigits: 0 })}
+- Principal Repaid by then: AED ${amortization.principalRepaidByStayEnd.toLocaleString(undefined, { maximumFractionDigits: 0 })}
 
-DISCLAIMER: Add at the end - "⚠️ This is an estimate based on standard assumptions. Actual mortgage terms may vary by bank. Please consult with UAE banks for precise quotes."
+DISCLAIMER: Add at the end - "${t(state.locale, "calculation.disclaimer")}"
 
 FORMATTING INSTRUCTIONS:
 1. If this is the FIRST calculation, clearly state all assumptions upfront
-2. If down payment was adjusted for LTV, explain this clearly (e.g., "Since UAE requires minimum 20% down, I've adjusted your down payment from X to Y")
+2. If down payment was adjusted for LTV, explain this clearly and name the rule (e.g., "Since UAE rules require a minimum ${100 - maxLtvPct}% down for ${emi.ltvRule.label}, I've adjusted your down payment from X to Y")
 3. Show the loan amount calculation explicitly: Property Price - Down Payment = Loan Amount
 4. If user just changed one parameter (tenure, down payment), focus on that change
 5. Be conversational and natural - explain the numbers like a helpful advisor
-6. Always include the disclaimer at the end`;
-
-                console.log("🟡 [LLM CALL] Asking LLM to format response naturally based on context...");
-                const formattingMessages = [
-                    { role: "system", content: SYSTEM_PROMPT },
-                    ...messagesToSend.slice(1), // Skip original system prompt
-                    { role: "human", content: dataSummary }
-                ];
-
-                const formattedResponse = await llm.invoke(formattingMessages);
-                finalContent = typeof formattedResponse.content === "string"
-                    ? formattedResponse.content
-                    : formattedResponse.content?.[0]?.text || JSON.stringify(formattedResponse.content);
-
-                // Append the minimal soft-close CTA when triggered.
-                finalContent = finalContent + softCloseCTA;
-
-                console.log("🟡 [LLM FORMATTED] Response formatted naturally");
-            } catch (e) {
-                console.error("Error formatting response:", e);
-                finalContent = `I've calculated your mortgage details. Here's the result:\n\n${toolResult}`;
-            }
+6. Always include the disclaimer at the end
+7. Show the upfront costs as a short itemized list (label and AED amount), not a single percentage`;
+
+        console.log("🟡 [LLM CALL] Asking LLM to format response naturally based on context...");
+        const formattingMessages = [
+            { role: "system", content: buildSystemPrompt() + describeLanguage(state.locale) },
+            ...messagesToSend.slice(1), // Skip original system prompt
+            { role: "user", content: dataSummary }
+        ];
+
+        let formatted = "";
+        for await (const text of llm.stream(formattingMessages)) {
+            formatted += text;
+            emit({ type: "delta", text });
         }
-
-        return {
-            messages: [{ role: "assistant", content: finalContent }],
-            extractedData: state.extractedData,
-            lastCalculation: state.lastCalculation,
-        };
+        console.log("🟡 [LLM FORMATTED] Response formatted naturally");
+
+        // Which assumption set the figures came from, then the soft-close CTA when triggered.
+        const assumptionLine = `\n\n_${describeAssumptionSet(assumptions, state.locale)}_`;
+        emit({ type: "delta", text: assumptionLine });
+        if (softCloseCTA) emit({ type: "delta", text: softCloseCTA });
+        return formatted + assumptionLine + softCloseCTA;
+    } catch (e) {
+        console.error("Error formatting response:", e);
+        return t(state.locale, "calculation.fallback", { result: toolResult });
     }
+}
 
-    // No tool call - direct response
-    const content = typeof response.content === "string"
-        ? response.content
-        : response.content?.[0]?.text || JSON.stringify(response.content);
+async function respondNode(state, config) {
+    const emit = emitterFrom(config);
+    // Rejected calls were for the model to fix; they never reach the user
+    const results = state.toolResults.filter((r) => !r.invalid);
+    // The soft close is decided once per turn, on the last calculation shown
+    const finalCalculation = results.findLast((r) => r.name === "calculate_mortgage" && !r.needsUser);
+    const closing = finalCalculation
+        ? qualify(finalCalculation.content, state.extractedData?.savings ?? null, state.softClose)
+        : {};
+    let content;
+    if (!results.length) {
+        // No tool call - direct response (or the model's words after its calls were rejected)
+        content = state.draftReply || (state.toolResults.length ? t(state.locale, "tools.invalid") : "");
+        emit({ type: "delta", text: content });
+    } else {
+        // Text-producing tools (explain, prepayment, budget) and questions back to the
+        // user (`needsUser`) are shown as they are
+        const parts = [];
+        for (const [i, result] of results.entries()) {
+            if (i > 0) emit({ type: "delta", text: "\n\n---\n\n" });
+            const definition = TOOL_REGISTRY.get(result.name);
+            if (definition?.format && !result.needsUser) {
+                const formatState = result === finalCalculation ? { ...state, ...closing } : state;
+                parts.push(await definition.format(result.content, formatState, emit));
+            } else {
+                parts.push(result.content);
+                emit({ type: "delta", text: result.content });
+            }
+        }
+        content = parts.join("\n\n---\n\n");
+    }
+    console.log("🔵 [RESPOND NODE] Tools used this turn:", results.map((r) => r.name).join(", ") || "none");
 
     return {
         messages: [{ role: "assistant", content }],
         extractedData: state.extractedData,
         lastCalculation: state.lastCalculation,
+        ...closing,
     };
 }
 
@@ -393,10 +1664,22 @@ FORMATTING INSTRUCTIONS:
    BUILD LANGGRAPH STATE MACHINE
    ============================================================ */
 
-const workflow = new StateGraph(StateSchema)
-    .addNode("agent", agentNode)
-    .addEdge("__start__", "agent")
-    .addEdge("agent", "__end__");
+const toolNames = [...TOOL_REGISTRY.keys()];
+
+let workflow = new StateGraph(StateSchema)
+    .addNode("guardrail", guardrailNode)
+    .addNode("intent", intentNode)
+    .addNode("respond", respondNode)
+    .addEdge("__start__", "guardrail")
+    .addConditionalEdges("guardrail", routeAfterGuardrail, ["intent", "respond"])
+    .addConditionalEdges("intent", routeAfterIntent, [...toolNames, "respond"])
+    .addEdge("respond", "__end__");
+
+for (const [name, definition] of TOOL_REGISTRY) {
+    workflow = workflow
+        .addNode(name, makeToolNode(definition))
+        .addConditionalEdges(name, routeAfterTool, [...toolNames, "intent", "respond"]);
+}
 
 const graph = workflow.compile();
 
@@ -404,10 +1687,41 @@ const graph = workflow.compile();
    MAIN ORCHESTRATOR - EXPORTED FOR CHAT API
    ============================================================ */
 
-export async function runConversationTurn({ messages }) {
+function issuedPreApproval(toolResults) {
+    const issued = toolResults.findLast((r) => r.name === "generate_preapproval_summary" && !r.needsUser);
+    return issued ? JSON.parse(issued.content).summary ?? null : null;
+}
+
+// The reply when the graph gave up on a turn; the state stays as it was before it
+function stoppedTurn(initialState, onEvent) {
+    const content = t(initialState.locale, "tools.tooManySteps");
+    onEvent?.({ type: "delta", text: content });
+    const { extractedData, income, softClose, lastCalculation, preApproval, savedScenarios } = initialState;
+    return {
+        message: { role: "assistant", content },
+        state: { extractedData, income, softClose, lastCalculation, preApproval, savedScenarios },
+        toolCalls: [],
+        preApproval: null,
+        blocked: null,
+    };
+}
+
+/**
+ * Runs one turn. `messages` is the stored history plus the new user message;
+ * `state` is what the previous turn returned (loaded from the conversation store).
+ * `locale` ({ language, numerals }, see i18n.js) picks the language and digits
+ * of the reply; it comes from the user's account, not the conversation.
+ * `onEvent` (optional) receives status events as tools run and text deltas as
+ * the reply is produced; the returned message is always the complete reply.
+ * `toolCalls` lists the tools the model called this turn, with the args it gave.
+ * `preApproval` is the full summary document when one was issued this turn;
+ * the caller stores it (the graph never touches the database). `blocked` is
+ * { reason, detail } when the guardrail refused the message without asking
+ * the model; the caller logs it for review.
+ */
+export async function runConversationTurn({ messages, state = {}, locale, onEvent }) {
     console.log("🔵 [CONVERSATION START] Messages count:", messages.length);
 
-    // Initialize state from messages (restore from previous turns)
     const initialState = {
         messages,
         extractedData: {
@@ -415,31 +1729,57 @@ export async function runConversationTurn({ messages }) {
             price: null,
             down: null,
             rent: null,
-            tenureYears: 25,
+            tenureYears: getAssumptions().tenure.defaultYears,
+            residency: null,
+            firstHome: null,
+            offPlan: null,
+            emirate: null,
+            rentEscalation: null,
+            savings: null,
+            displayCurrency: null,
+            liabilities: null,
+            ...state.extractedData,
         },
-        lastCalculation: null,
+        income: migrateLegacyIncome(state),
+        // A "no thanks" right after the offer means it isn't made again
+        softClose: noteUserReply(state.softClose || initialSoftCloseState(), messages.findLast((m) => m.role === "user")?.content),
+        lastCalculation: state.lastCalculation || null,
+        preApproval: state.preApproval || null,
+        savedScenarios: state.savedScenarios || [],
+        locale: resolveLocale(locale),
+        pendingToolCalls: [],
+        toolResults: [],
+        toolRounds: 0,
+        draftReply: null,
+        qualification: null,
+        blocked: null,
     };
 
-    // Restore state from message metadata if available
-    for (const msg of messages) {
-        if (msg._state) {
-            initialState.extractedData = msg._state.extractedData || initialState.extractedData;
-            initialState.lastCalculation = msg._state.lastCalculation || initialState.lastCalculation;
-        }
+    // Run the graph; a turn that runs past LangGraph's step limit gets a plain reply instead of an error
+    let result;
+    try {
+        result = await graph.invoke(initialState, { configurable: { emit: onEvent ?? noEmit } });
+    } catch (err) {
+        if (!(err instanceof GraphRecursionError)) throw err;
+        console.log("⚠️ [GRAPH] Step limit reached:", err.message);
+        return stoppedTurn(initialState, onEvent);
     }
 
-    // Run the graph
-    const result = await graph.invoke(initialState);
-
     console.log("🔵 [CONVERSATION END] Result:", result.messages[result.messages.length - 1]?.content?.substring(0, 100));
 
-    // Return the assistant's response with state attached
     const assistantMessage = result.messages[result.messages.length - 1];
     return {
-        ...assistantMessage,
-        _state: {
+        message: { role: "assistant", content: assistantMessage.content },
+        state: {
             extractedData: result.extractedData,
+            income: result.income,
+            softClose: result.softClose,
             lastCalculation: result.lastCalculation,
+            preApproval: result.preApproval,
+            savedScenarios: result.savedScenarios,
         },
+        toolCalls: result.toolResults.map(({ name, args }) => ({ name, args })),
+        preApproval: issuedPreApproval(result.toolResults),
+        blocked: result.blocked,
     };
 }
@@ -0,0 +1,34 @@
+import { connectDB } from "./mongodb";
+import GuardrailEvent from "@/models/GuardrailEvent";
+// Registers the model populate("user") reads from
+import "@/models/User";
+
+const EXCERPT_LENGTH = 500;
+
+export async function logBlockedAttempt({ userId, threadId, source, reason, detail, text }) {
+    await connectDB();
+    return GuardrailEvent.create({
+        user: userId,
+        threadId,
+        source,
+        reason,
+        detail,
+        excerpt: String(text ?? "").slice(0, EXCERPT_LENGTH),
+    });
+}
+
+// Most recent first, optionally only one reason ("injection", "offTopic", "tooLong")
+export async function listBlockedAttempts({ reason, limit = 100 } = {}) {
+    await connectDB();
+    const filter = reason ? { reason } : {};
+    const docs = await GuardrailEvent.find(filter).sort({ createdAt: -1 }).limit(limit).populate("user", "email").lean();
+    return docs.map((e) => ({
+        user: e.user?.email ?? null,
+        threadId: e.threadId,
+        source: e.source,
+        reason: e.reason,
+        detail: e.detail,
+        excerpt: e.excerpt,
+        createdAt: e.createdAt,
+    }));
+}
@@ -0,0 +1,124 @@
+import { toWesternDigits } from "./i18n";
+import { parseUserInputs, valuesWithUnits } from "./inputParser";
+
+/* ============================================================
+   GUARDRAILS
+   ============================================================
+   Deterministic checks that run before any text reaches a model:
+
+   - length: over-long messages are refused instead of being sent whole
+   - injection: attempts to override the system prompt, reveal it, or pass
+     off text as coming from the system or a tool
+   - domain: messages with nothing to do with property, mortgages or the
+     user's finances get a canned redirect rather than a model reply
+
+   The graph runs screenMessage as its first node; salary slip OCR text goes
+   through screenDocumentText before the extraction model sees it. A blocked
+   attempt comes back as { allowed: false, reason, detail } so the caller
+   can log it for review. Nothing here calls a model, so a refusal costs no
+   tokens. */
+
+export const MAX_MESSAGE_CHARS = 2000;
+export const MAX_DOCUMENT_CHARS = 20000;
+
+// Short replies ("around 8", "the second one") only make sense as an answer to a question
+const SHORT_MESSAGE_WORDS = 4;
+
+// Opening or closing the conversation ("hi", "thanks!") needs no question before it
+const GREETING_PATTERN = /^(?:hi|hello|hey|salam|good (?:morning|afternoon|evening)|thanks|thank you|مرحبا|السلام عليكم|شكرا)(?:[\s,]+(?:there|again|so much|a lot))?[\s!.,]*$/i;
+
+const INJECTION_PATTERNS = [
+    // Only the assistant's own instructions: "ignore the old rules and use 85% LTV" is a mortgage question
+    {
+        id: "override",
+        pattern: /\b(?:ignore|disregard|forget|override|bypass)\b[^.\n]{0,30}\b(?:(?:your|previous|prior|above|earlier|preceding|system|initial|original)\s+(?:instructions?|prompts?|directives)|your\s+(?:rules|guidelines))\b/i,
+    },
+    { id: "override", pattern: /(?:تجاهل|انس|تخط)\S*\s+(?:\S+\s+){0,3}(?:التعليمات|الأوامر|القواعد|تعليماتك)/ },
+    { id: "reveal", pattern: /\bsystem\s*prompt\b|\byour (?:initial |original |hidden |secret )?(?:instructions|prompt)\b/i },
+    { id: "reveal", pattern: /موجه النظام|تعليماتك (?:الأصلية|السرية)/ },
+    { id: "persona", pattern: /\byou are (?:now|no longer)\b|\bfrom now on,? you\b|\b(?:pretend|roleplay|role-play) (?:to be|as|you)\b/i },
+    { id: "jailbreak", pattern: /\b(?:jailbreak|DAN mode|developer mode|do anything now)\b/i },
+    { id: "role_markup", pattern: /<\|?(?:im_start|im_end|system|endoftext)\|?>|\[\/?(?:system|INST)\]|^\s*(?:system|assistant|developer)\s*:/im },
+    { id: "new_instructions", pattern: /\bnew (?:instructions|rules|system message)\s*:/i },
+    // The graph passes tool output to the model under this heading; users don't get to write it
+    { id: "tool_spoofing", pattern: /\[tool results?\b/i },
+];
+
+// Mortgage and property terms that put a message in scope. Everyday words
+// ("buy", "home", "rates", "cash", "calculate", "moving") are left out: on
+// their own they don't make a message about mortgages or property.
+const DOMAIN_PATTERN = new RegExp(
+    [
+        /\b(?:mortgages?|loans?|emi|financing|eibor|interest rates?|tenure|ltv|dbr|debt burden|pre-?approv\w*|pre-?qualif\w*)\b/.source,
+        /\b(?:down ?payment|deposit|prepay\w*|early settlement|repayments?|afford\w*|salary|payslip|salary slip)\b/.source,
+        /\b(?:rent(?:s|ed|ing|al|er)?|lease|landlord|tenants?|tenancy|ejari|buy or rent|rent or buy|first home|buy(?:ing)? (?:a |an |the |my |our )?(?:home|house|place))\b/.source,
+        /\b(?:property|properties|real estate|house|apartments?|flats?|villas?|townhouses?|studio|bedrooms?|off-plan|off plan|dld|rera)\b/.source,
+        // The assistant's own output: "explain the calculation", "compare these scenarios"
+        /\b(?:the|this|that|these|your) (?:calculations?|numbers|breakdown|scenarios?|estimates?|assumptions)\b/.source,
+        /رهن|قرض|تمويل|قسط|أقساط|فائدة|[إا]يجار|أستأجر|عقار|شقة|فيلا|منزل|بيت|سكن|دفعة|مقدم|راتب/.source,
+    ].join("|"),
+    "i"
+);
+
+// Same shape for every refusal
+const blocked = (reason, detail) => ({ allowed: false, reason, detail });
+
+function findInjection(text) {
+    return INJECTION_PATTERNS.find(({ pattern }) => pattern.test(text))?.id ?? null;
+}
+
+// A value the parser ties to a mortgage field ("25% down on the 1.7M one") puts the message in scope
+const statesInputs = (text) => Object.keys(parseUserInputs(text).fields).length > 0;
+
+// A yes/no answer ("No thanks, not right now") is short; anything longer has to say what it is about
+const YES_NO_PATTERN = /^(?:yes|yeah|yep|sure|ok(?:ay)?|no|nope|not)\b|^(?:نعم|أجل|حسنا|لا)(?![\u0621-\u064A])/i;
+const YES_NO_MAX_WORDS = 8;
+
+// The assistant ended on a question and the message answers it: a value
+// ("Probably about 15 years, honestly"), a brief yes or no, or a short reply
+function answersPendingQuestion(text, words, previousReply) {
+    const lastParagraph = String(previousReply ?? "").trim().split(/\n\s*\n/).pop();
+    if (!/[?؟]/.test(lastParagraph)) return false;
+    return (
+        valuesWithUnits(text).length > 0 ||
+        words <= SHORT_MESSAGE_WORDS ||
+        (words <= YES_NO_MAX_WORDS && YES_NO_PATTERN.test(text))
+    );
+}
+
+/**
+ * Screens one user message. `previousReply` is the assistant message it
+ * answers: when that ended on a question ("How long will you stay?"), a
+ * reply stating an amount, percentage or duration, a brief yes or no, or
+ * any reply of a few words is in scope whatever words surround it. Short
+ * messages with no question pending ("tell me a joke") are not, and a bare
+ * number is not enough on its own ("a 500-word poem"). Returns { allowed: true } or
+ * { allowed: false, reason, detail } with reason "tooLong", "injection"
+ * or "offTopic".
+ */
+export function screenMessage(text, { previousReply = null } = {}) {
+    const content = String(text ?? "");
+    if (content.length > MAX_MESSAGE_CHARS) return blocked("tooLong", `${content.length} characters`);
+
+    const injection = findInjection(content);
+    if (injection) return blocked("injection", injection);
+
+    const clean = toWesternDigits(content).trim();
+    const words = clean.split(/\s+/).filter(Boolean).length;
+    const inScope =
+        GREETING_PATTERN.test(clean) || DOMAIN_PATTERN.test(clean) || statesInputs(clean) || answersPendingQuestion(clean, words, previousReply);
+    if (inScope) return { allowed: true };
+    return blocked("offTopic", `${words} words, no mortgage or property terms`);
+}
+
+/**
+ * Screens OCR text from an uploaded document before the extraction model
+ * reads it. Only length and injection apply: whether it is a salary slip
+ * at all is the extraction step's call.
+ */
+export function screenDocumentText(text) {
+    const content = String(text ?? "");
+    if (content.length > MAX_DOCUMENT_CHARS) return blocked("tooLong", `${content.length} characters`);
+    const injection = findInjection(content);
+    return injection ? blocked("injection", injection) : { allowed: true };
+}
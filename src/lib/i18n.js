@@ -0,0 +1,149 @@
+import en from "./locales/en";
+import ar from "./locales/ar";
+
+/* ============================================================
+   LOCALIZATION
+   ============================================================
+   Every deterministic string the user sees (tool replies, the soft-close
+   CTA, salary slip confirmations, the chat and auth screens) comes from
+   the catalogs in ./locales. A locale is { language, numerals }: the
+   language picks the catalog and the text direction, numerals picks
+   Western (latn) or Arabic-Indic (arab) digits. It is chosen per user and
+   stored on the account. The maths never sees any of this - amounts are
+   formatted only on the way out.
+
+   Catalog entries are strings with {placeholders} or functions of
+   (params, formatters); a key missing from a catalog falls back to English.
+   This module is shared by the server and the browser, so it must stay
+   free of Node-only imports. */
+
+export const LANGUAGES = ["en", "ar"];
+export const NUMERAL_SYSTEMS = ["latn", "arab"];
+export const DEFAULT_LOCALE = { language: "en", numerals: "latn" };
+
+const CATALOGS = { en, ar };
+const INTL_LOCALES = { en: "en-US", ar: "ar-AE" };
+
+/** A valid locale from partial or untrusted input ({ language, numerals }); unknown values fall back to the defaults. */
+export function resolveLocale(input) {
+    const language = LANGUAGES.includes(input?.language) ? input.language : DEFAULT_LOCALE.language;
+    // Arabic-Indic digits only make sense next to Arabic text
+    const numerals = language === "ar" && NUMERAL_SYSTEMS.includes(input?.numerals) ? input.numerals : "latn";
+    return { language, numerals };
+}
+
+export const direction = (locale) => (resolveLocale(locale).language === "ar" ? "rtl" : "ltr");
+
+// "٢٥٠٬٠٠٠" → "250,000", so numbers typed with Arabic-Indic (or Persian) digits read like any other
+export function toWesternDigits(text) {
+    return String(text ?? "")
+        .replace(/[٠-٩]/g, (d) => String(d.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, (d) => String(d.charCodeAt(0) - 0x06f0))
+        .replace(/٬/g, ",")
+        .replace(/٫/g, ".")
+        .replace(/٪/g, "%");
+}
+
+function toArabicDigits(text) {
+    return String(text ?? "")
+        .replace(/(?<=\d),(?=\d)/g, "٬")
+        .replace(/(?<=\d)\.(?=\d)/g, "٫")
+        .replace(/(?<=\d)%/g, "٪")
+        .replace(/\d/g, (d) => String.fromCharCode(0x0660 + Number(d)));
+}
+
+function numberFormat(locale, digits) {
+    const { language, numerals } = resolveLocale(locale);
+    return new Intl.NumberFormat(INTL_LOCALES[language], {
+        numberingSystem: numerals,
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits,
+    });
+}
+
+/** 1234567 → "1,234,567" (en) or "١٬٢٣٤٬٥٦٧" (ar with Arabic-Indic digits); rounded to `digits` decimals. */
+export function formatNumber(n, locale = DEFAULT_LOCALE, digits = 0) {
+    return numberFormat(locale, digits).format(Number(n) || 0);
+}
+
+/** "AED 1,234" in English, "١٬٢٣٤ د.إ" in Arabic. */
+export function formatAED(n, locale = DEFAULT_LOCALE) {
+    return formatCurrency(n, "AED", locale);
+}
+
+// Other currencies keep their ISO code in both languages
+export function formatCurrency(n, currency, locale = DEFAULT_LOCALE) {
+    const amount = formatNumber(Math.round(Number(n) || 0), locale);
+    if (resolveLocale(locale).language !== "ar") return `${currency} ${amount}`;
+    return `${amount} ${currency === "AED" ? "د.إ" : currency}`;
+}
+
+/** 0.0455 → "4.55%" / "٤٫٥٥٪"; `trim` drops trailing zeros ("4.5%" rather than "4.50%"). */
+export function formatPercent(rate, locale = DEFAULT_LOCALE, digits = 1, { trim = false } = {}) {
+    const value = (Number(rate) || 0) * 100;
+    const shown = trim ? +value.toFixed(digits) : value;
+    const places = trim ? Math.min(digits, (String(shown).split(".")[1] || "").length) : digits;
+    const text = formatNumber(shown, locale, places);
+    return resolveLocale(locale).numerals === "arab" ? `${text}٪` : `${text}%`;
+}
+
+/** "17 November 2026" / "١٧ نوفمبر ٢٠٢٦", in UAE time. */
+export function formatDate(iso, locale = DEFAULT_LOCALE) {
+    const { language, numerals } = resolveLocale(locale);
+    return new Date(iso).toLocaleDateString(language === "ar" ? "ar-AE" : "en-GB", {
+        day: "numeric",
+        month: "long",
+        year: "numeric",
+        timeZone: "Asia/Dubai",
+        numberingSystem: numerals,
+    });
+}
+
+/** Formatters bound to one locale, handed to catalog functions as their second argument. */
+export function formatters(locale = DEFAULT_LOCALE) {
+    const resolved = resolveLocale(locale);
+    const plain = new Intl.NumberFormat(INTL_LOCALES[resolved.language], { numberingSystem: resolved.numerals, maximumFractionDigits: 2, useGrouping: false });
+    return {
+        locale: resolved,
+        num: (n, digits = 0) => formatNumber(n, resolved, digits),
+        // Counts and durations as given ("8", "2.5"), without grouping
+        plain: (n) => plain.format(Number(n) || 0),
+        // Digits inside ready-made text such as "2026-10-18" or "max 80%"
+        digits: (text) => (resolved.numerals === "arab" ? toArabicDigits(text) : String(text)),
+        aed: (n) => formatAED(n, resolved),
+        money: (n, currency) => formatCurrency(n, currency, resolved),
+        pct: (rate, digits = 1, options) => formatPercent(rate, resolved, digits, options),
+        date: (iso) => formatDate(iso, resolved),
+    };
+}
+
+function lookup(catalog, key) {
+    return key.split(".").reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Text for `key` ("softClose.offer", "chat.send") in the locale's language.
+ * Strings have their {placeholders} filled from `params` (digits written
+ * in the catalog follow the numerals setting, the params are used as
+ * given); functions are called with (params, formatters). Unknown keys
+ * come back as the key.
+ */
+export function t(locale, key, params = {}) {
+    const f = formatters(locale);
+    const entry = lookup(CATALOGS[f.locale.language], key) ?? lookup(CATALOGS.en, key);
+    if (typeof entry === "function") return entry(params, f);
+    if (typeof entry !== "string") return key;
+    return f.digits(entry).replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+/**
+ * Label for something the assumption set names in English (an LTV rule,
+ * an upfront cost item, an emirate), looked up by id in `labels.<group>`;
+ * falls back to the English label for ids the catalog doesn't know, such
+ * as items added by an admin override.
+ */
+export function label(locale, group, id, fallback) {
+    const f = formatters(locale);
+    const entry = lookup(CATALOGS[f.locale.language], `labels.${group}.${id}`);
+    return typeof entry === "string" ? f.digits(entry) : fallback;
+}
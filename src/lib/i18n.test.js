@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { formatAED, formatPercent, resolveLocale, t, toWesternDigits } from "./i18n";
+
+const AR = { language: "ar", numerals: "arab" };
+
+describe("locales", () => {
+    it("only uses Arabic-Indic digits next to Arabic text", () => {
+        expect(resolveLocale({ language: "ar", numerals: "arab" })).toEqual(AR);
+        expect(resolveLocale({ language: "en", numerals: "arab" })).toEqual({ language: "en", numerals: "latn" });
+        expect(resolveLocale({ language: "fr" })).toEqual({ language: "en", numerals: "latn" });
+        expect(resolveLocale()).toEqual({ language: "en", numerals: "latn" });
+    });
+
+    it("formats AED and percentages for each locale", () => {
+        expect(formatAED(1_234_567.4)).toBe("AED 1,234,567");
+        expect(formatAED(1_234_567.4, { language: "ar", numerals: "latn" })).toBe("1,234,567 د.إ");
+        expect(formatAED(1_234_567.4, AR)).toBe("١٬٢٣٤٬٥٦٧ د.إ");
+        expect(formatPercent(0.0455, undefined, 2)).toBe("4.55%");
+        expect(formatPercent(0.045, AR, 2, { trim: true })).toBe("٤٫٥٪");
+    });
+
+    it("reads Arabic-Indic and Persian digits back as Western ones", () => {
+        expect(toWesternDigits("٢٥٠٬٠٠٠ و ٤٫٥٪")).toBe("250,000 و 4.5%");
+        expect(toWesternDigits("۱۲۳")).toBe("123");
+        expect(toWesternDigits("٢٥٠٬٠٠٠")).toHaveLength("٢٥٠٬٠٠٠".length);
+    });
+
+    it("fills catalog entries and falls back to English, then to the key", () => {
+        expect(t(undefined, "fx.unsupported", { codes: "XYZ" })).toContain("XYZ");
+        expect(t(AR, "chat.send")).not.toBe(t(undefined, "chat.send"));
+        expect(t(AR, "no.such.key")).toBe("no.such.key");
+    });
+});
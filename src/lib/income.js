@@ -0,0 +1,137 @@
+import { z } from "zod";
+import { normalizeCurrency } from "./currency";
+import { DEFAULT_LOCALE, formatAED, formatCurrency, label, t } from "./i18n";
+
+/* ============================================================
+   INCOME (agent state)
+   ============================================================
+   The user's monthly income as the agent remembers it: the AED figure
+   the maths uses, where it came from (an uploaded salary slip or a number
+   the user typed) and, for salary slips, the breakdown it was read from.
+   It lives next to extractedData rather than inside it, so a
+   recalculation that doesn't restate the income never drops it. */
+
+const AllowanceSchema = z.object({ name: z.string(), amount: z.number() });
+
+export const IncomeSchema = z.object({
+    monthly: z.number().positive(),
+    source: z.enum(["document", "typed"]),
+    // Which figure `monthly` is: net, gross or basic salary from the slip, or what the user said
+    basis: z.enum(["net", "gross", "basic", "stated"]),
+    // Currency the income was given in, and the amount before conversion to AED
+    currency: z.string().default("AED"),
+    amount: z.number().positive(),
+    // Salary slip figures, in `currency`; null for typed income
+    breakdown: z
+        .object({
+            basic: z.number().nullable(),
+            allowances: z.array(AllowanceSchema),
+            gross: z.number().nullable(),
+            deductions: z.number().nullable(),
+            net: z.number().nullable(),
+        })
+        .nullable()
+        .default(null),
+    updatedAt: z.string(),
+});
+
+/**
+ * A positive salary slip amount as a number, or null. The extraction model
+ * sometimes returns amounts as text ("32,000"); thousands separators are
+ * stripped before parsing.
+ */
+export function parseAmount(value) {
+    const n = typeof value === "string" ? Number(value.replace(/[,\s\u066c]/g, "")) : value;
+    return typeof n === "number" && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+
+/**
+ * Income record from a salary slip extracted by visionExtractor.js.
+ * `monthlyAED` is the figure used for the maths (net, else gross, else
+ * basic salary, converted to AED).
+ */
+export function incomeFromSalarySlip(salaryData, monthlyAED, now = new Date()) {
+    const allowances = [
+        ["Housing allowance", salaryData.housingAllowance],
+        ["Transportation allowance", salaryData.transportationAllowance],
+        ...(salaryData.otherAllowances || []).map((a) => [a.name, a.amount]),
+    ]
+        .map(([name, amount]) => ({ name, amount: parseAmount(amount) }))
+        .filter((a) => a.amount);
+
+    const breakdown = {
+        basic: parseAmount(salaryData.basicSalary),
+        allowances,
+        gross: parseAmount(salaryData.totalGrossSalary),
+        deductions: parseAmount(salaryData.deductions),
+        net: parseAmount(salaryData.netSalary),
+    };
+    const basis = breakdown.net ? "net" : breakdown.gross ? "gross" : "basic";
+
+    return {
+        monthly: monthlyAED,
+        source: "document",
+        basis,
+        currency: normalizeCurrency(salaryData.currency),
+        amount: breakdown[basis],
+        breakdown,
+        updatedAt: now.toISOString(),
+    };
+}
+
+/** Income record for a figure the user typed; `stated` is the amount and currency before conversion. */
+export function typedIncome(monthlyAED, stated = { amount: monthlyAED, currency: "AED" }, now = new Date()) {
+    return {
+        monthly: monthlyAED,
+        source: "typed",
+        basis: "stated",
+        currency: normalizeCurrency(stated.currency),
+        amount: stated.amount,
+        breakdown: null,
+        updatedAt: now.toISOString(),
+    };
+}
+
+/**
+ * Income after a tool call that may carry a monthly income. The same
+ * figure keeps the existing record (and its salary slip breakdown); a
+ * different one is the user correcting it; none leaves it as it was.
+ */
+export function incomeAfterCall(known, monthlyAED, stated) {
+    if (!(monthlyAED > 0)) return known ?? null;
+    if (known && Math.abs(known.monthly - monthlyAED) < 1) return known;
+    return typedIncome(monthlyAED, stated);
+}
+
+// Stored states from before income had its own record kept a bare number in extractedData
+export function migrateLegacyIncome(state = {}) {
+    if (state.income !== undefined) return state.income;
+    const legacy = state.extractedData?.income;
+    return legacy > 0 ? typedIncome(legacy) : null;
+}
+
+// "AED 32,000/month (net salary from your salary slip)", in the user's language
+export function describeIncome(income, locale = DEFAULT_LOCALE) {
+    if (!income) return null;
+    const origin =
+        income.source === "document"
+            ? t(locale, "income.fromSlip", { basis: label(locale, "incomeBasis", income.basis, income.basis) })
+            : t(locale, "income.typed");
+    const converted = income.currency !== "AED" ? formatCurrency(income.amount, income.currency, locale) : "";
+    return t(locale, "income.describe", { amount: formatAED(income.monthly, locale), origin, converted });
+}
+
+// Breakdown lines for the model's context, in the slip's currency
+export function describeIncomeBreakdown(income) {
+    const b = income?.breakdown;
+    if (!b) return [];
+    const fmt = (n) => `${income.currency} ${Math.round(n).toLocaleString("en-US")}`;
+    return [
+        b.basic && `basic ${fmt(b.basic)}`,
+        ...b.allowances.map((a) => `${a.name.toLowerCase()} ${fmt(a.amount)}`),
+        b.gross && `gross ${fmt(b.gross)}`,
+        b.deductions && `deductions ${fmt(b.deductions)}`,
+        b.net && `net ${fmt(b.net)}`,
+    ].filter(Boolean);
+}
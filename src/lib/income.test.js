@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { IncomeSchema, describeIncome, incomeAfterCall, incomeFromSalarySlip, migrateLegacyIncome, parseAmount } from "./income";
+
+const NOW = new Date("2026-10-18T09:00:00Z");
+const SLIP = {
+    basicSalary: 20_000,
+    housingAllowance: 12_000,
+    transportationAllowance: 3_000,
+    otherAllowances: [{ name: "Phone allowance", amount: 500 }],
+    totalGrossSalary: 35_500,
+    deductions: 3_500,
+    netSalary: 32_000,
+    currency: "AED",
+};
+
+describe("incomeFromSalarySlip", () => {
+    it("keeps the breakdown and uses the net salary", () => {
+        const income = incomeFromSalarySlip(SLIP, 32_000, NOW);
+        expect(income).toMatchObject({ monthly: 32_000, source: "document", basis: "net", amount: 32_000 });
+        expect(income.breakdown.allowances.map((a) => a.name)).toEqual(["Housing allowance", "Transportation allowance", "Phone allowance"]);
+        expect(describeIncome(income)).toBe("AED 32,000/month (net salary from your salary slip)");
+    });
+
+    it("falls back to the gross salary and keeps the payslip currency", () => {
+        const income = incomeFromSalarySlip({ basicSalary: 6_000, totalGrossSalary: 9_000, currency: "usd" }, 33_052.5, NOW);
+        expect(income).toMatchObject({ basis: "gross", currency: "USD", amount: 9_000 });
+        expect(describeIncome(income)).toBe("AED 33,053/month (gross salary from your salary slip, USD 9,000)");
+    });
+
+    it("reads amounts the extraction returned as text", () => {
+        const slip = { ...SLIP, basicSalary: "20,000", housingAllowance: "12,000", netSalary: "32,000", deductions: "3 500" };
+        const income = incomeFromSalarySlip(slip, 32_000, NOW);
+        expect(IncomeSchema.safeParse(income).success).toBe(true);
+        expect(income).toMatchObject({ basis: "net", amount: 32_000 });
+        expect(income.breakdown).toMatchObject({ basic: 20_000, deductions: 3_500, net: 32_000 });
+        expect(income.breakdown.allowances[0]).toEqual({ name: "Housing allowance", amount: 12_000 });
+    });
+});
+
+describe("parseAmount", () => {
+    it("strips thousands separators and rejects anything that isn't a positive amount", () => {
+        expect(parseAmount("32,000")).toBe(32_000);
+        expect(parseAmount("32,000.50")).toBe(32_000.5);
+        expect(parseAmount(32_000)).toBe(32_000);
+        expect(parseAmount("AED 32,000")).toBeNull();
+        expect(parseAmount("")).toBeNull();
+        expect(parseAmount(0)).toBeNull();
+        expect(parseAmount(null)).toBeNull();
+    });
+});
+
+describe("incomeAfterCall", () => {
+    const known = incomeFromSalarySlip(SLIP, 32_000, NOW);
+
+    it("keeps the salary slip record when a tool ran on the same figure or none", () => {
+        expect(incomeAfterCall(known, 32_000)).toBe(known);
+        expect(incomeAfterCall(known, undefined)).toBe(known);
+    });
+
+    it("replaces it with a typed figure when the user gives a different one", () => {
+        expect(incomeAfterCall(known, 38_000)).toMatchObject({ monthly: 38_000, source: "typed", breakdown: null });
+    });
+});
+
+describe("migrateLegacyIncome", () => {
+    it("turns a bare number from an older stored state into a record", () => {
+        expect(migrateLegacyIncome({ extractedData: { income: 30_000 } })).toMatchObject({ monthly: 30_000, source: "typed" });
+        expect(migrateLegacyIncome({ extractedData: {} })).toBeNull();
+        expect(migrateLegacyIncome({ income: null, extractedData: { income: 30_000 } })).toBeNull();
+    });
+});
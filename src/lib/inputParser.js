@@ -0,0 +1,260 @@
+import { toWesternDigits } from "./i18n";
+
+/* ============================================================
+   DETERMINISTIC INPUT PARSER
+   ============================================================
+   Reads amounts ("2k", "1.2M", "AED 250,000", "2 lakh"), percentages
+   ("20%", "20 percent") and durations ("8 years", "around 8 yrs",
+   "18 months") out of a user message, and ties each one to the field it
+   describes through the nearest keyword in the same clause ("rent 8k",
+   "20% down", "staying 6 years"). Arabic messages are read the same way:
+   digits are mapped to Western ones first, and the units and keywords
+   have Arabic forms ("١٫٥ مليون", "الإيجار ٩ آلاف").
+
+   The model still decides which tool to call. These values are only used
+   to cross-check its arguments (crossCheckToolArgs), so a misread number
+   becomes a question to the user instead of a wrong calculation. Anything
+   the parser can't pin to exactly one value is left out. */
+
+const MULTIPLIERS = {
+    k: 1e3,
+    thousand: 1e3,
+    m: 1e6,
+    mn: 1e6,
+    million: 1e6,
+    lakh: 1e5,
+    lakhs: 1e5,
+    lac: 1e5,
+    crore: 1e7,
+    crores: 1e7,
+    cr: 1e7,
+    "ألف": 1e3,
+    "الف": 1e3,
+    "آلاف": 1e3,
+    "مليون": 1e6,
+    "ملايين": 1e6,
+};
+
+const WORD_NUMBERS = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20, "twenty-five": 25, thirty: 30,
+};
+
+const NUMBER = `\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?|(?:${Object.keys(WORD_NUMBERS).sort((a, b) => b.length - a.length).join("|")})\\b`;
+// \\b only knows ASCII letters, so the Arabic units end at the first non-letter instead
+const ARABIC_YEARS = "سنوات|سنين|سنة|أعوام|عاما|عام";
+const ARABIC_MONTHS = "أشهر|شهور|شهرا|شهر";
+const ARABIC_UNIT = `(?:آلاف|ألف|الف|ملايين|مليون|${ARABIC_YEARS}|${ARABIC_MONTHS})(?![\\u0621-\\u064A])`;
+const UNIT = `%|percent\\b|per\\s?cent\\b|k\\b|thousand\\b|mn\\b|m\\b|million\\b|lakhs?\\b|lac\\b|crores?\\b|cr\\b|-?\\s*(?:years?|yrs?)\\b|-?\\s*(?:months?|mos?)\\b|${ARABIC_UNIT}`;
+const MENTION_PATTERN = new RegExp(`(?<![\\w.,])(${NUMBER})\\s*(${UNIT})?`, "gi");
+
+// "8-10 years", "8 to 10 years": a range is not one value
+const RANGE_PATTERN = /\d+(?:\.\d+)?\s*(?:-|–|to)\s*\d+(?:\.\d+)?/gi;
+const CLAUSE_BREAK = /,(?!\d{3})|[;\n?!،؛؟]|\.(?!\d)|\bbut\b|\bthen\b|\bwhile\b|\sلكن|\sثم/gi;
+
+// Fields a value can belong to. `kinds` lists the mentions a field accepts;
+// fixedYears, eiborMargin and rentIncreaseRate are only parsed so their
+// numbers don't get mistaken for the tenure, rate or down payment.
+const FIELDS = {
+    price: { kinds: ["amount"], keywords: /\b(?:price[sd]?|property|apartment|flat|villa|townhouse|worth|costs?|valued|buy(?:ing)?)\b|السعر|ثمن|شقة|فيلا|عقار|منزل|بيت/gi },
+    downPayment: { kinds: ["amount", "percent"], keywords: /\b(?:down(?:\s*payment)?|deposit)\b|(?:ال)?دفع[ةه] (?:ال)?(?:مقدمة|أولى)|المقدم|مقدم|عربون/gi },
+    rent: { kinds: ["amount"], keywords: /\brent(?:ing|al)?\b|[إا]يجار/gi },
+    monthlyIncome: { kinds: ["amount"], keywords: /\b(?:salary|income|earn(?:ing)?s?|take[- ]home)\b|راتب|دخل/gi },
+    savings: { kinds: ["amount"], keywords: /\b(?:sav(?:ed|ings?|e))\b|مدخرات|ادخرت|وفرت/gi },
+    stayYears: { kinds: ["duration", "bare"], keywords: /\b(?:stay(?:ing)?|live|living|leav(?:e|ing)|remain(?:ing)?|here|uae|dubai|abu dhabi|sharjah)\b|[أس]?[أن]?بقى|البقاء|الإقامة|سأعيش|أعيش|سأظل|هنا|الإمارات|دبي|أبوظبي|الشارقة/gi },
+    tenureYears: { kinds: ["duration", "bare"], keywords: /\b(?:tenure|term|loan|mortgage|repay(?:ment)?)\b|القرض|قرض|التمويل|الرهن|السداد/gi },
+    // "a loan at 3.99%": `at` only counts when no other keyword in the clause takes the number ("at 20% down")
+    annualRate: { kinds: ["percent"], keywords: /\b(?:rate|interest)\b|فائدة/gi, weakKeywords: /(?<!\bfixed\s)\bat\b/gi },
+    fixedYears: { kinds: ["duration"], keywords: /\bfixed\b|ثابت/gi },
+    eiborMargin: { kinds: ["percent"], keywords: /\b(?:eibor|margin)\b|[إا]يبور|هامش/gi },
+    rentIncreaseRate: { kinds: ["percent"], keywords: /\b(?:increases?|rises?|goes up|escalat\w*)\b|زيادة|يزيد|ارتفاع|يرتفع/gi },
+};
+
+function toNumber(raw) {
+    const word = WORD_NUMBERS[raw.toLowerCase()];
+    return word ?? Number(raw.replace(/,/g, ""));
+}
+
+// Every number in the text with its kind: amount, percent, duration or bare
+function findMentions(text) {
+    const mentions = [];
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        const [whole, raw, rawUnit = ""] = match;
+        const unit = rawUnit.toLowerCase().replace(/^-?\s*/, "");
+        let n = toNumber(raw);
+        let kind;
+        if (unit === "%" || unit.startsWith("per")) {
+            kind = "percent";
+            n /= 100;
+        } else if (/^(?:years?|yrs?)$/.test(unit) || ARABIC_YEARS.split("|").includes(unit)) {
+            kind = "duration";
+        } else if (/^(?:months?|mos?)$/.test(unit) || ARABIC_MONTHS.split("|").includes(unit)) {
+            kind = "duration";
+            n /= 12;
+        } else if (MULTIPLIERS[unit]) {
+            kind = "amount";
+            n *= MULTIPLIERS[unit];
+        } else {
+            kind = n >= 1000 || raw.includes(",") ? "amount" : "bare";
+        }
+        if (!Number.isFinite(n)) continue;
+        mentions.push({ kind, value: n, start: match.index, end: match.index + whole.trimEnd().length });
+    }
+    return mentions;
+}
+
+/**
+ * Numbers in a message that carry a unit: amounts, percentages and
+ * durations ("9k", "20%", "8 years"). Bare numbers ("a 500-word poem")
+ * are left out.
+ */
+export function valuesWithUnits(text) {
+    return findMentions(toWesternDigits(text)).filter((mention) => mention.kind !== "bare");
+}
+
+// Bare numbers only make sense as a duration ("stay 8"); small ones are never money
+function accepts(field, mention) {
+    if (!FIELDS[field].kinds.includes(mention.kind)) return false;
+    return mention.kind !== "bare" || (mention.value >= 1 && mention.value <= 40);
+}
+
+function findKeywords(text) {
+    const keywords = [];
+    for (const [field, { keywords: pattern, weakKeywords }] of Object.entries(FIELDS)) {
+        for (const match of text.matchAll(pattern)) {
+            keywords.push({ field, start: match.index, end: match.index + match[0].length });
+        }
+        for (const match of weakKeywords ? text.matchAll(weakKeywords) : []) {
+            keywords.push({ field, weak: true, start: match.index, end: match.index + match[0].length });
+        }
+    }
+    return keywords;
+}
+
+function clauseBounds(text) {
+    const bounds = [];
+    let start = 0;
+    for (const match of text.matchAll(CLAUSE_BREAK)) {
+        bounds.push([start, match.index]);
+        start = match.index + match[0].length;
+    }
+    bounds.push([start, text.length]);
+    return bounds;
+}
+
+// Weak keywords lose to any ordinary keyword in the same clause, however far away
+const WEAK_KEYWORD_PENALTY = 1000;
+
+const gap = (a, b) => (a.end <= b.start ? b.start - a.end : a.start - b.end);
+
+/**
+ * Values a user message states, by field:
+ *   { fields: { price: { value, source }, downPayment: { value, percent, base, source }, ... }, ambiguous: [...] }
+ * `source` is the text the value came from ("20% down"). A percentage down
+ * payment is resolved against the price in the same message, else
+ * `knownPrice`; without either only `percent` is set. Fields stated with
+ * two different values are listed in `ambiguous` and left out of `fields`.
+ */
+export function parseUserInputs(text, { knownPrice = null } = {}) {
+    // Ranges become blanks of the same length so positions stay put; Arabic-Indic digits map one-to-one
+    const clean = toWesternDigits(text)
+        .replace(/\b(aed|dhs?|usd|gbp|eur|inr|rs)(?=\d)/gi, "$1 ")
+        .replace(RANGE_PATTERN, (r) => " ".repeat(r.length));
+
+    const mentions = findMentions(clean);
+    const keywords = findKeywords(clean);
+    const found = {};
+
+    for (const [from, to] of clauseBounds(clean)) {
+        const inClause = (x) => x.start >= from && x.end <= to;
+        const pairs = [];
+        for (const mention of mentions.filter(inClause)) {
+            for (const keyword of keywords.filter(inClause)) {
+                if (!accepts(keyword.field, mention)) continue;
+                pairs.push({ mention, keyword, distance: gap(mention, keyword) + (keyword.weak ? WEAK_KEYWORD_PENALTY : 0) });
+            }
+        }
+
+        // Closest pairs first; each number and each keyword is used once
+        const usedMentions = new Set();
+        const usedKeywords = new Set();
+        for (const { mention, keyword } of pairs.sort((a, b) => a.distance - b.distance)) {
+            if (usedMentions.has(mention) || usedKeywords.has(keyword)) continue;
+            usedMentions.add(mention);
+            usedKeywords.add(keyword);
+            const source = clean.slice(Math.min(mention.start, keyword.start), Math.max(mention.end, keyword.end)).trim();
+            (found[keyword.field] ||= []).push({ mention, source });
+        }
+    }
+
+    const fields = {};
+    const ambiguous = [];
+    for (const [field, entries] of Object.entries(found)) {
+        const distinct = new Set(entries.map((e) => `${e.mention.kind}:${e.mention.value}`));
+        if (distinct.size > 1) {
+            ambiguous.push(field);
+            continue;
+        }
+        const { mention, source } = entries[0];
+        fields[field] = mention.kind === "percent" && field === "downPayment"
+            ? { percent: mention.value, source }
+            : { value: mention.value, source };
+    }
+
+    const down = fields.downPayment;
+    if (down?.percent != null) {
+        const base = fields.price?.value ?? knownPrice;
+        if (base) Object.assign(down, { base, value: Math.round(base * down.percent) });
+    }
+    return { fields, ambiguous };
+}
+
+/**
+ * A rate or share of the price as a fraction. Tool arguments for these
+ * fields come as 3.99 or 0.0399 for 3.99%, so numbers from 1 up are
+ * percentages ("1" is 1%, not 100%) and smaller ones are fractions
+ * already. Only for percentage fields, never for amounts.
+ */
+export function toFraction(value) {
+    if (value == null) return null;
+    const n = Number(value);
+    return n >= 1 ? n / 100 : n;
+}
+
+/* ---------------- Cross-checking tool arguments ---------------- */
+
+// Tool args that must agree with what the user wrote. compare_scenarios is
+// left out: its messages list several alternatives for the same field.
+const CHECKED_ARGS = {
+    calculate_mortgage: ["price", "downPayment", "rent", "stayYears", "tenureYears", "monthlyIncome", "annualRate"],
+    max_affordable_price: ["monthlyIncome", "savings", "tenureYears"],
+};
+
+
+function agrees(field, parsed, args) {
+    const used = args[field];
+    if (used == null) return false;
+    if (field === "annualRate") return Math.abs(toFraction(used) - parsed.value) < 0.0005;
+    if (field === "stayYears" || field === "tenureYears") return Math.abs(used - parsed.value) < 0.05;
+    if (parsed.value == null) {
+        // A percentage we couldn't turn into AED: compare it with the share of the price used
+        return args.price > 0 && Math.abs(used / args.price - parsed.percent) < 0.005;
+    }
+    return Math.abs(used - parsed.value) <= Math.max(1, parsed.value * 0.01);
+}
+
+/**
+ * Arguments of a tool call that disagree with the parsed message, as
+ * [{ field, source, expected, percent, base, used }]. `used` is null when
+ * the model left a stated value out. Empty when everything agrees or the
+ * tool isn't checked.
+ */
+export function crossCheckToolArgs(parsed, toolName, args = {}) {
+    const checked = CHECKED_ARGS[toolName] || [];
+    return checked
+        .filter((field) => parsed.fields[field] && !agrees(field, parsed.fields[field], args))
+        .map((field) => {
+            const { value, percent, base, source } = parsed.fields[field];
+            return { field, source, expected: value ?? null, percent: percent ?? null, base: base ?? null, used: args[field] ?? null };
+        });
+}
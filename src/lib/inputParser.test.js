@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { crossCheckToolArgs, parseUserInputs, toFraction } from "./inputParser";
+
+const values = (text, options) =>
+    Object.fromEntries(Object.entries(parseUserInputs(text, options).fields).map(([k, v]) => [k, v.value ?? v.percent]));
+
+describe("parseUserInputs", () => {
+    it("reads shorthand amounts, durations and percentages by keyword", () => {
+        expect(values("price 250k, down 10k, stay 4 years, rent 8k")).toEqual({
+            price: 250_000,
+            downPayment: 10_000,
+            stayYears: 4,
+            rent: 8_000,
+        });
+        expect(values("Price 1.2M, I'm staying 6 years and paying 7,500 rent")).toEqual({ price: 1_200_000, stayYears: 6, rent: 7_500 });
+        expect(values("villa for 2.5 million, deposit of 2 lakh")).toEqual({ price: 2_500_000, downPayment: 200_000 });
+        expect(values("I'll be here around 8 yrs, rate 4.25%")).toEqual({ stayYears: 8, annualRate: 0.0425 });
+        expect(values("What if I take a 15 year loan instead?")).toEqual({ tenureYears: 15 });
+    });
+
+    it("reads a rate given as \"at X%\" unless another keyword takes the number", () => {
+        expect(values("The bank offered me a loan at 3.99%").annualRate).toBeCloseTo(0.0399, 10);
+        expect(values("I'm looking at a 2M villa at 20% down")).toEqual({ price: 2_000_000, downPayment: 400_000 });
+        expect(values("my rent increases at 5% a year")).toEqual({ rentIncreaseRate: 0.05 });
+        expect(values("3-year fixed at 3.99% then EIBOR + 1.5%")).not.toHaveProperty("annualRate");
+    });
+
+    it("resolves a percentage down payment against the price in the message, else the known price", () => {
+        expect(parseUserInputs("1.5M apartment with 20% down").fields.downPayment).toMatchObject({ percent: 0.2, base: 1_500_000, value: 300_000 });
+        expect(parseUserInputs("what about 25% down?", { knownPrice: 1_200_000 }).fields.downPayment).toMatchObject({ value: 300_000 });
+        expect(parseUserInputs("what about 25% down?").fields.downPayment).toEqual({ percent: 0.25, source: "25% down" });
+    });
+
+    it("reads Arabic messages, including Arabic-Indic digits", () => {
+        expect(values("السعر ١٫٥ مليون والدفعة المقدمة ٢٠٪، سأبقى ٨ سنوات والإيجار ٩ آلاف")).toEqual({
+            price: 1_500_000,
+            downPayment: 300_000,
+            stayYears: 8,
+            rent: 9_000,
+        });
+        expect(values("راتبي ٣٥ ألف ومدخراتي ٤٠٠ ألف، قرض لمدة ٢٥ سنة")).toEqual({ monthlyIncome: 35_000, savings: 400_000, tenureYears: 25 });
+        expect(values("فيلا بـ 2 مليون، الفائدة ٤٫٢٥٪")).toEqual({ price: 2_000_000, annualRate: 0.0425 });
+    });
+
+    it("ignores numbers it can't tie to one field", () => {
+        expect(values("I have 2 kids, rent is 8,000")).toEqual({ rent: 8_000 });
+        expect(values("staying 5-7 years")).toEqual({});
+        expect(values("3-year fixed at 3.99% then EIBOR + 1.5%")).not.toHaveProperty("tenureYears");
+        expect(parseUserInputs("I've been in Dubai 3 years and plan to stay 8 more").ambiguous).toEqual(["stayYears"]);
+    });
+});
+
+describe("toFraction", () => {
+    it("reads numbers from 1 up as percentages and smaller ones as fractions", () => {
+        expect(toFraction(1)).toBe(0.01);
+        expect(toFraction(3.99)).toBeCloseTo(0.0399, 10);
+        expect(toFraction(25)).toBe(0.25);
+        expect(toFraction(0.25)).toBe(0.25);
+        expect(toFraction(0)).toBe(0);
+        expect(toFraction(null)).toBeNull();
+    });
+});
+
+describe("crossCheckToolArgs", () => {
+    const parsed = parseUserInputs("Price 1.5M, 20% down, staying 8 years, rent 9k");
+    const args = { price: 1_500_000, downPayment: 300_000, stayYears: 8, rent: 9_000 };
+
+    it("accepts args that match the message", () => {
+        expect(crossCheckToolArgs(parsed, "calculate_mortgage", args)).toEqual([]);
+    });
+
+    it("reports a down payment that doesn't match the stated percentage", () => {
+        expect(crossCheckToolArgs(parsed, "calculate_mortgage", { ...args, downPayment: 200_000 })).toEqual([
+            { field: "downPayment", source: "20% down", expected: 300_000, percent: 0.2, base: 1_500_000, used: 200_000 },
+        ]);
+    });
+
+    it("reports a stated value the model left out", () => {
+        const withTenure = parseUserInputs("rent 9k, 20 year loan");
+        expect(crossCheckToolArgs(withTenure, "calculate_mortgage", args).map((m) => [m.field, m.used])).toEqual([["tenureYears", null]]);
+    });
+
+    it("checks an unresolved percentage against the price the model used", () => {
+        const pctOnly = parseUserInputs("make it 25% down");
+        expect(crossCheckToolArgs(pctOnly, "calculate_mortgage", { ...args, downPayment: 375_000 })).toEqual([]);
+        expect(crossCheckToolArgs(pctOnly, "calculate_mortgage", args)).toHaveLength(1);
+    });
+
+    it("compares a rate however the model wrote it", () => {
+        const rate = parseUserInputs("Price 1.5M at 1% interest");
+        expect(crossCheckToolArgs(rate, "calculate_mortgage", { price: 1_500_000, annualRate: 1 })).toEqual([]);
+        expect(crossCheckToolArgs(rate, "calculate_mortgage", { price: 1_500_000, annualRate: 0.01 })).toEqual([]);
+    });
+
+    it("leaves tools without checked args alone", () => {
+        expect(crossCheckToolArgs(parsed, "compare_scenarios", { price: 1 })).toEqual([]);
+    });
+});
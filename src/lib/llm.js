@@ -0,0 +1,249 @@
+import { readFileSync } from "fs";
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { ChatGoogleGenerativeAI } from "@langchain/google-genai";
+
+/* ============================================================
+   LLM PROVIDERS
+   ============================================================
+   Everything that talks to a model goes through one of these, picked
+   with LLM_PROVIDER (gemini | openai | mock). A provider has three calls:
+
+     chat(messages, { tools })  → { text, toolCalls: [{ name, args }] }
+     stream(messages)           → async iterable of text chunks
+     generate({ prompt, file, vision }) → text (file = { data: base64, mimeType })
+
+   Messages are { role: "system" | "user" | "assistant", content }, and
+   tools are function declarations ({ name, description, parameters }). */
+
+/* ---------------- Gemini (default) ---------------- */
+
+function geminiText(content) {
+    if (typeof content === "string") return content;
+    return (content || []).map((p) => p.text || "").join("");
+}
+
+// All function calls in a response, not just the first
+function geminiToolCalls(response) {
+    if (response.tool_calls?.length) {
+        return response.tool_calls.map((c) => ({ name: c.name, args: c.args || {} }));
+    }
+    const parts = Array.isArray(response.content) ? response.content : [];
+    const calls = parts.map((p) => p.functionCall).filter(Boolean);
+    if (!calls.length && response.functionCall) calls.push(response.functionCall);
+    return calls.map((c) => ({ name: c.name, args: c.args || {} }));
+}
+
+export function createGeminiProvider({
+    apiKey = process.env.GOOGLE_API_KEY,
+    // Prefer a valid default if GEMINI_MODEL is unset or misconfigured
+    model = process.env.GEMINI_MODEL || "gemini-1.5-flash",
+    visionModel = process.env.GEMINI_VISION_MODEL || "gemini-2.0-flash-exp",
+} = {}) {
+    const requireKey = () => {
+        if (!apiKey) throw new Error("Missing GOOGLE_API_KEY env");
+        return apiKey;
+    };
+    const chatModel = () => new ChatGoogleGenerativeAI({ apiKey: requireKey(), model, temperature: 0.2 });
+
+    return {
+        name: "gemini",
+        async chat(messages, { tools = [] } = {}) {
+            // bindTools, not bind({ tools }): Gemini wants functionDeclarations wrapped this way
+            const llm = tools.length ? chatModel().bindTools([{ functionDeclarations: tools }]) : chatModel();
+            const response = await llm.invoke(messages);
+            return { text: geminiText(response.content), toolCalls: geminiToolCalls(response) };
+        },
+        async *stream(messages) {
+            for await (const chunk of await chatModel().stream(messages)) {
+                const text = geminiText(chunk.content);
+                if (text) yield text;
+            }
+        },
+        async generate({ prompt, file, vision = false }) {
+            const client = new GoogleGenerativeAI(requireKey());
+            const generative = client.getGenerativeModel({ model: vision ? visionModel : model });
+            const parts = file ? [prompt, { inlineData: { data: file.data, mimeType: file.mimeType } }] : prompt;
+            const result = await generative.generateContent(parts);
+            return result.response.text();
+        },
+    };
+}
+
+/* ---------------- OpenAI-compatible (OpenAI, vLLM, Ollama, LM Studio, ...) ---------------- */
+
+export function createOpenAICompatibleProvider({
+    baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || "gpt-4o-mini",
+    visionModel = process.env.OPENAI_VISION_MODEL || model,
+    fetchImpl = globalThis.fetch,
+} = {}) {
+    // Local servers usually don't need a key
+    const headers = { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) };
+
+    async function complete(body) {
+        const res = await fetchImpl(`${baseUrl.replace(/\/$/, "")}/chat/completions`, {
+            method: "POST",
+            headers,
+            body: JSON.stringify({ temperature: 0.2, ...body }),
+        });
+        if (!res.ok) {
+            throw new Error(`LLM endpoint returned ${res.status}: ${(await res.text()).slice(0, 200)}`);
+        }
+        return res;
+    }
+
+    return {
+        name: "openai",
+        async chat(messages, { tools = [] } = {}) {
+            const res = await complete({
+                model,
+                messages,
+                ...(tools.length ? { tools: tools.map((t) => ({ type: "function", function: t })) } : {}),
+            });
+            const message = (await res.json()).choices?.[0]?.message || {};
+            const toolCalls = (message.tool_calls || []).map((c) => ({
+                name: c.function.name,
+                args: c.function.arguments ? JSON.parse(c.function.arguments) : {},
+            }));
+            return { text: message.content || "", toolCalls };
+        },
+        async *stream(messages) {
+            const res = await complete({ model, messages, stream: true });
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = "";
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split("\n");
+                buffer = lines.pop();
+                for (const line of lines) {
+                    const data = line.replace(/^data:\s*/, "").trim();
+                    if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+                    const text = JSON.parse(data).choices?.[0]?.delta?.content;
+                    if (text) yield text;
+                }
+            }
+        },
+        // Images only: most OpenAI-compatible servers can't read PDFs
+        async generate({ prompt, file, vision = false }) {
+            const content = file
+                ? [
+                    { type: "text", text: prompt },
+                    { type: "image_url", image_url: { url: `data:${file.mimeType};base64,${file.data}` } },
+                ]
+                : prompt;
+            const res = await complete({ model: vision ? visionModel : model, messages: [{ role: "user", content }] });
+            return (await res.json()).choices?.[0]?.message?.content || "";
+        },
+    };
+}
+
+/* ---------------- Scripted mock (offline: CI, laptops, tests) ---------------- */
+
+const MOCK_FALLBACK_TEXT = "I'm running on the offline mock model and have no scripted reply for that.";
+
+/**
+ * Replays `responses` in order, one per call, whatever the call is:
+ *   { text: "..." }                                   → a plain reply
+ *   { toolCalls: [{ name: "calculate_mortgage", args: {...} }] } → tool calls (text optional)
+ * Streaming replays `text` word by word. Every request is kept in `calls`
+ * so tests can see what the model was asked.
+ */
+export function createMockProvider(responses = []) {
+    const queue = [...responses];
+    const calls = [];
+    const next = (kind, request) => {
+        calls.push({ kind, ...request });
+        const response = queue.shift();
+        return { text: response?.text ?? (response ? "" : MOCK_FALLBACK_TEXT), toolCalls: response?.toolCalls || [] };
+    };
+
+    return {
+        name: "mock",
+        calls,
+        remaining: () => queue.length,
+        async chat(messages, { tools = [] } = {}) {
+            return next("chat", { messages, tools: tools.map((t) => t.name) });
+        },
+        async *stream(messages) {
+            const { text } = next("stream", { messages });
+            for (const piece of text.match(/\S+\s*|\s+/g) || []) yield piece;
+        },
+        async generate({ prompt, file, vision = false }) {
+            return next("generate", { prompt, vision, mimeType: file?.mimeType }).text;
+        },
+    };
+}
+
+/**
+ * Passes calls through to a real provider and keeps every response in the
+ * mock's script format (`recorded`), so a session can be replayed offline
+ * with createMockProvider(recorded).
+ */
+export function createRecordingProvider(inner) {
+    const recorded = [];
+    const calls = [];
+    return {
+        name: inner.name,
+        calls,
+        recorded,
+        async chat(messages, options = {}) {
+            calls.push({ kind: "chat", messages, tools: (options.tools || []).map((t) => t.name) });
+            const { text, toolCalls } = await inner.chat(messages, options);
+            recorded.push(toolCalls.length ? { text, toolCalls } : { text });
+            return { text, toolCalls };
+        },
+        async *stream(messages) {
+            calls.push({ kind: "stream", messages });
+            let text = "";
+            for await (const piece of inner.stream(messages)) {
+                text += piece;
+                yield piece;
+            }
+            recorded.push({ text });
+        },
+        async generate(request) {
+            calls.push({ kind: "generate", prompt: request.prompt, vision: !!request.vision, mimeType: request.file?.mimeType });
+            const text = await inner.generate(request);
+            recorded.push({ text });
+            return text;
+        },
+    };
+}
+
+// LLM_MOCK_SCRIPT points at a JSON array of responses for the mock provider
+function mockScriptFromEnv() {
+    const path = process.env.LLM_MOCK_SCRIPT;
+    return path ? JSON.parse(readFileSync(path, "utf8")) : [];
+}
+
+/* ---------------- Selection ---------------- */
+
+export function createProvider(name = process.env.LLM_PROVIDER || "gemini") {
+    switch (name) {
+        case "gemini":
+            return createGeminiProvider();
+        case "openai":
+            return createOpenAICompatibleProvider();
+        case "mock":
+            return createMockProvider(mockScriptFromEnv());
+        default:
+            throw new Error(`Unknown LLM_PROVIDER "${name}" (expected gemini, openai or mock)`);
+    }
+}
+
+// One provider per process, so a mock script plays through across requests
+let activeProvider = null;
+
+export function getLLM() {
+    if (!activeProvider) activeProvider = createProvider();
+    return activeProvider;
+}
+
+// Swap the provider (tests, harnesses); pass null to go back to LLM_PROVIDER
+export function setLLM(provider) {
+    activeProvider = provider;
+}
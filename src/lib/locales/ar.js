@@ -0,0 +1,468 @@
+// Arabic catalog (Modern Standard Arabic). Same keys as en.js; anything
+// missing here falls back to English. Amounts use f.aed(), so the digit
+// style follows the user's numerals setting.
+
+const yearsLabel = (n, f) => (n === 1 ? "سنة واحدة" : n === 2 ? "سنتان" : `${f.plain(n)} ${n >= 3 && n <= 10 && Number.isInteger(n) ? "سنوات" : "سنة"}`);
+const monthsLabel = (n, f) => (n === 1 ? "شهر واحد" : n === 2 ? "شهران" : `${f.plain(n)} ${n >= 3 && n <= 10 ? "أشهر" : "شهرًا"}`);
+
+const ar = {
+    common: {
+        separator: "، ",
+        years: ({ n }, f) => yearsLabel(n, f),
+        recommendation: { buy: "الشراء", rent: "الإيجار" },
+        perMonth: ({ amount }) => `${amount} شهريًا`,
+        assumptionSet: ({ version, effectiveFrom }, f) => `مجموعة الافتراضات ${version}، سارية منذ ${f.digits(effectiveFrom)}`,
+    },
+
+    tools: {
+        calculate_mortgage: "جارٍ حساب تمويلك العقاري",
+        max_affordable_price: "جارٍ تحديد أقصى ميزانية لك",
+        simulate_prepayment: "جارٍ محاكاة الدفعات المسبقة",
+        explain_calculation: "جارٍ إعداد تفاصيل الحساب",
+        generate_preapproval_summary: "جارٍ إعداد ملخص الموافقة المبدئية",
+        compare_scenarios: "جارٍ مقارنة السيناريوهات",
+        salary_slip: "جارٍ قراءة كشف راتبك",
+        running: ({ label }) => `${label}…`,
+        done: ({ label }) => `${label} — تم`,
+        tooManySteps: "تطلّب ذلك خطوات أكثر مما أستطيع إنجازه دفعة واحدة. هل يمكنك أن تسألني عن أمر واحد في كل مرة - مثلًا التمويل أولًا ثم المقارنة؟",
+        invalid: "لم أتمكن من إجراء هذا الحساب بالأرقام المتوفرة لديّ. هل يمكنك مراجعتها - سعر العقار والدفعة الأولى والإيجار ومدة بقائك - وإرسالها مرة أخرى؟",
+    },
+
+    rate: {
+        flat: ({ rate }, f) => `${f.pct(rate, 2)} سنويًا، ثابت طوال مدة التمويل`,
+        schedule: ({ s, bounds }, f) =>
+            `${f.pct(s.fixedRate, 2)} ثابت لمدة ${yearsLabel(s.fixedYears, f)}، ثم إيبور ${f.pct(s.referenceRate, 2)} + هامش ${f.pct(s.margin, 2)} = ${f.pct(s.variableRate, 2)}${bounds ? ` (${bounds})` : ""}، ويُعاد تحديده كل ${monthsLabel(s.resetMonths, f)}`,
+        floor: ({ rate }, f) => `حد أدنى ${f.pct(rate, 2)}`,
+        cap: ({ rate }, f) => `حد أقصى ${f.pct(rate, 2)}`,
+        short: ({ rate }, f) => f.pct(rate, 2),
+        shortSchedule: ({ s }, f) => `${f.pct(s.fixedRate, 2)} لمدة ${yearsLabel(s.fixedYears, f)}، ثم ${f.pct(s.variableRate, 2)}`,
+        typical: " (سعر تمويل عقاري معتاد في الإمارات)",
+    },
+
+    paymentShock: ({ shock }, f) => {
+        const direction = shock.change >= 0 ? "زيادة" : "انخفاض";
+        return `من الشهر ${f.plain(shock.month)} ينتقل السعر من ${f.pct(shock.rateBefore, 2)} إلى ${f.pct(shock.rateAfter, 2)} ويتغير القسط الشهري من ${f.aed(shock.emiBefore)} إلى ${f.aed(shock.emiAfter)} (${direction} ${f.aed(Math.abs(shock.change))} شهريًا، ${f.pct(Math.abs(shock.changePct), 1)})`;
+    },
+
+    rentProjection: {
+        flat: "ثابت (دون افتراض زيادات سنوية)",
+        year: ({ year, rent, increase }, f) => `السنة ${f.plain(year)}: ${f.aed(rent)} شهريًا${increase ? ` (+${f.pct(increase, 0)})` : ""}`,
+        fixed: ({ path }) => `يرتفع كل سنة عند التجديد — ${path}`,
+        rera: ({ index, path }, f) =>
+            `وفق سقوف زيادة الإيجار لدى ريرا مقارنة بمؤشر ${index.area} ${index.unitType} (${f.aed(index.annualRent)} سنويًا${index.asOf ? ` حتى ${f.digits(index.asOf)}` : ""}) — ${path}`,
+    },
+
+    affordability: {
+        income: ({ amount }, f) => `الدخل الشهري: ${f.aed(amount)}`,
+        stressed: ({ rate, stressed, actual }, f) => `القسط بعد اختبار الضغط عند ${f.pct(rate, 2)}: ${f.aed(stressed)} (القسط الفعلي ${f.aed(actual)})`,
+        liability: ({ label, amount }, f) => `${label}: ${f.aed(amount)} شهريًا`,
+        dbr: ({ dbr, limit, passes }, f) => `نسبة عبء الدين: ${f.pct(dbr, 1)} (الحد ${f.pct(limit, 1, { trim: true })}) ← ${passes ? "مقبولة" : "غير مقبولة"}`,
+        headroom: ({ emiHeadroom, maxLoan }, f) => `الهامش المتاح: ${f.aed(emiHeadroom)} شهريًا، أي يمكن أن يصل التمويل إلى ${f.aed(maxLoan)}`,
+        shortfall: ({ emiShortfall, loanShortfall, maxLoan, incomeNeeded }, f) =>
+            `العجز: ${f.aed(emiShortfall)} شهريًا فوق الحد؛ يجب خفض التمويل بمقدار ${f.aed(loanShortfall)} إلى ${f.aed(maxLoan)}، أو أن يرتفع الدخل إلى ${f.aed(incomeNeeded)} شهريًا`,
+        creditCards: ({ factor, limits }, f) => `بطاقات الائتمان (${f.pct(factor, 2, { trim: true })} من حدود بقيمة ${f.aed(limits)})`,
+    },
+
+    conversion: ({ c, field }, f) =>
+        `${field}: ${f.money(c.amount, c.currency)} ← ${f.aed(c.amountAED)} (${f.plain(1)} ${c.currency} = ${f.digits(c.rate)} درهم، بأسعار ${f.digits(c.asOf)})`,
+
+    income: {
+        describe: ({ amount, origin, converted }) => `${amount} شهريًا (${origin}${converted ? `، ${converted}` : ""})`,
+        fromSlip: ({ basis }) => `${basis} من كشف راتبك`,
+        typed: "كما أخبرتني",
+    },
+
+    clarification: {
+        // The parser quotes the message with Western digits; show them the way the user reads them
+        said: ({ source }, f) => `«${f.digits(source)}»`,
+        percentOfPrice: ({ value, price }) => `، أي ${value} من سعر ${price}`,
+        expected: ({ value }) => ` (${value})`,
+        notPicked: "لم ألتقط هذا الرقم",
+        readAs: ({ value }) => `قرأته ${value}`,
+        shareOfPrice: ({ share, price }, f) => ` (${f.pct(share, 1)} من ${price})`,
+        line: ({ field, said, read }) => `• **${field}**: كتبتَ ${said}، لكنني ${read}.`,
+        message: ({ lines }) => `قبل أن أبدأ الحساب، أريد التأكد من أنني قرأت أرقامك بشكل صحيح:
+
+${lines.join("\n")}
+
+أيّها الصحيح؟ أرسل الرقم الصحيح وسأحسب فورًا.`,
+    },
+
+    fx: {
+        unsupported: ({ codes }) =>
+            `لا يتوفر لديّ سعر صرف لعملة ${codes}، لذا لا يمكنني تحويل هذه المبالغ بدقة. هل يمكنك ذكرها بالدرهم الإماراتي (أو بالدولار الأمريكي أو اليورو أو الجنيه الإسترليني أو الروبية الهندية)؟`,
+    },
+
+    explain: {
+        noCalculation: "لم يُجرَ أي حساب بعد. يرجى تزويدي بتفاصيلك أولًا.",
+        conversions: ({ lines }) => `\n**تحويل العملات** (تتم جميع الحسابات بالدرهم الإماراتي):\n${lines.map((l) => `• ${l}`).join("\n")}\n`,
+        balance: ({ years, owed, repaid }, f) => `• المتبقي من التمويل بعد ${yearsLabel(years, f)}: ${f.aed(owed)} (المسدد من أصل التمويل: ${f.aed(repaid)})`,
+        homeCurrency: ({ ccy, aedPerUnit, asOf, price, emi, upfront, buying, netAdvantage }, f) => `\n\n**بعملة ${ccy}** (${f.plain(1)} ${ccy} = ${f.num(aedPerUnit, 4)} درهم، بأسعار ${f.digits(asOf)}):
+• سعر العقار: ${price}
+• القسط الشهري: ${emi}
+• التكاليف المقدمة: ${upfront}
+• صافي ميزة ${buying ? "الشراء" : "الإيجار"}: ${netAdvantage}`,
+        affordability: ({ limit, lines }, f) =>
+            `**القدرة على السداد (نسبة عبء الدين في الإمارات ${f.pct(limit, 1, { trim: true })}):**\n${lines.map((l) => `• ${l}`).join("\n")}\n\n`,
+        rationale: ({ recommendation }, f) => {
+            const advantage = f.aed(Math.abs(recommendation.netAdvantage));
+            if (recommendation.stayMonths === 0) {
+                return `من دون مدة إقامة متبقية في الإمارات، لا يضيف الشراء إلا تكاليف: الشراء ثم البيع فورًا يخسر ${advantage} من التكاليف المقدمة وتكاليف البيع، لذا يتفوق الإيجار.`;
+            }
+            const winner = recommendation.recommendation === "buy" ? "الشراء" : "الإيجار";
+            const breakEven = recommendation.breakEvenYear
+                ? `يتعادل الشراء مع الإيجار بعد ${yearsLabel(recommendation.breakEvenYear, f)}.`
+                : `لا يتعادل الشراء مع الإيجار خلال ${yearsLabel(recommendation.assumptions.maxBreakEvenYears, f)}.`;
+            return `بعد خصم جميع التدفقات النقدية إلى قيمتها الحالية، يتفوق ${winner} بمقدار ${advantage}. ${breakEven}`;
+        },
+        breakEven: ({ year, maxYears }, f) => (year ? `السنة ${f.plain(year)}` : `ليس خلال ${yearsLabel(maxYears, f)}`),
+        body: (p, f) => `إليك طريقة الحساب:
+${p.conversionSection}
+**تفاصيل التمويل:**
+• سعر العقار: ${f.aed(p.inputs.price)}
+• الدفعة الأولى: ${f.aed(p.inputs.downPayment)}
+• قاعدة نسبة التمويل المطبقة: ${p.ltvLabel}
+• الحد الأدنى للدفعة الأولى وفق هذه القاعدة: ${f.aed(p.emi.minDownPayment)}
+• مبلغ التمويل (بحد أقصى ${f.pct(p.emi.maxLtv, 0)} من قيمة العقار): ${f.aed(p.emi.loanAmount)}
+• التكاليف المقدمة (${p.emirate}، نحو ${f.pct(p.emi.upfrontCosts.percentOfPrice, 1)} من السعر): ${f.aed(p.emi.upfrontCostEstimate)}
+${p.items.map((i) => `  – ${i.label}: ${f.aed(i.amount)}`).join("\n")}
+
+**حساب القسط الشهري:**
+• سعر الفائدة: ${p.rateText}
+• مدة التمويل: ${yearsLabel(p.inputs.tenureYears, f)}
+• القسط الشهري: ${f.aed(p.emi.monthlyEmi)}
+• حصة الفائدة في الشهر الأول: ${f.aed(p.emi.monthlyInterestPortion)}${p.shockLine ? `\n• صدمة القسط: ${p.shockLine}` : ""}
+
+**جدول السداد:**
+• إجمالي المدفوع خلال ${yearsLabel(p.inputs.tenureYears, f)}: ${f.aed(p.emi.totalAmountPaid)}
+• إجمالي الفائدة خلال ${yearsLabel(p.inputs.tenureYears, f)}: ${f.aed(p.emi.totalInterest)}
+${p.balanceLines.join("\n")}
+
+| السنة | الرصيد الافتتاحي | الفائدة | أصل التمويل | الرصيد الختامي |
+|---|---|---|---|---|
+${p.yearly.map((y) => `| ${f.plain(y.year)} | ${f.num(y.openingBalance)} | ${f.num(y.interest)} | ${f.num(y.principal)} | ${f.num(y.closingBalance)} |`).join("\n")}
+
+${p.affordabilitySection}**منطق التوصية (صافي القيمة الحالية):**
+${p.rationale}
+
+• قيمة العقار عند الخروج (نمو ${f.pct(p.recommendation.assumptions.appreciationRate, 1)} سنويًا): ${f.aed(p.recommendation.atExit.propertyValue)}
+• تكاليف البيع عند الخروج (${f.pct(p.recommendation.assumptions.sellingCostRate, 1)}): ${f.aed(p.recommendation.atExit.sellingCosts)}
+• حقوق الملكية عند الخروج (القيمة − رصيد التمويل): ${f.aed(p.recommendation.atExit.equity)}
+• إجمالي الإيجار خلال مدة الإقامة: ${f.aed(p.recommendation.atExit.totalRent)}
+• إجمالي أقساط التمويل خلال مدة الإقامة: ${f.aed(p.recommendation.atExit.totalMortgagePayments)}
+• سنة التعادل: ${p.breakEven}
+• صافي ميزة ${p.recommendation.netAdvantage >= 0 ? "الشراء" : "الإيجار"} (بقيمة اليوم): ${f.aed(Math.abs(p.recommendation.netAdvantage))}
+
+• مدة الإقامة: ${yearsLabel(p.inputs.stayYears, f)}
+• الإيجار الشهري: ${f.aed(p.inputs.rent)}
+• توقع الإيجار: ${p.rentProjection}
+• التوصية: **${p.recommendationLabel}**${p.homeCurrencySection}
+
+_${p.assumptionSet}_`,
+    },
+
+    prepayment: {
+        noCalculation: "أحتاج أولًا إلى حساب تمويلك العقاري. يرجى ذكر سعر العقار والدفعة الأولى ومدة الإقامة والإيجار.",
+        duration: ({ months }, f) => {
+            const years = Math.floor(months / 12);
+            const rest = months % 12;
+            return [years ? yearsLabel(years, f) : null, rest ? monthsLabel(rest, f) : null].filter(Boolean).join(" و") || monthsLabel(0, f);
+        },
+        more: ({ count }, f) => `\n…و${f.plain(count)} دفعات مسبقة أخرى`,
+        reduceEmi: ({ emi }, f) => `**خفض القسط** — يبقى تاريخ الانتهاء كما هو وينخفض قسطك إلى نحو ${f.aed(emi)} شهريًا.`,
+        reduceTenure: ({ emi }, f) => `**تقصير المدة** — تستمر في دفع ${f.aed(emi)} شهريًا وتنهي التمويل مبكرًا.`,
+        body: (p, f) => `إليك أثر هذه الدفعات المسبقة على تمويلك:
+
+${p.modeLine}
+
+**قبل وبعد:**
+• تاريخ السداد الأصلي: ${f.digits(p.result.baseline.payoffDate)} (${p.duration(p.result.baseline.months)})
+• تاريخ السداد الجديد: ${f.digits(p.result.withPrepayment.payoffDate)} (${p.duration(p.result.withPrepayment.months)}) — أبكر بـ${p.duration(p.result.monthsSaved)}
+• الفائدة دون دفعات مسبقة: ${f.aed(p.result.baseline.totalInterest)}
+• الفائدة مع الدفعات المسبقة: ${f.aed(p.result.withPrepayment.totalInterest)}
+• **الفائدة الموفرة: ${f.aed(p.result.interestSaved)}**
+
+**رسوم السداد المبكر** (سقف مصرف الإمارات العربية المتحدة المركزي: ${f.pct(p.result.feeRule.feeRate, 0)} من الرصيد المستحق، بحد أقصى ${f.aed(p.result.feeRule.feeCap)} في كل مرة):
+• إجمالي المسدد مسبقًا: ${f.aed(p.result.totalPrepaid)}
+• إجمالي الرسوم: ${f.aed(p.result.totalFees)}
+• **صافي التوفير بعد الرسوم: ${f.aed(p.result.netSaving)}**
+
+| التاريخ | المبلغ المسدد | الرسوم | الرصيد بعدها | القسط بعدها |
+|---|---|---|---|---|
+${p.events.map((e) => `| ${f.digits(e.date)} | ${f.num(e.amount)} | ${f.num(e.fee)} | ${f.num(e.balanceAfter)} | ${f.num(e.emiAfter)} |`).join("\n")}${p.more}
+
+⚠️ هذا تقدير. قد تضع البنوك حدًا أدنى لمبالغ السداد المسبق وحدودًا سنوية — تحقق من ذلك مع جهة التمويل.
+
+_${p.assumptionSet}_`,
+    },
+
+    maxPrice: {
+        needIncome: "لتحديد ميزانيتك أحتاج إلى دخلك الشهري — اكتبه أو ارفع كشف راتبك.",
+        binding: {
+            dbr: ({ result }, f) =>
+                `**دخلك** — سقف عبء الدين في الإمارات البالغ ${f.pct(result.affordability.dbrLimit, 1, { trim: true })} يحد التمويل عند ${f.aed(result.limits.dbrMaxLoan)} (مع اختبار القسط عند ${f.pct(result.limits.stressRate, 2)}). زيادة المدخرات لن ترفع السعر كثيرًا؛ بينما يرفعه دخل أعلى أو ديون قائمة أقل.`,
+            ltv_down_payment: ({ result, ltvLabel }, f) =>
+                `**مدخراتك للدفعة الأولى** — وفق قاعدة «${ltvLabel}» يجب أن تدفع ${f.pct(1 - result.ltvRule.maxLtv, 0)} على الأقل من السعر. كل درهم إضافي تدخره يرفع ميزانيتك.`,
+            cash_for_fees: () =>
+                "**السيولة اللازمة للرسوم** — يمكن لدخلك ودفعتك الأولى أن يمتدا أكثر، لكن التكاليف المقدمة (رسوم التسجيل والعمولة ورسوم البنك) لا تغطيها مدخراتك.",
+        },
+        convertedFirst: ({ lines }) => `\nتم التحويل إلى الدرهم أولًا: ${lines.join("؛ ")}\n`,
+        body: (p, f) => `إليك أقصى ميزانية لك:
+${p.conversionSection}
+**أقصى سعر للعقار: ${p.money(p.result.maxPrice)}**
+
+• التمويل: ${p.money(p.result.loanAmount)} (${p.ltvLabel})
+• الدفعة الأولى: ${p.money(p.result.downPayment)}
+• التكاليف المقدمة (${p.emirate}): ${p.money(p.result.upfrontCosts.total)}
+• إجمالي السيولة المطلوبة: ${p.money(p.result.cashNeeded)} من مدخراتك البالغة ${p.money(p.savings)}
+• القسط الشهري: ${p.money(p.result.monthlyEmi)} (${p.rateText}، ${yearsLabel(p.tenureYears, f)})
+• نسبة عبء الدين عند هذا السعر: ${f.pct(p.result.affordability.dbr, 1)} (الحد ${f.pct(p.result.affordability.dbrLimit, 1, { trim: true })}، بعد اختبار الضغط)
+
+**ما يحد ميزانيتك:** ${p.bindingText}
+
+⚠️ هذا تقدير مبني على معايير البنوك المعتادة في الإمارات. الموافقة الفعلية تعتمد على تقييم البنك.
+
+_${p.assumptionSet}_`,
+    },
+
+    compare: {
+        missing: {
+            stayYears: "المدة التي تنوي البقاء فيها في الإمارات",
+            price: "سعر العقار",
+            rent: "إيجارك الشهري الحالي",
+        },
+        needInputs: ({ missing }) => `لمقارنة السيناريوهات أحتاج أولًا إلى ${missing.slice(0, -1).join("، ")}${missing.length > 1 ? " و" : ""}${missing.at(-1)}.`,
+        rows: {
+            price: "السعر",
+            downPayment: "الدفعة الأولى",
+            loan: "التمويل",
+            tenureRate: "المدة / السعر",
+            stayRent: "الإقامة / الإيجار",
+            emi: "القسط الشهري",
+            totalInterest: "إجمالي الفائدة",
+            upfrontCash: "السيولة المقدمة (الدفعة الأولى + الرسوم)",
+            recommendation: "التوصية",
+            breakEven: "التعادل",
+        },
+        downPaymentCell: ({ amount, share }, f) => `${f.aed(amount)} (${f.pct(share, 0)})`,
+        tenureRateCell: ({ years, rate }, f) => `${yearsLabel(years, f)}، ${rate}`,
+        stayRentCell: ({ years, rent }, f) => `${yearsLabel(years, f)}، ${f.aed(rent)} شهريًا`,
+        recommendationCell: ({ recommendation, advantage }, f) => `${recommendation} (متقدم بـ${f.aed(advantage)})`,
+        breakEvenCell: ({ year, maxYears }, f) => (year ? `السنة ${f.plain(year)}` : `ليس خلال ${yearsLabel(maxYears, f)}`),
+        signed: ({ amount }, f) => `${amount >= 0 ? "+" : "−"}${f.aed(Math.abs(amount))}`,
+        flips: ({ recommendation }) => `تنقلب التوصية إلى **${recommendation}**`,
+        stays: ({ recommendation }) => `تبقى التوصية ${recommendation}`,
+        difference: ({ name, emi, interest, upfront, rec }) => `• **${name}**: القسط ${emi} شهريًا، إجمالي الفائدة ${interest}، السيولة المقدمة ${upfront}؛ ${rec}`,
+        downPaymentRaised: ({ name, amount, rule }, f) => `${name}: رُفعت الدفعة الأولى إلى ${f.aed(amount)}، وهو الحد الأدنى وفق قاعدة «${rule}»`,
+        incomplete: ({ name }) => `${name}: تعذرت مقارنته — يحتاج إلى سعر وإيجار شهري ومدة إقامة`,
+        comparedWith: ({ baseName, lines }) => `\n**مقارنةً بـ${baseName}:**\n${lines.join("\n")}\n`,
+        body: (p) => `إليك مقارنة السيناريوهات:
+${p.conversionSection}
+${p.table}
+${p.differences}${p.notes}
+حفظتُ هذه السيناريوهات باسم ${p.names.map((n) => `«${n}»`).join("، ")} — اسألني عن أي منها بالاسم، أو اطلب تحليلًا كاملًا للسيناريو الذي يعجبك.
+
+⚠️ هذه تقديرات مبنية على معايير البنوك المعتادة في الإمارات. الموافقة الفعلية تعتمد على تقييم البنك.
+
+_${p.assumptionSet}_`,
+    },
+
+    preApproval: {
+        noCalculation:
+            "أحتاج إلى حساب أرقامك قبل أن أُعد ملخص الموافقة المبدئية. يرجى ذكر سعر العقار والدفعة الأولى والمدة التي تنوي البقاء فيها وإيجارك الحالي.",
+        withinLimit: ({ dbr, limit }, f) => `نسبة عبء الدين لديك ${f.pct(dbr, 1)}، ضمن الحد البالغ ${f.pct(limit, 1, { trim: true })}.`,
+        aboveLimit: ({ dbr, limit, maxLoan }, f) =>
+            `نسبة عبء الدين لديك ${f.pct(dbr, 1)}، أعلى من الحد البالغ ${f.pct(limit, 1, { trim: true })} — والأرجح أن يحد البنك التمويل عند نحو ${f.aed(maxLoan)}.`,
+        noIncome: "شاركني دخلك الشهري (أو ارفع كشف راتبك) وسأضيف إليه فحص عبء الدين.",
+        body: (p, f) => `### 📄 ملخص الموافقة المبدئية جاهز
+
+**الرقم المرجعي:** ${p.summary.reference}
+**صالح حتى:** ${f.date(p.summary.expiresAt)}
+
+يغطي الملخص تمويلًا بقيمة **${f.aed(p.summary.loan.amount)}** (قسط شهري يقارب ${f.aed(p.summary.loan.monthlyEmi)} على مدى ${yearsLabel(p.summary.loan.tenureYears, f)})، و**${f.aed(p.summary.cashNeeded)}** ستحتاجها مقدمًا، والمستندات التي ستطلبها البنوك. ${p.affordabilityLine}
+
+👉 [تنزيل ملف PDF](${p.url}?format=pdf) · [عرضه على الإنترنت](${p.url})
+
+**الخطوات التالية:**
+1. اجمع المستندات الواردة في القائمة المرفقة بالملخص
+2. شارك الملخص مع بنكين أو ثلاثة في الإمارات وقارن أسعارها ورسومها — واذكر رقمك المرجعي
+3. اسألني أي شيء آخر عن التمويل العقاري في هذه الأثناء
+
+⚠️ هذا تقدير وليس موافقة بنكية. يُجري كل بنك تقييمه الخاص.`,
+    },
+
+    softClose: {
+        offer: ({ income, stayYears, price }, f) =>
+            `\n\n---\n\n### ✅ الخطوة التالية\n\nبناءً على دخلك البالغ ${income} وإقامتك لمدة ${yearsLabel(stayYears, f)}، فأنت **مؤهل ماليًا للشراء** بدلًا من الإيجار.\n\nيمكنني تأهيلك مبدئيًا لمنزل في **نطاق ${f.num(price / 1_000_000, 1)} مليون درهم** وإعداد **ملخص موافقة مبدئية** لك.\n\n👉 **هل تريد أن أقوم بذلك الآن؟**`,
+        cashLine: ({ cashNeeded, savings }, f) => `${f.aed(cashNeeded)} نقدًا للدفعة الأولى والتكاليف المقدمة، مقابل مدخراتك البالغة ${f.aed(savings)}`,
+        dbrGap: ({ maxLoan, limit, gap, cashLine }, f) =>
+            `البنك سيحد التمويل عند ${f.aed(maxLoan)} وفق حد عبء الدين البالغ ${f.pct(limit, 0)}، لذا يجب أن تزيد الدفعة الأولى بمقدار ${f.aed(gap)}${cashLine ? `. أي أنك ستحتاج إلى ${cashLine}` : ""}`,
+        cashGap: ({ cashLine }) => `ستحتاج إلى ${cashLine}`,
+        nudge: ({ stayYears, why, saveMore }, f) =>
+            `\n\n---\n\n### 💡 قبل أن تتقدم بالطلب\n\nالشراء أفضل من الإيجار خلال إقامتك لمدة ${yearsLabel(stayYears, f)}، لكن ${why}. ادخار نحو **${f.aed(saveMore)} إضافية** أولًا سيضعك في موقف قوي. وعندما تصل إلى ذلك، يمكنني إعداد ملخص موافقة مبدئية لك.`,
+        askIncome: ({ stayYears }, f) =>
+            `\n\nخلال إقامتك لمدة ${yearsLabel(stayYears, f)}، يبدو الشراء أفضل من الإيجار. شاركني دخلك الشهري (أو ارفع كشف راتبك) وسأتحقق مما إذا كنت جاهزًا للتقدم بالطلب.`,
+    },
+
+    calculation: {
+        disclaimer: "⚠️ هذا تقدير مبني على افتراضات معتادة. قد تختلف شروط التمويل الفعلية من بنك لآخر. يرجى مراجعة البنوك في الإمارات للحصول على عروض دقيقة.",
+        fallback: ({ result }) => `حسبتُ تفاصيل تمويلك العقاري. إليك النتيجة:\n\n${result}`,
+    },
+
+    guardrail: {
+        offTopic:
+            "هذا خارج نطاق ما يمكنني المساعدة فيه، فأنا هنا للتمويل العقاري في الإمارات وقرار الشراء أو الإيجار. أخبرني بسعر العقار وإيجارك الحالي والمدة التي تنوي البقاء فيها في الإمارات، وسأحسب لك ما إذا كان الشراء مناسبًا.",
+        injection:
+            "يمكنني المساعدة فقط في التمويل العقاري في الإمارات وقرار الشراء أو الإيجار، ولا يمكنني تغيير طريقة عملي. أخبرني عن العقار الذي تفكر فيه - السعر وإيجارك ومدة بقائك - وسأحسب لك الأرقام.",
+        tooLong: ({ max }, f) =>
+            `رسالتك أطول من أن أقرأها (الحد الأقصى ${f.num(max)} حرف). هل يمكنك إرسال الأرقام الأساسية - سعر العقار والإيجار ومدة بقائك - في رسالة أقصر؟`,
+        document:
+            "لم أتمكن من استخدام هذا المستند لأنه يحتوي على نص ليس جزءًا من كشف راتب. يرجى رفع كشف راتب أو شهادة راتب عادية، أو إخباري براتبك الشهري بالدرهم الإماراتي.",
+    },
+
+    salarySlip: {
+        intro: "حللتُ كشف راتبك. إليك ما وجدته:\n\n",
+        basic: "💰 الراتب الأساسي",
+        housing: "🏠 بدل السكن",
+        transportation: "🚗 بدل المواصلات",
+        other: ({ name }) => `📋 ${name}`,
+        gross: "📊 إجمالي الراتب",
+        deductions: "➖ الاستقطاعات",
+        net: "✅ صافي الراتب",
+        line: ({ label, amount }) => `${label}: ${amount}\n`,
+        using: ({ amount }) => `\n💡 **المبلغ المعتمد في حسابات التمويل:** ${amount} شهريًا`,
+        converted: ({ amount, ccy, rate, asOf }, f) => ` (${amount} محولة بسعر ${f.plain(1)} ${ccy} = ${f.digits(rate)} درهم، بأسعار ${f.digits(asOf)})`,
+        confirm: "\n\nهل هذه البيانات صحيحة؟ إن كانت كذلك، يمكنني مساعدتك في حساب التمويل العقاري الذي يمكنك تحمّله!",
+        failed: "لم أتمكن من استخراج بيانات الراتب بأمان. يرجى تجربة مستند آخر.",
+        notSalary: "لا يبدو هذا كشف راتب. يرجى رفع كشف راتب أو شهادة راتب (صورة أو ملف PDF).",
+        unsupportedCurrency: ({ ccy }) => `كشف راتبك بعملة ${ccy}، ولا يتوفر لديّ سعر صرف لها بعد. هل يمكنك إخباري براتبك الشهري بالدرهم الإماراتي؟`,
+        uploaded: "تم رفع كشف الراتب",
+    },
+
+    labels: {
+        fields: {
+            price: "سعر العقار",
+            downPayment: "الدفعة الأولى",
+            rent: "الإيجار الشهري",
+            stayYears: "مدة الإقامة في الإمارات",
+            tenureYears: "مدة التمويل",
+            monthlyIncome: "الدخل الشهري",
+            savings: "المدخرات",
+            annualRate: "سعر الفائدة",
+            "lumpSums.amount": "الدفعة المسبقة",
+            annualPrepayment: "الدفعة السنوية",
+            "variations.price": "سعر السيناريو",
+            "variations.downPayment": "الدفعة الأولى للسيناريو",
+            "variations.rent": "إيجار السيناريو",
+            carLoanEmi: "قسط السيارة",
+            personalLoanEmi: "قسط القرض الشخصي",
+            creditCardLimits: "حدود بطاقات الائتمان",
+        },
+        incomeBasis: { net: "صافي الراتب", gross: "إجمالي الراتب", basic: "الراتب الأساسي" },
+        ltvRules: {
+            off_plan: "عقار على الخارطة (حد أقصى 50% من القيمة)",
+            non_resident: "مشترٍ غير مقيم (حد أقصى 60% من القيمة)",
+            national_second_home: "مواطن إماراتي، منزل ثانٍ أو لاحق (حد أقصى 65% من القيمة)",
+            expat_second_home: "وافد مقيم، منزل ثانٍ أو لاحق (حد أقصى 60% من القيمة)",
+            national_first_home_up_to_5m: "مواطن إماراتي، منزل أول حتى 5 ملايين درهم (حد أقصى 85% من القيمة)",
+            national_first_home_above_5m: "مواطن إماراتي، منزل أول فوق 5 ملايين درهم (حد أقصى 75% من القيمة)",
+            expat_first_home_up_to_5m: "وافد مقيم، منزل أول حتى 5 ملايين درهم (حد أقصى 80% من القيمة)",
+            expat_first_home_above_5m: "وافد مقيم، منزل أول فوق 5 ملايين درهم (حد أقصى 70% من القيمة)",
+        },
+        upfrontItems: {
+            transfer_fee: "رسوم نقل الملكية",
+            dld_admin: "الرسوم الإدارية لدائرة الأراضي والأملاك",
+            trustee_fee: "رسوم مكتب أمين التسجيل",
+            mortgage_registration: "رسوم تسجيل الرهن",
+            agency_commission: "عمولة الوسيط العقاري",
+            bank_arrangement: "رسوم ترتيب التمويل البنكي",
+            valuation: "رسوم التقييم البنكي",
+            conveyancing: "رسوم نقل الملكية القانونية",
+        },
+        liabilities: {
+            car_loan: "قسط قرض السيارة",
+            personal_loan: "قسط القرض الشخصي",
+            other_emi: "أقساط قروض أخرى",
+        },
+        emirates: {
+            Dubai: "دبي",
+            "Abu Dhabi": "أبوظبي",
+            Sharjah: "الشارقة",
+            "Other emirates": "الإمارات الأخرى",
+        },
+    },
+
+    chat: {
+        greeting:
+            "مرحبًا! أنا مساعدك في التمويل العقاري. أخبرني بما تريد.\n\nلا داعي للكتابة الكثيرة — ارفع كشف راتبك (صورة أو ملف PDF) وسأستخرج الأرقام لك.",
+        title: "مساعد التمويل العقاري",
+        subtitle: "تحليل الشراء مقابل الإيجار مدعوم بـ Gemini",
+        logout: "تسجيل الخروج",
+        newAnalysis: "+ تحليل جديد",
+        savedConversations: "المحادثات المحفوظة",
+        deleteConversation: ({ title }) => `حذف المحادثة ${title}`,
+        messages: "رسائل المحادثة",
+        you: "أنت",
+        assistant: "المساعد",
+        placeholder: "اكتب رسالة… (Shift+Enter لسطر جديد)",
+        inputLabel: "حقل كتابة الرسالة",
+        uploadFile: "رفع ملف",
+        removeFile: "إزالة الملف",
+        uploadedFile: "تم رفع ملف",
+        send: "إرسال",
+        sending: "جارٍ الإرسال…",
+        noResponse: "(لا يوجد رد)",
+        failed: "عذرًا، حدث خطأ أثناء الاتصال بالخادم.",
+    },
+
+    settings: {
+        language: "اللغة",
+        numerals: "الأرقام",
+    },
+
+    auth: {
+        emailLabel: "البريد الإلكتروني",
+        passwordLabel: "كلمة المرور",
+        nameLabel: "الاسم الكامل",
+        confirmPasswordLabel: "تأكيد كلمة المرور",
+        emailPlaceholder: "name@example.com",
+        namePlaceholder: "الاسم الكامل",
+        genericError: "حدث خطأ. يرجى المحاولة مرة أخرى.",
+        login: {
+            title: "مرحبًا بعودتك",
+            subtitle: "سجّل الدخول إلى حسابك للمتابعة",
+            rememberMe: "تذكرني",
+            forgotPassword: "نسيت كلمة المرور؟",
+            submit: "تسجيل الدخول",
+            submitting: "جارٍ تسجيل الدخول...",
+            noAccount: "ليس لديك حساب؟",
+            signUp: "إنشاء حساب",
+            failed: "تعذر تسجيل الدخول",
+        },
+        signup: {
+            title: "إنشاء حساب",
+            subtitle: "انضم إلينا واحصل على استشارة تمويل عقاري مخصصة لك",
+            submit: "إنشاء حساب",
+            submitting: "جارٍ إنشاء الحساب...",
+            haveAccount: "لديك حساب بالفعل؟",
+            signIn: "تسجيل الدخول",
+            failed: "تعذر إنشاء الحساب",
+        },
+        errors: {
+            nameRequired: "الاسم مطلوب",
+            emailRequired: "البريد الإلكتروني مطلوب",
+            emailInvalid: "صيغة البريد الإلكتروني غير صحيحة",
+            passwordRequired: "كلمة المرور مطلوبة",
+            passwordTooShort: "يجب ألا تقل كلمة المرور عن 8 أحرف",
+            passwordsDontMatch: "كلمتا المرور غير متطابقتين",
+            missingCredentials: "يرجى إدخال البريد الإلكتروني وكلمة المرور",
+            missingFields: "يرجى تعبئة جميع الحقول المطلوبة",
+            invalidCredentials: "البريد الإلكتروني أو كلمة المرور غير صحيحة",
+            emailTaken: "البريد الإلكتروني مسجل مسبقًا",
+            loginFailed: "حدث خطأ أثناء تسجيل الدخول. يرجى المحاولة مرة أخرى.",
+            signupFailed: "حدث خطأ أثناء إنشاء الحساب. يرجى المحاولة مرة أخرى.",
+        },
+    },
+};
+
+export default ar;
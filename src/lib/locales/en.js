@@ -0,0 +1,416 @@
+// English catalog (the reference language). Keys are documented in ../i18n.js;
+// functions receive (params, formatters) and format their own numbers.
+
+const yearsLabel = (n, f) => `${f.plain(n)} years`;
+
+const en = {
+    common: {
+        separator: ", ",
+        years: ({ n }, f) => yearsLabel(n, f),
+        recommendation: { buy: "BUY", rent: "RENT" },
+        perMonth: ({ amount }) => `${amount}/month`,
+        assumptionSet: ({ version, effectiveFrom }) => `Assumption set ${version}, effective ${effectiveFrom}`,
+    },
+
+    // Status lines streamed while a tool runs
+    tools: {
+        calculate_mortgage: "Calculating your mortgage",
+        max_affordable_price: "Working out your maximum budget",
+        simulate_prepayment: "Simulating your prepayments",
+        explain_calculation: "Preparing the calculation breakdown",
+        generate_preapproval_summary: "Preparing your pre-approval summary",
+        compare_scenarios: "Comparing scenarios",
+        salary_slip: "Reading your salary slip",
+        running: ({ label }) => `${label}…`,
+        done: ({ label }) => `${label} — done`,
+        // The model's calls kept failing validation and it had nothing to say
+        // The turn ran past the graph's step limit
+        tooManySteps: "That took more steps than I can handle in one go. Could you ask me one thing at a time - for example the mortgage first, then the comparison?",
+        invalid: "I couldn't run that calculation with the numbers I have. Could you check them - the property price, down payment, rent and how long you plan to stay - and send them again?",
+    },
+
+    rate: {
+        flat: ({ rate }, f) => `${f.pct(rate, 2)} per year, fixed for the full tenure`,
+        schedule: ({ s, bounds }, f) =>
+            `${f.pct(s.fixedRate, 2)} fixed for ${f.plain(s.fixedYears)} years, then EIBOR ${f.pct(s.referenceRate, 2)} + ${f.pct(s.margin, 2)} margin = ${f.pct(s.variableRate, 2)}${bounds ? ` (${bounds})` : ""}, reset every ${f.plain(s.resetMonths)} months`,
+        floor: ({ rate }, f) => `floor ${f.pct(rate, 2)}`,
+        cap: ({ rate }, f) => `cap ${f.pct(rate, 2)}`,
+        short: ({ rate }, f) => f.pct(rate, 2),
+        shortSchedule: ({ s }, f) => `${f.pct(s.fixedRate, 2)} for ${f.plain(s.fixedYears)} yrs, then ${f.pct(s.variableRate, 2)}`,
+        typical: " (typical UAE mortgage rate)",
+    },
+
+    paymentShock: ({ shock }, f) => {
+        const sign = shock.change >= 0 ? "+" : "-";
+        return `From month ${f.plain(shock.month)} the rate moves ${f.pct(shock.rateBefore, 2)} → ${f.pct(shock.rateAfter, 2)} and the EMI goes from ${f.aed(shock.emiBefore)} to ${f.aed(shock.emiAfter)} (${sign}${f.aed(Math.abs(shock.change))}/month, ${sign}${f.pct(Math.abs(shock.changePct), 1)})`;
+    },
+
+    rentProjection: {
+        flat: "flat (no annual increases assumed)",
+        year: ({ year, rent, increase }, f) => `year ${f.plain(year)}: ${f.aed(rent)}/month${increase ? ` (+${f.pct(increase, 0)})` : ""}`,
+        fixed: ({ path }) => `rising every year at renewal — ${path}`,
+        rera: ({ index, path }, f) =>
+            `RERA rent-increase caps vs the ${index.area} ${index.unitType} index (${f.aed(index.annualRent)}/yr${index.asOf ? ` as of ${f.digits(index.asOf)}` : ""}) — ${path}`,
+    },
+
+    affordability: {
+        income: ({ amount }, f) => `Monthly income: ${f.aed(amount)}`,
+        stressed: ({ rate, stressed, actual }, f) => `Stress-tested EMI at ${f.pct(rate, 2)}: ${f.aed(stressed)} (actual EMI ${f.aed(actual)})`,
+        liability: ({ label, amount }, f) => `${label}: ${f.aed(amount)}/month`,
+        dbr: ({ dbr, limit, passes }, f) => `Debt-burden ratio: ${f.pct(dbr, 1)} (limit ${f.pct(limit, 1, { trim: true })}) → ${passes ? "PASSES" : "FAILS"}`,
+        headroom: ({ emiHeadroom, maxLoan }, f) => `Headroom: ${f.aed(emiHeadroom)}/month, i.e. the loan could be up to ${f.aed(maxLoan)}`,
+        shortfall: ({ emiShortfall, loanShortfall, maxLoan, incomeNeeded }, f) =>
+            `Shortfall: ${f.aed(emiShortfall)}/month over the limit; the loan would need to drop by ${f.aed(loanShortfall)} to ${f.aed(maxLoan)}, or income rise to ${f.aed(incomeNeeded)}/month`,
+        creditCards: ({ factor, limits }, f) => `Credit cards (${f.pct(factor, 2, { trim: true })} of ${f.aed(limits)} limits)`,
+    },
+
+    conversion: ({ c, field }, f) =>
+        `${field}: ${f.money(c.amount, c.currency)} → ${f.aed(c.amountAED)} (1 ${c.currency} = ${c.rate} AED, rates as of ${f.digits(c.asOf)})`,
+
+    income: {
+        describe: ({ amount, origin, converted }) => `${amount}/month (${origin}${converted ? `, ${converted}` : ""})`,
+        fromSlip: ({ basis }) => `${basis} from your salary slip`,
+        typed: "as you told me",
+    },
+
+    clarification: {
+        said: ({ source }) => `"${source}"`,
+        percentOfPrice: ({ value, price }) => `, which is ${value} on a ${price} price`,
+        expected: ({ value }) => ` (${value})`,
+        notPicked: "I didn't pick that up",
+        readAs: ({ value }) => `I read it as ${value}`,
+        shareOfPrice: ({ share, price }, f) => ` (${f.pct(share, 1)} of ${price})`,
+        line: ({ field, said, read }) => `• **${field}**: you wrote ${said}, but ${read}.`,
+        message: ({ lines }) => `Before I run the numbers, let me make sure I've read them right:
+
+${lines.join("\n")}
+
+Which is correct? Reply with the right figure and I'll calculate straight away.`,
+    },
+
+    fx: {
+        unsupported: ({ codes }) =>
+            `I don't have an exchange rate for ${codes}, so I can't convert those amounts reliably. Could you give them to me in AED (or in USD, EUR, GBP or INR)?`,
+    },
+
+    explain: {
+        noCalculation: "No calculation has been performed yet. Please provide your details first.",
+        conversions: ({ lines }) => `\n**Currency conversion** (all maths is done in AED):\n${lines.map((l) => `• ${l}`).join("\n")}\n`,
+        balance: ({ years, owed, repaid }, f) => `• Still owed after ${f.plain(years)} years: ${f.aed(owed)} (principal repaid: ${f.aed(repaid)})`,
+        homeCurrency: ({ ccy, aedPerUnit, asOf, price, emi, upfront, buying, netAdvantage }) => `\n\n**In ${ccy}** (1 ${ccy} = ${aedPerUnit.toFixed(4)} AED, rates as of ${asOf}):
+• Property price: ${price}
+• Monthly EMI: ${emi}
+• Upfront costs: ${upfront}
+• Net advantage of ${buying ? "buying" : "renting"}: ${netAdvantage}`,
+        affordability: ({ limit, lines }, f) =>
+            `**Affordability (UAE ${f.pct(limit, 1, { trim: true })} debt-burden ratio):**\n${lines.map((l) => `• ${l}`).join("\n")}\n\n`,
+        rationale: ({ recommendation }) => recommendation.rationale,
+        breakEven: ({ year, maxYears }, f) => (year ? `year ${f.plain(year)}` : `not within ${f.plain(maxYears)} years`),
+        body: (p, f) => `Here's how I calculated it:
+${p.conversionSection}
+**Loan Details:**
+• Property price: ${f.aed(p.inputs.price)}
+• Down payment: ${f.aed(p.inputs.downPayment)}
+• LTV rule applied: ${p.ltvLabel}
+• Minimum down payment under this rule: ${f.aed(p.emi.minDownPayment)}
+• Loan amount (${f.pct(p.emi.maxLtv, 0)} max LTV): ${f.aed(p.emi.loanAmount)}
+• Upfront costs (${p.emirate}, ≈${f.pct(p.emi.upfrontCosts.percentOfPrice, 1)} of price): ${f.aed(p.emi.upfrontCostEstimate)}
+${p.items.map((i) => `  – ${i.label}: ${f.aed(i.amount)} (${i.formula})`).join("\n")}
+
+**EMI Calculation:**
+• Interest rate: ${p.rateText}
+• Loan tenure: ${yearsLabel(p.inputs.tenureYears, f)}
+• Monthly EMI: ${f.aed(p.emi.monthlyEmi)}
+• First month interest portion: ${f.aed(p.emi.monthlyInterestPortion)}${p.shockLine ? `\n• Payment shock: ${p.shockLine}` : ""}
+
+**Amortization:**
+• Total paid over ${yearsLabel(p.inputs.tenureYears, f)}: ${f.aed(p.emi.totalAmountPaid)}
+• Total interest over ${yearsLabel(p.inputs.tenureYears, f)}: ${f.aed(p.emi.totalInterest)}
+${p.balanceLines.join("\n")}
+
+| Year | Opening balance | Interest | Principal | Closing balance |
+|---|---|---|---|---|
+${p.yearly.map((y) => `| ${f.plain(y.year)} | ${f.num(y.openingBalance)} | ${f.num(y.interest)} | ${f.num(y.principal)} | ${f.num(y.closingBalance)} |`).join("\n")}
+
+${p.affordabilitySection}**Recommendation Logic (net present value):**
+${p.rationale}
+
+• Property value at exit (${f.pct(p.recommendation.assumptions.appreciationRate, 1)}/yr growth): ${f.aed(p.recommendation.atExit.propertyValue)}
+• Selling costs at exit (${f.pct(p.recommendation.assumptions.sellingCostRate, 1)}): ${f.aed(p.recommendation.atExit.sellingCosts)}
+• Equity at exit (value − loan balance): ${f.aed(p.recommendation.atExit.equity)}
+• Total rent over the stay: ${f.aed(p.recommendation.atExit.totalRent)}
+• Total mortgage payments over the stay: ${f.aed(p.recommendation.atExit.totalMortgagePayments)}
+• Break-even year: ${p.breakEven}
+• Net advantage of ${p.recommendation.netAdvantage >= 0 ? "buying" : "renting"} (today's money): ${f.aed(p.recommendation.netAdvantage)}
+
+• Stay duration: ${yearsLabel(p.inputs.stayYears, f)}
+• Monthly rent: ${f.aed(p.inputs.rent)}
+• Rent projection: ${p.rentProjection}
+• Recommendation: **${p.recommendationLabel}**${p.homeCurrencySection}
+
+_${p.assumptionSet}_`,
+    },
+
+    prepayment: {
+        noCalculation: "I need to calculate your mortgage first. Please share the property price, down payment, stay duration and rent.",
+        duration: ({ months }, f) => `${f.plain(Math.floor(months / 12))} years ${f.plain(months % 12)} months`,
+        more: ({ count }, f) => `\n…and ${f.plain(count)} more prepayments`,
+        reduceEmi: ({ emi }, f) => `**Reduce EMI** — your end date stays the same and your EMI drops to about ${f.aed(emi)}/month.`,
+        reduceTenure: ({ emi }, f) => `**Reduce tenure** — you keep paying ${f.aed(emi)}/month and finish early.`,
+        body: (p, f) => `Here's what those prepayments do to your loan:
+
+${p.modeLine}
+
+**Before vs after:**
+• Original payoff: ${f.digits(p.result.baseline.payoffDate)} (${p.duration(p.result.baseline.months)})
+• New payoff: ${f.digits(p.result.withPrepayment.payoffDate)} (${p.duration(p.result.withPrepayment.months)}) — ${p.duration(p.result.monthsSaved)} sooner
+• Interest without prepayments: ${f.aed(p.result.baseline.totalInterest)}
+• Interest with prepayments: ${f.aed(p.result.withPrepayment.totalInterest)}
+• **Interest saved: ${f.aed(p.result.interestSaved)}**
+
+**Early settlement fees** (UAE Central Bank cap: ${f.pct(p.result.feeRule.feeRate, 0)} of the outstanding balance, max ${f.aed(p.result.feeRule.feeCap)} each time):
+• Total prepaid: ${f.aed(p.result.totalPrepaid)}
+• Total fees: ${f.aed(p.result.totalFees)}
+• **Net saving after fees: ${f.aed(p.result.netSaving)}**
+
+| Date | Prepaid | Fee | Balance after | EMI after |
+|---|---|---|---|---|
+${p.events.map((e) => `| ${f.digits(e.date)} | ${f.num(e.amount)} | ${f.num(e.fee)} | ${f.num(e.balanceAfter)} | ${f.num(e.emiAfter)} |`).join("\n")}${p.more}
+
+⚠️ This is an estimate. Banks may set their own minimum prepayment amounts and annual limits — check with your lender.
+
+_${p.assumptionSet}_`,
+    },
+
+    maxPrice: {
+        needIncome: "To work out your budget I need your monthly income — type it in or upload your salary slip.",
+        binding: {
+            dbr: ({ result }, f) =>
+                `**your income** — the UAE ${f.pct(result.affordability.dbrLimit, 1, { trim: true })} debt-burden cap limits the loan to ${f.aed(result.limits.dbrMaxLoan)} (EMI stress-tested at ${f.pct(result.limits.stressRate, 2)}). More savings won't raise the price much; a higher income or fewer existing debts will.`,
+            ltv_down_payment: ({ result, ltvLabel }, f) =>
+                `**your savings for the down payment** — under the ${ltvLabel} rule you must put down at least ${f.pct(1 - result.ltvRule.maxLtv, 0)} of the price. Every extra AED saved raises your budget.`,
+            cash_for_fees: () =>
+                "**cash for fees** — your income and down payment could stretch further, but the upfront costs (transfer fee, commission, bank fees) don't fit in your savings.",
+        },
+        convertedFirst: ({ lines }) => `\nConverted to AED first: ${lines.join("; ")}\n`,
+        body: (p, f) => `Here's your maximum budget:
+${p.conversionSection}
+**Maximum property price: ${p.money(p.result.maxPrice)}**
+
+• Loan: ${p.money(p.result.loanAmount)} (${p.ltvLabel})
+• Down payment: ${p.money(p.result.downPayment)}
+• Upfront costs (${p.emirate}): ${p.money(p.result.upfrontCosts.total)}
+• Cash needed in total: ${p.money(p.result.cashNeeded)} of your ${p.money(p.savings)} savings
+• Monthly EMI: ${p.money(p.result.monthlyEmi)} (${p.rateText}, ${yearsLabel(p.tenureYears, f)})
+• Debt-burden ratio at that price: ${f.pct(p.result.affordability.dbr, 1)} (limit ${f.pct(p.result.affordability.dbrLimit, 1, { trim: true })}, stress-tested)
+
+**What limits you:** ${p.bindingText}
+
+⚠️ This is an estimate based on standard UAE bank criteria. Actual approvals depend on the bank's assessment.
+
+_${p.assumptionSet}_`,
+    },
+
+    compare: {
+        missing: {
+            stayYears: "how long you plan to stay in the UAE",
+            price: "the property price",
+            rent: "your current monthly rent",
+        },
+        needInputs: ({ missing }) => `To compare scenarios I first need ${missing.slice(0, -1).join(", ")}${missing.length > 1 ? " and " : ""}${missing.at(-1)}.`,
+        rows: {
+            price: "Price",
+            downPayment: "Down payment",
+            loan: "Loan",
+            tenureRate: "Tenure / rate",
+            stayRent: "Stay / rent",
+            emi: "Monthly EMI",
+            totalInterest: "Total interest",
+            upfrontCash: "Upfront cash (down payment + fees)",
+            recommendation: "Recommendation",
+            breakEven: "Break-even",
+        },
+        downPaymentCell: ({ amount, share }, f) => `${f.aed(amount)} (${f.pct(share, 0)})`,
+        tenureRateCell: ({ years, rate }, f) => `${f.plain(years)} yrs, ${rate}`,
+        stayRentCell: ({ years, rent }, f) => `${f.plain(years)} yrs, ${f.aed(rent)}/month`,
+        recommendationCell: ({ recommendation, advantage }, f) => `${recommendation} (${f.aed(advantage)} ahead)`,
+        breakEvenCell: ({ year, maxYears }, f) => (year ? `year ${f.plain(year)}` : `not within ${f.plain(maxYears)} yrs`),
+        signed: ({ amount }, f) => `${amount >= 0 ? "+" : "−"}${f.aed(Math.abs(amount))}`,
+        flips: ({ recommendation }) => `recommendation flips to **${recommendation}**`,
+        stays: ({ recommendation }) => `recommendation stays ${recommendation}`,
+        difference: ({ name, emi, interest, upfront, rec }) => `• **${name}**: EMI ${emi}/month, total interest ${interest}, upfront cash ${upfront}; ${rec}`,
+        downPaymentRaised: ({ name, amount, rule }, f) => `${name}: down payment raised to ${f.aed(amount)}, the minimum for ${rule}`,
+        incomplete: ({ name }) => `${name}: couldn't be compared — it needs a price, monthly rent and stay duration`,
+        comparedWith: ({ baseName, lines }) => `\n**Compared with ${baseName}:**\n${lines.join("\n")}\n`,
+        body: (p) => `Here's how the scenarios compare:
+${p.conversionSection}
+${p.table}
+${p.differences}${p.notes}
+I've saved these as ${p.names.map((n) => `"${n}"`).join(", ")} — ask about any of them by name, or run a full analysis on the one you like.
+
+⚠️ These are estimates based on standard UAE bank criteria. Actual approvals depend on the bank's assessment.
+
+_${p.assumptionSet}_`,
+    },
+
+    preApproval: {
+        noCalculation:
+            "I need to run your numbers before I can prepare a pre-approval summary. Please share the property price, down payment, how long you plan to stay and your current rent.",
+        withinLimit: ({ dbr, limit }, f) => `Your debt-burden ratio is ${f.pct(dbr, 1)}, within the ${f.pct(limit, 1, { trim: true })} limit.`,
+        aboveLimit: ({ dbr, limit, maxLoan }, f) =>
+            `Your debt-burden ratio is ${f.pct(dbr, 1)}, above the ${f.pct(limit, 1, { trim: true })} limit — a bank would likely cap the loan at about ${f.aed(maxLoan)}.`,
+        noIncome: "Share your monthly income (or upload a salary slip) and I'll add the debt-burden check to it.",
+        body: (p, f) => `### 📄 Your pre-approval summary is ready
+
+**Reference:** ${p.summary.reference}
+**Valid until:** ${f.date(p.summary.expiresAt)}
+
+It covers a loan of **${f.aed(p.summary.loan.amount)}** (EMI about ${f.aed(p.summary.loan.monthlyEmi)}/month over ${yearsLabel(p.summary.loan.tenureYears, f)}), the **${f.aed(p.summary.cashNeeded)}** you'll need upfront, and the documents banks will ask for. ${p.affordabilityLine}
+
+👉 [Download the PDF](${p.url}?format=pdf) · [View it online](${p.url})
+
+**Next steps:**
+1. Gather the documents on the checklist: ${p.summary.checklist.slice(0, 4).join("; ")}${p.summary.checklist.length > 4 ? "; …" : ""}
+2. Share the summary with 2–3 UAE banks and compare their rates and fees — quote your reference number
+3. Ask me anything else about the mortgage in the meantime
+
+⚠️ This is an estimate, not a bank approval. Each bank makes its own assessment.`,
+    },
+
+    softClose: {
+        offer: ({ income, stayYears, price }, f) =>
+            `\n\n---\n\n### ✅ Next Step\n\nBased on your income of ${income} and your ${f.plain(stayYears)}-year stay, you are **financially suited to buy** rather than rent.\n\nI can pre-qualify you for a home in the **AED ${f.num(price / 1_000_000, 1)}M range** and generate a **pre-approval summary** for you.\n\n👉 **Would you like me to do that next?**`,
+        cashLine: ({ cashNeeded, savings }, f) => `${f.aed(cashNeeded)} in cash for the down payment and upfront costs, against your ${f.aed(savings)} in savings`,
+        dbrGap: ({ maxLoan, limit, gap, cashLine }, f) =>
+            `a bank would cap the loan at ${f.aed(maxLoan)} under the ${f.pct(limit, 0)} debt-burden limit, so the down payment needs to grow by ${f.aed(gap)}${cashLine ? `. That means ${cashLine}` : ""}`,
+        cashGap: ({ cashLine }) => `you'd need ${cashLine}`,
+        nudge: ({ stayYears, why, saveMore }, f) =>
+            `\n\n---\n\n### 💡 Before you apply\n\nBuying beats renting over your ${f.plain(stayYears)}-year stay, but ${why}. Saving about **${f.aed(saveMore)} more** first would put you in a strong position. Once you're there, I can prepare a pre-approval summary for you.`,
+        askIncome: ({ stayYears }, f) =>
+            `\n\nOver your ${f.plain(stayYears)}-year stay, buying works out better than renting. Share your monthly income (or upload a salary slip) and I'll check whether you're ready to apply.`,
+    },
+
+    calculation: {
+        disclaimer: "⚠️ This is an estimate based on standard assumptions. Actual mortgage terms may vary by bank. Please consult with UAE banks for precise quotes.",
+        fallback: ({ result }) => `I've calculated your mortgage details. Here's the result:\n\n${result}`,
+    },
+
+    guardrail: {
+        offTopic:
+            "That's outside what I can help with - I'm here for UAE mortgages and the buy-vs-rent decision. Tell me the property price, your current rent and how long you plan to stay in the UAE, and I'll work out whether buying makes sense for you.",
+        injection:
+            "I can only help with UAE mortgages and the buy-vs-rent decision, and I can't change how I work. Tell me about the property you're considering - the price, your rent and how long you plan to stay - and I'll run the numbers.",
+        tooLong: ({ max }, f) =>
+            `That message is too long for me to read (the limit is ${f.num(max)} characters). Could you send the key numbers - property price, rent and how long you plan to stay - in a shorter message?`,
+        document:
+            "I couldn't use that document: it contains text that isn't part of a salary slip. Please upload a plain payslip or salary certificate, or tell me your monthly salary in AED.",
+    },
+
+    salarySlip: {
+        intro: "I've analyzed your salary slip. Here's what I found:\n\n",
+        basic: "💰 Basic Salary",
+        housing: "🏠 Housing Allowance",
+        transportation: "🚗 Transportation Allowance",
+        other: ({ name }) => `📋 ${name}`,
+        gross: "📊 Total Gross Salary",
+        deductions: "➖ Deductions",
+        net: "✅ Net Salary",
+        line: ({ label, amount }) => `${label}: ${amount}\n`,
+        using: ({ amount }) => `\n💡 **Using for mortgage calculations:** ${amount}/month`,
+        converted: ({ amount, ccy, rate, asOf }) => ` (${amount} converted at 1 ${ccy} = ${rate} AED, rates as of ${asOf})`,
+        confirm: "\n\nDoes this look correct? If yes, I can help you calculate how much you can afford for a mortgage!",
+        failed: "I couldn’t safely extract salary data. Please try another document.",
+        notSalary: "That doesn't look like a salary slip. Please upload a payslip or salary certificate (image or PDF).",
+        unsupportedCurrency: ({ ccy }) => `Your salary slip is in ${ccy}, which I don't have an exchange rate for yet. Could you tell me your monthly salary in AED instead?`,
+        uploaded: "Uploaded salary slip",
+    },
+
+    labels: {
+        // Fields the input cross-check can ask about
+        fields: {
+            price: "Property price",
+            downPayment: "Down payment",
+            rent: "Monthly rent",
+            stayYears: "Stay in the UAE",
+            tenureYears: "Loan tenure",
+            monthlyIncome: "Monthly income",
+            savings: "Savings",
+            annualRate: "Interest rate",
+        },
+        incomeBasis: { net: "net salary", gross: "gross salary", basic: "basic salary" },
+    },
+
+    chat: {
+        greeting:
+            "Hi! I’m your mortgage buddy. Tell me anything.\n\nDon’t worry about typing — just upload your salary slip (image or PDF) and I’ll extract the numbers for you.",
+        title: "Mortgage Assistant",
+        subtitle: "Buy vs Rent analysis powered by Gemini",
+        logout: "Logout",
+        newAnalysis: "+ New analysis",
+        savedConversations: "Saved conversations",
+        deleteConversation: ({ title }) => `Delete conversation ${title}`,
+        messages: "Chat messages",
+        you: "You",
+        assistant: "Assistant",
+        placeholder: "Type a message… (Shift+Enter for new line)",
+        inputLabel: "Chat message input",
+        uploadFile: "Upload file",
+        removeFile: "Remove file",
+        uploadedFile: "Uploaded file",
+        send: "Send",
+        sending: "Sending…",
+        noResponse: "(No response)",
+        failed: "Oops, something went wrong hitting the backend.",
+    },
+
+    settings: {
+        language: "Language",
+        numerals: "Digits",
+    },
+
+    auth: {
+        emailLabel: "Email Address",
+        passwordLabel: "Password",
+        nameLabel: "Full Name",
+        confirmPasswordLabel: "Confirm Password",
+        emailPlaceholder: "john@example.com",
+        namePlaceholder: "John Doe",
+        genericError: "An error occurred. Please try again.",
+        login: {
+            title: "Welcome Back",
+            subtitle: "Sign in to your account to continue",
+            rememberMe: "Remember me",
+            forgotPassword: "Forgot password?",
+            submit: "Sign In",
+            submitting: "Signing in...",
+            noAccount: "Don’t have an account?",
+            signUp: "Sign Up",
+            failed: "Login failed",
+        },
+        signup: {
+            title: "Create Account",
+            subtitle: "Join us and get personalized mortgage advice",
+            submit: "Create Account",
+            submitting: "Creating Account...",
+            haveAccount: "Already have an account?",
+            signIn: "Sign In",
+            failed: "Signup failed",
+        },
+        errors: {
+            nameRequired: "Name is required",
+            emailRequired: "Email is required",
+            emailInvalid: "Invalid email format",
+            passwordRequired: "Password is required",
+            passwordTooShort: "Password must be at least 8 characters",
+            passwordsDontMatch: "Passwords do not match",
+            missingCredentials: "Please provide email and password",
+            missingFields: "Please provide all required fields",
+            invalidCredentials: "Invalid email or password",
+            emailTaken: "Email already registered",
+            loginFailed: "An error occurred during login. Please try again.",
+            signupFailed: "An error occurred during signup. Please try again.",
+        },
+    },
+};
+
+export default en;
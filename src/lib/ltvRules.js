@@ -0,0 +1,48 @@
+import { getAssumptions } from "./assumptions";
+
+// UAE Central Bank mortgage caps. The rule table itself (ltv.rules) is part
+// of the assumption set in assumptions.js; this module matches a buyer
+// against it. First matching rule wins.
+
+// Unknown profile fields fall back to the most common case we serve:
+// a UAE-resident expat buying their first, ready property.
+export const DEFAULT_BUYER_PROFILE = {
+    residency: "expat",
+    firstHome: true,
+    offPlan: false,
+};
+
+export function normalizeBuyerProfile(profile = {}) {
+    const p = profile || {};
+    return {
+        residency: p.residency ?? DEFAULT_BUYER_PROFILE.residency,
+        firstHome: p.firstHome ?? DEFAULT_BUYER_PROFILE.firstHome,
+        offPlan: p.offPlan ?? DEFAULT_BUYER_PROFILE.offPlan,
+    };
+}
+
+function matches(when, facts) {
+    for (const [key, expected] of Object.entries(when)) {
+        if (key === "priceAbove") {
+            if (!(facts.price > expected)) return false;
+        } else if (key === "priceAtMost") {
+            if (!(facts.price <= expected)) return false;
+        } else if (Array.isArray(expected)) {
+            if (!expected.includes(facts[key])) return false;
+        } else if (facts[key] !== expected) {
+            return false;
+        }
+    }
+    return true;
+}
+
+export function evaluateLTVRule(price, profile, rules = getAssumptions().ltv.rules) {
+    const facts = { ...normalizeBuyerProfile(profile), price: Number(price || 0) };
+    const rule = rules.find((r) => matches(r.when, facts));
+    if (!rule) {
+        // Conservative fallback; should not happen with the default table
+        const maxLtv = getAssumptions().ltv.fallbackMaxLtv;
+        return { id: "fallback", label: `No specific rule matched (max ${Math.round(maxLtv * 100)}% LTV)`, maxLtv, profile: facts };
+    }
+    return { id: rule.id, label: rule.label, maxLtv: rule.maxLtv, profile: facts };
+}
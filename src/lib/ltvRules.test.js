@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_BUYER_PROFILE, evaluateLTVRule, normalizeBuyerProfile } from "./ltvRules";
+
+const expat = { residency: "expat", firstHome: true, offPlan: false };
+const national = { residency: "national", firstHome: true, offPlan: false };
+
+describe("evaluateLTVRule", () => {
+    it.each([
+        ["off-plan beats every other fact", 2_000_000, { ...national, offPlan: true }, "off_plan", 0.5],
+        ["non-resident", 2_000_000, { residency: "non_resident", firstHome: true, offPlan: false }, "non_resident", 0.6],
+        ["non-resident, any price", 8_000_000, { residency: "non_resident", firstHome: false, offPlan: false }, "non_resident", 0.6],
+        ["national, second home", 2_000_000, { ...national, firstHome: false }, "national_second_home", 0.65],
+        ["expat, second home", 2_000_000, { ...expat, firstHome: false }, "expat_second_home", 0.6],
+        ["national, first home up to 5M", 2_000_000, national, "national_first_home_up_to_5m", 0.85],
+        ["national, first home above 5M", 6_000_000, national, "national_first_home_above_5m", 0.75],
+        ["expat, first home up to 5M", 2_000_000, expat, "expat_first_home_up_to_5m", 0.8],
+        ["expat, first home above 5M", 6_000_000, expat, "expat_first_home_above_5m", 0.7],
+    ])("%s", (_, price, profile, id, maxLtv) => {
+        expect(evaluateLTVRule(price, profile)).toMatchObject({ id, maxLtv });
+    });
+
+    it.each([
+        ["expat", expat, 5_000_000, "expat_first_home_up_to_5m", 0.8],
+        ["expat", expat, 5_000_001, "expat_first_home_above_5m", 0.7],
+        ["national", national, 5_000_000, "national_first_home_up_to_5m", 0.85],
+        ["national", national, 5_000_001, "national_first_home_above_5m", 0.75],
+    ])("puts exactly AED 5M in the lower band (%s at %d)", (_, profile, price, id, maxLtv) => {
+        expect(evaluateLTVRule(price, profile)).toMatchObject({ id, maxLtv });
+    });
+
+    it("treats unknown profile fields as an expat's first, ready home", () => {
+        const rule = evaluateLTVRule(2_000_000, { residency: null, firstHome: undefined });
+        expect(rule.id).toBe("expat_first_home_up_to_5m");
+        expect(rule.profile).toEqual({ ...DEFAULT_BUYER_PROFILE, price: 2_000_000 });
+        expect(evaluateLTVRule(2_000_000, null).id).toBe("expat_first_home_up_to_5m");
+    });
+
+    it("reads a missing or string price as a number", () => {
+        expect(evaluateLTVRule(undefined, expat).profile.price).toBe(0);
+        expect(evaluateLTVRule("6000000", expat).id).toBe("expat_first_home_above_5m");
+    });
+
+    it("falls back to the conservative cap when no rule matches", () => {
+        const rules = [{ id: "national_only", label: "Nationals", when: { residency: "national" }, maxLtv: 0.85 }];
+        expect(evaluateLTVRule(2_000_000, expat, rules)).toMatchObject({ id: "fallback", maxLtv: 0.5 });
+        expect(evaluateLTVRule(2_000_000, national, rules)).toMatchObject({ id: "national_only", maxLtv: 0.85 });
+    });
+
+    it("matches a list of allowed values", () => {
+        const rules = [{ id: "residents", label: "Residents", when: { residency: ["expat", "national"] }, maxLtv: 0.8 }];
+        expect(evaluateLTVRule(2_000_000, expat, rules).id).toBe("residents");
+        expect(evaluateLTVRule(2_000_000, { residency: "non_resident" }, rules).id).toBe("fallback");
+    });
+});
+
+describe("normalizeBuyerProfile", () => {
+    it("keeps the fields that are known", () => {
+        expect(normalizeBuyerProfile({ residency: "national", firstHome: false })).toEqual({ residency: "national", firstHome: false, offPlan: false });
+    });
+});
@@ -0,0 +1,116 @@
+import { randomBytes } from "crypto";
+import { assumptionStamp, getAssumptions } from "./assumptions";
+import { isRateSchedule, normalizeRateSchedule } from "./emi";
+import { describeIncome, describeIncomeBreakdown } from "./income";
+
+/* ============================================================
+   PRE-APPROVAL SUMMARY
+   ============================================================
+   What the user gets after accepting the soft-close offer: a snapshot of
+   the last calculation, the affordability check and the documents a bank
+   will ask for, under a reference number and with an expiry date. It is
+   indicative only - banks make the actual approval. Rendering to HTML and
+   PDF lives in preApprovalDocument.js. */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PA-20261018-3F9A1C7B: issue date (UAE time) plus 8 random hex characters
+export function newReference(date = new Date()) {
+    const day = date.toLocaleDateString("en-CA", { timeZone: "Asia/Dubai" }).replace(/-/g, "");
+    return `PA-${day}-${randomBytes(4).toString("hex").toUpperCase()}`;
+}
+
+export const REFERENCE_PATTERN = /^PA-\d{8}-[0-9A-F]{8}$/;
+
+function describeRate(rate) {
+    const pct = (r) => `${(r * 100).toFixed(2)}%`;
+    if (!isRateSchedule(rate)) return `${pct(rate)} for the full tenure`;
+    const s = normalizeRateSchedule(rate);
+    return `${pct(s.fixedRate)} fixed for ${s.fixedYears} years, then EIBOR + ${pct(s.margin)} (${pct(s.variableRate)} today)`;
+}
+
+// What a bank will ask for, given the buyer profile
+export function documentChecklist(profile = {}) {
+    const identity = {
+        national: ["Emirates ID", "Passport", "Family book (khulasat al qaid)"],
+        non_resident: ["Passport", "Proof of address in your country of residence"],
+    }[profile.residency] ?? ["Passport with UAE residence visa", "Emirates ID"];
+
+    const income = profile.residency === "non_resident"
+        ? ["Proof of income (employment letter or company accounts)", "Last 6 months' bank statements", "Credit report from your home country"]
+        : ["Salary certificate, or trade licence and 2 years' audited accounts if self-employed", "Last 3 months' payslips", "Last 6 months' bank statements"];
+
+    return [
+        ...identity,
+        ...income,
+        "Details of existing loans and credit cards",
+        profile.offPlan ? "Sales and purchase agreement (SPA) from the developer" : "Memorandum of understanding (Form F) or reservation form for the property",
+        ...(profile.firstHome === false ? ["Title deed and mortgage statement for the property you already own"] : []),
+    ];
+}
+
+/**
+ * Summary document data from a calculate_mortgage result (the JSON kept in
+ * lastCalculation). Amounts are in AED. `income` is the agent's income
+ * record, which says where the income came from. `now` and `validityDays`
+ * are for tests; the validity period normally comes from the assumption set.
+ */
+export function buildPreApprovalSummary(calculation, { income = null, now = new Date(), validityDays = getAssumptions().softClose.summaryValidityDays } = {}) {
+    const { emi, recommendation, affordability, inputs } = calculation;
+    const issuedAt = new Date(now);
+    const downPayment = inputs.price - emi.loanAmount;
+    // The income record only describes the calculation if it ran on that income
+    const usedIncome = income && affordability && Math.abs(income.monthly - affordability.monthlyIncome) < 1 ? income : null;
+
+    return {
+        reference: newReference(issuedAt),
+        issuedAt: issuedAt.toISOString(),
+        expiresAt: new Date(issuedAt.getTime() + validityDays * DAY_MS).toISOString(),
+        assumptions: calculation.assumptions ?? assumptionStamp(),
+        property: {
+            price: inputs.price,
+            emirate: emi.upfrontCosts.emirate,
+            ltvRule: emi.ltvRule.label,
+            maxLtv: emi.maxLtv,
+        },
+        loan: {
+            amount: emi.loanAmount,
+            downPayment,
+            ltv: emi.loanAmount / inputs.price,
+            tenureYears: inputs.tenureYears,
+            rate: describeRate(inputs.annualRate),
+            monthlyEmi: emi.monthlyEmi,
+            totalInterest: emi.totalInterest,
+            emiAfterReset: emi.paymentShock ? { month: emi.paymentShock.month, amount: emi.paymentShock.emiAfter } : null,
+        },
+        upfrontCosts: {
+            total: emi.upfrontCostEstimate,
+            items: emi.upfrontCosts.items.map(({ label, amount }) => ({ label, amount })),
+        },
+        cashNeeded: downPayment + emi.upfrontCostEstimate,
+        affordability: affordability
+            ? {
+                monthlyIncome: affordability.monthlyIncome,
+                incomeSource: describeIncome(usedIncome),
+                incomeBreakdown: describeIncomeBreakdown(usedIncome),
+                dbr: affordability.dbr,
+                dbrLimit: affordability.dbrLimit,
+                stressRate: affordability.stressRate,
+                passes: affordability.passes,
+                maxLoan: affordability.maxLoan,
+            }
+            : null,
+        outlook: {
+            recommendation: recommendation.recommendation,
+            stayYears: inputs.stayYears,
+            monthlyRent: inputs.rent,
+            breakEvenYear: recommendation.breakEvenYear,
+            netAdvantage: recommendation.netAdvantage,
+        },
+        checklist: documentChecklist(inputs.profile),
+    };
+}
+
+export function isExpired(summary, now = new Date()) {
+    return new Date(summary.expiresAt) <= now;
+}
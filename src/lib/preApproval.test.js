@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { REFERENCE_PATTERN, buildPreApprovalSummary, documentChecklist, isExpired } from "./preApproval";
+import { renderPreApprovalHtml, renderPreApprovalPdf } from "./preApprovalDocument";
+import { runEmiTool } from "./agent";
+import { buyVsRentRecommendation } from "./buyVsRent";
+import { assessAffordability } from "./affordability";
+
+const NOW = new Date("2026-10-18T08:00:00Z");
+
+// Same shape as the calculate_mortgage result kept in lastCalculation
+async function calculation({ monthlyIncome = 35_000, profile = {} } = {}) {
+    const inputs = { price: 1_500_000, downPayment: 300_000, rent: 9_000, stayYears: 8, tenureYears: 25, annualRate: 0.045, profile };
+    const emi = await runEmiTool({ ...inputs, emirate: "dubai" });
+    return {
+        inputs,
+        emi,
+        recommendation: buyVsRentRecommendation({
+            stayYears: inputs.stayYears,
+            monthlyRent: inputs.rent,
+            price: inputs.price,
+            downPayment: inputs.price - emi.loanAmount,
+            loanAmount: emi.loanAmount,
+            annualRate: inputs.annualRate,
+            tenureYears: inputs.tenureYears,
+            upfrontCosts: emi.upfrontCostEstimate,
+        }),
+        affordability: monthlyIncome ? assessAffordability({ monthlyIncome, loanAmount: emi.loanAmount }) : null,
+    };
+}
+
+describe("buildPreApprovalSummary", () => {
+    it("issues a reference that expires after the validity period", async () => {
+        const summary = buildPreApprovalSummary(await calculation(), { now: NOW, validityDays: 30 });
+        expect(summary.reference).toMatch(REFERENCE_PATTERN);
+        expect(summary.reference.startsWith("PA-20261018-")).toBe(true);
+        expect(summary.expiresAt).toBe("2026-11-17T08:00:00.000Z");
+        expect(isExpired(summary, new Date("2026-11-17T07:59:00Z"))).toBe(false);
+        expect(isExpired(summary, new Date("2026-11-17T08:00:00Z"))).toBe(true);
+    });
+
+    it("adds the down payment and upfront costs into the cash needed", async () => {
+        const summary = buildPreApprovalSummary(await calculation(), { now: NOW });
+        expect(summary.loan.downPayment).toBe(300_000);
+        expect(summary.cashNeeded).toBe(300_000 + summary.upfrontCosts.total);
+        expect(summary.affordability.monthlyIncome).toBe(35_000);
+    });
+
+    it("leaves affordability out until the income is known", async () => {
+        expect(buildPreApprovalSummary(await calculation({ monthlyIncome: null }), { now: NOW }).affordability).toBeNull();
+    });
+});
+
+describe("documentChecklist", () => {
+    it("follows the buyer profile", () => {
+        expect(documentChecklist({ residency: "national" })).toContain("Family book (khulasat al qaid)");
+        expect(documentChecklist({ residency: "non_resident" })).toContain("Credit report from your home country");
+        expect(documentChecklist({ offPlan: true }).some((d) => d.includes("SPA"))).toBe(true);
+        expect(documentChecklist({ firstHome: false }).some((d) => d.startsWith("Title deed"))).toBe(true);
+    });
+});
+
+describe("pre-approval document", () => {
+    it("escapes user-provided text in the HTML", async () => {
+        const summary = buildPreApprovalSummary(await calculation(), { now: NOW });
+        summary.checklist = [...summary.checklist, "<script>alert(1)</script>"];
+        const html = renderPreApprovalHtml(summary, { now: NOW, pdfUrl: `/api/preapprovals/${summary.reference}?format=pdf` });
+        expect(html).toContain("&lt;script&gt;");
+        expect(html).not.toContain("<script>");
+        expect(html).toContain("Valid until");
+    });
+
+    it("marks an expired summary", async () => {
+        const summary = buildPreApprovalSummary(await calculation(), { now: NOW, validityDays: 1 });
+        expect(renderPreApprovalHtml(summary, { now: new Date("2026-12-01") })).toContain("EXPIRED on");
+    });
+
+    it("renders a PDF", async () => {
+        const bytes = await renderPreApprovalPdf(buildPreApprovalSummary(await calculation(), { now: NOW }), { now: NOW });
+        expect(new TextDecoder().decode(bytes.slice(0, 5))).toBe("%PDF-");
+    });
+});
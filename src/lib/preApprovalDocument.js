@@ -0,0 +1,222 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { isExpired } from "./preApproval";
+
+/* ============================================================
+   PRE-APPROVAL DOCUMENT (HTML + PDF)
+   ============================================================
+   Both formats render the same sections, built once from the summary by
+   documentSections(). Everything is generated in-process: the PDF uses
+   pdf-lib's built-in Helvetica, so no fonts, files or external services
+   are involved. */
+
+const money = (n) => `AED ${Math.round(n).toLocaleString("en-US")}`;
+const pct = (r, digits = 1) => `${(r * 100).toFixed(digits)}%`;
+const longDate = (iso) =>
+    new Date(iso).toLocaleDateString("en-GB", { day: "numeric", month: "long", year: "numeric", timeZone: "Asia/Dubai" });
+
+const DISCLAIMER =
+    "This summary is an indicative estimate based on the figures you provided and standard UAE bank criteria. It is not a mortgage offer or a bank approval; the final decision, rate and fees depend on each bank's assessment.";
+
+// [{ title, rows: [[label, value]] } | { title, items: [text] }]
+export function documentSections(summary) {
+    const { property, loan, upfrontCosts, affordability, outlook } = summary;
+    const sections = [
+        {
+            title: "Property",
+            rows: [
+                ["Purchase price", money(property.price)],
+                ["Emirate", property.emirate],
+                ["Lending rule", property.ltvRule],
+            ],
+        },
+        {
+            title: "Loan",
+            rows: [
+                ["Loan amount", `${money(loan.amount)} (${pct(loan.ltv)} of the price)`],
+                ["Down payment", money(loan.downPayment)],
+                ["Tenure", `${loan.tenureYears} years`],
+                ["Interest rate", loan.rate],
+                ["Monthly payment (EMI)", money(loan.monthlyEmi)],
+                ...(loan.emiAfterReset ? [["EMI after the rate reset", `${money(loan.emiAfterReset.amount)} from month ${loan.emiAfterReset.month}`]] : []),
+                ["Total interest over the tenure", money(loan.totalInterest)],
+            ],
+        },
+        {
+            title: "Cash needed upfront",
+            rows: [
+                ...upfrontCosts.items.map((i) => [i.label, money(i.amount)]),
+                ["Upfront costs in total", money(upfrontCosts.total)],
+                ["Total cash needed (down payment + costs)", money(summary.cashNeeded)],
+            ],
+        },
+    ];
+
+    sections.push(
+        affordability
+            ? {
+                title: "Affordability",
+                rows: [
+                    ["Monthly income", affordability.incomeSource ?? money(affordability.monthlyIncome)],
+                    ...(affordability.incomeBreakdown?.length ? [["Salary slip", affordability.incomeBreakdown.join(", ")]] : []),
+                    ["Debt-burden ratio", `${pct(affordability.dbr)} (limit ${pct(affordability.dbrLimit, 0)}, EMI stress-tested at ${pct(affordability.stressRate, 2)})`],
+                    ["Result", affordability.passes ? "Within the limit" : "Above the limit - a bank would likely reduce the loan"],
+                    ["Largest loan within the limit", money(affordability.maxLoan)],
+                ],
+            }
+            : { title: "Affordability", items: ["Not assessed yet: share your monthly income or upload a salary slip to include the debt-burden check."] }
+    );
+
+    sections.push(
+        {
+            title: "Buy vs rent",
+            rows: [
+                ["Recommendation", outlook.recommendation.toUpperCase()],
+                ["Planned stay", `${outlook.stayYears} years`],
+                ["Current rent", `${money(outlook.monthlyRent)} / month`],
+                ["Break-even", outlook.breakEvenYear ? `Year ${outlook.breakEvenYear}` : "Not within the period modelled"],
+                [`Net advantage of ${outlook.netAdvantage >= 0 ? "buying" : "renting"} (today's money)`, money(Math.abs(outlook.netAdvantage))],
+            ],
+        },
+        { title: "Documents to prepare", items: summary.checklist }
+    );
+    return sections;
+}
+
+function headerLines(summary, now) {
+    return [
+        `Reference: ${summary.reference}`,
+        `Issued: ${longDate(summary.issuedAt)}`,
+        `${isExpired(summary, now) ? "EXPIRED on" : "Valid until"}: ${longDate(summary.expiresAt)}`,
+        `Assumption set: ${summary.assumptions.version}`,
+    ];
+}
+
+/* ---------------- HTML ---------------- */
+
+const escapeHtml = (s) =>
+    String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[c]);
+
+export function renderPreApprovalHtml(summary, { now = new Date(), pdfUrl = null } = {}) {
+    const body = documentSections(summary)
+        .map((s) => {
+            const content = s.rows
+                ? `<table>${s.rows.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("")}</table>`
+                : `<ul>${s.items.map((i) => `<li>${escapeHtml(i)}</li>`).join("")}</ul>`;
+            return `<section><h2>${escapeHtml(s.title)}</h2>${content}</section>`;
+        })
+        .join("\n");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Pre-approval summary ${escapeHtml(summary.reference)}</title>
+<style>
+body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #18181b; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }
+h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+h2 { font-size: 1.05rem; border-bottom: 1px solid #e4e4e7; padding-bottom: 0.25rem; margin-top: 1.75rem; }
+.meta { color: #52525b; font-size: 0.9rem; line-height: 1.6; }
+.expired { color: #b91c1c; font-weight: 600; }
+table { width: 100%; border-collapse: collapse; font-size: 0.95rem; }
+th, td { text-align: left; padding: 0.3rem 0; vertical-align: top; }
+th { font-weight: 400; color: #52525b; width: 55%; }
+.disclaimer { margin-top: 2rem; font-size: 0.8rem; color: #71717a; }
+@media print { .actions { display: none; } }
+</style>
+</head>
+<body>
+<h1>Mortgage pre-approval summary</h1>
+<div class="meta">${headerLines(summary, now)
+        .map((l) => (l.startsWith("EXPIRED") ? `<span class="expired">${escapeHtml(l)}</span>` : escapeHtml(l)))
+        .join("<br>")}</div>
+${pdfUrl ? `<p class="actions"><a href="${escapeHtml(pdfUrl)}">Download as PDF</a></p>` : ""}
+${body}
+<p class="disclaimer">${escapeHtml(DISCLAIMER)}</p>
+</body>
+</html>
+`;
+}
+
+/* ---------------- PDF ---------------- */
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 };
+
+// The standard fonts only cover Latin-1; anything else is replaced rather than crashing the render
+const latin1 = (s) => String(s).replace(/[^\x20-\x7E\xA0-\xFF–—‘’“”•]/g, "?");
+
+function wrap(text, font, size, width) {
+    const lines = [];
+    let line = "";
+    for (const word of latin1(text).split(/\s+/)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && font.widthOfTextAtSize(next, size) > width) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = next;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/** The summary as PDF bytes (Uint8Array). */
+export async function renderPreApprovalPdf(summary, { now = new Date() } = {}) {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`Pre-approval summary ${summary.reference}`);
+    const regular = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const grey = rgb(0.32, 0.32, 0.36);
+    const contentWidth = PAGE.width - 2 * PAGE.margin;
+
+    let page = pdf.addPage([PAGE.width, PAGE.height]);
+    let y = PAGE.height - PAGE.margin;
+    const ensureRoom = (height) => {
+        if (y - height >= PAGE.margin) return;
+        page = pdf.addPage([PAGE.width, PAGE.height]);
+        y = PAGE.height - PAGE.margin;
+    };
+    const write = (text, { font = regular, size = 10, x = PAGE.margin, color = rgb(0, 0, 0), width = contentWidth } = {}) => {
+        const lines = wrap(text, font, size, width);
+        for (const line of lines) {
+            ensureRoom(size + 4);
+            page.drawText(line, { x, y: y - size, size, font, color });
+            y -= size + 4;
+        }
+        return lines.length;
+    };
+
+    write("Mortgage pre-approval summary", { font: bold, size: 18 });
+    y -= 6;
+    for (const line of headerLines(summary, now)) {
+        write(line, { color: line.startsWith("EXPIRED") ? rgb(0.72, 0.11, 0.11) : grey });
+    }
+
+    const labelWidth = contentWidth * 0.55;
+    for (const section of documentSections(summary)) {
+        y -= 12;
+        ensureRoom(40);
+        write(section.title, { font: bold, size: 12 });
+        page.drawLine({ start: { x: PAGE.margin, y }, end: { x: PAGE.width - PAGE.margin, y }, thickness: 0.5, color: rgb(0.85, 0.85, 0.87) });
+        y -= 6;
+
+        if (section.rows) {
+            for (const [label, value] of section.rows) {
+                const labelLines = wrap(label, regular, 10, labelWidth - 10);
+                const valueLines = wrap(value, regular, 10, contentWidth - labelWidth);
+                const height = Math.max(labelLines.length, valueLines.length) * 14;
+                ensureRoom(height);
+                labelLines.forEach((l, i) => page.drawText(l, { x: PAGE.margin, y: y - 10 - i * 14, size: 10, font: regular, color: grey }));
+                valueLines.forEach((l, i) => page.drawText(l, { x: PAGE.margin + labelWidth, y: y - 10 - i * 14, size: 10, font: regular }));
+                y -= height;
+            }
+        } else {
+            for (const item of section.items) write(`•  ${item}`, { x: PAGE.margin + 4, width: contentWidth - 4 });
+        }
+    }
+
+    y -= 16;
+    write(DISCLAIMER, { size: 8, color: grey });
+    return pdf.save();
+}
@@ -0,0 +1,20 @@
+import { connectDB } from "./mongodb";
+import PreApproval from "@/models/PreApproval";
+
+export async function savePreApproval(userId, threadId, summary) {
+    await connectDB();
+    return PreApproval.create({
+        user: userId,
+        threadId,
+        reference: summary.reference,
+        expiresAt: new Date(summary.expiresAt),
+        summary,
+    });
+}
+
+// The stored summary, or null when it doesn't exist or belongs to someone else
+export async function loadPreApproval(userId, reference) {
+    await connectDB();
+    const doc = await PreApproval.findOne({ user: userId, reference }).lean();
+    return doc?.summary ?? null;
+}
@@ -0,0 +1,131 @@
+import { assumptionStamp, getAssumptions } from "./assumptions";
+import {
+    buildAmortizationSchedule,
+    clampTenureYears,
+    isRateSchedule,
+    levelPayment,
+    normalizeRateSchedule,
+    rateForMonth,
+    scheduleTotals,
+} from "./emi";
+
+// UAE Central Bank cap: a share of the balance outstanding when the money is
+// paid in, up to a fixed amount per settlement (assumptions.earlySettlement)
+export function earlySettlementFee(outstandingBalance) {
+    const { feeRate, feeCap } = getAssumptions().earlySettlement;
+    const balance = Math.max(0, Number(outstandingBalance || 0));
+    return Math.min(balance * feeRate, feeCap);
+}
+
+// Calendar month (YYYY-MM) of installment `month`; the first installment is
+// due on `startDate`, or on the 1st of next month when none is given
+function monthLabel(startDate, month) {
+    const base = startDate ? new Date(startDate) : new Date();
+    const offset = startDate ? month - 1 : month;
+    const d = new Date(Date.UTC(base.getUTCFullYear(), base.getUTCMonth() + offset, 1));
+    return d.toISOString().slice(0, 7);
+}
+
+// Prepayments due in a given month: one-off lump sums plus the recurring amount
+function prepaymentsDue(month, lumpSums, recurring) {
+    let amount = 0;
+    for (const l of lumpSums) {
+        if (Math.round(l.month) === month) amount += Number(l.amount || 0);
+    }
+    if (recurring && recurring.amount > 0) {
+        const every = Math.max(1, Math.round(recurring.everyMonths || 12));
+        const start = Math.max(1, Math.round(recurring.startMonth || every));
+        const end = recurring.endMonth ? Math.round(recurring.endMonth) : Infinity;
+        if (month >= start && month <= end && (month - start) % every === 0) amount += Number(recurring.amount);
+    }
+    return amount;
+}
+
+/**
+ * Replays the loan month by month with overpayments applied at the end of the
+ * month they fall in. "reduce_tenure" keeps paying the original EMI so the loan
+ * ends sooner; "reduce_emi" keeps the end date and re-amortizes the lower balance.
+ */
+export function simulatePrepayment({
+    loanAmount,
+    annualRate,
+    tenureYears,
+    lumpSums = [],
+    recurring = null,
+    mode = "reduce_tenure",
+    startDate,
+}) {
+    const P = Number(loanAmount || 0);
+    const n = Math.round(clampTenureYears(tenureYears) * 12);
+    const baseline = buildAmortizationSchedule(P, annualRate, tenureYears);
+    const baselineTotals = scheduleTotals(baseline);
+    const fixedMonths = isRateSchedule(annualRate) ? Math.round(normalizeRateSchedule(annualRate).fixedYears * 12) : n;
+    const resetMonths = isRateSchedule(annualRate) ? normalizeRateSchedule(annualRate).resetMonths : n;
+
+    let balance = P;
+    let rate = rateForMonth(annualRate, 1);
+    let emi = levelPayment(P, rate, n);
+    let totalInterest = 0;
+    let totalPrepaid = 0;
+    let totalFees = 0;
+    let months = 0;
+    const prepayments = [];
+
+    for (let month = 1; month <= n && balance > 0.005; month++) {
+        const isReset = month > fixedMonths && (month - fixedMonths - 1) % resetMonths === 0;
+        if (isReset) {
+            rate = rateForMonth(annualRate, month);
+            emi = mode === "reduce_emi"
+                ? levelPayment(balance, rate, n - month + 1)
+                : baseline[month - 1]?.payment || levelPayment(balance, rate, n - month + 1);
+        }
+        const interest = balance * (rate / 12);
+        const principal = Math.min(balance, emi - interest);
+        balance -= principal;
+        totalInterest += interest;
+        months = month;
+
+        const due = Math.min(balance, prepaymentsDue(month, lumpSums, recurring));
+        if (due > 0) {
+            const fee = earlySettlementFee(balance);
+            balance -= due;
+            totalPrepaid += due;
+            totalFees += fee;
+            if (mode === "reduce_emi" && balance > 0) emi = levelPayment(balance, rate, n - month);
+            prepayments.push({
+                month,
+                date: monthLabel(startDate, month),
+                amount: due,
+                fee,
+                balanceAfter: balance,
+                emiAfter: balance > 0 ? emi : 0,
+            });
+        }
+    }
+
+    const interestSaved = baselineTotals.totalInterest - totalInterest;
+    const ongoing = prepayments.filter((p) => p.balanceAfter > 0);
+    return {
+        mode,
+        baseline: {
+            months: baselineTotals.months,
+            totalInterest: baselineTotals.totalInterest,
+            monthlyEmi: baseline[0]?.payment || 0,
+            payoffDate: monthLabel(startDate, baselineTotals.months),
+        },
+        withPrepayment: {
+            months,
+            totalInterest,
+            monthlyEmiFinal: ongoing.length ? ongoing[ongoing.length - 1].emiAfter : emi,
+            payoffDate: monthLabel(startDate, months),
+        },
+        prepayments,
+        totalPrepaid,
+        totalFees,
+        interestSaved,
+        monthsSaved: baselineTotals.months - months,
+        netSaving: interestSaved - totalFees,
+        feeRule: { ...getAssumptions().earlySettlement },
+        assumptions: assumptionStamp(),
+    };
+}
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_ASSUMPTIONS } from "./assumptions";
+import { earlySettlementFee, simulatePrepayment } from "./prepayment";
+
+const FEE_CAP = DEFAULT_ASSUMPTIONS.earlySettlement.feeCap;
+const LOAN = { loanAmount: 1_200_000, annualRate: 0.045, tenureYears: 25, startDate: "2027-01-01" };
+
+describe("earlySettlementFee", () => {
+    it("charges 1% of the outstanding balance, capped at AED 10,000", () => {
+        expect(earlySettlementFee(400_000)).toBe(4_000);
+        expect(earlySettlementFee(1_200_000)).toBe(FEE_CAP);
+        expect(earlySettlementFee(0)).toBe(0);
+        expect(earlySettlementFee(-5)).toBe(0);
+    });
+});
+
+describe("simulatePrepayment", () => {
+    it("keeps the EMI and finishes early in reduce_tenure mode", () => {
+        const result = simulatePrepayment({ ...LOAN, lumpSums: [{ month: 24, amount: 200_000 }] });
+        expect(result.baseline).toMatchObject({ months: 300, payoffDate: "2051-12" });
+        expect(result.withPrepayment.months).toBeLessThan(300);
+        expect(result.monthsSaved).toBe(300 - result.withPrepayment.months);
+        expect(result.withPrepayment.payoffDate < result.baseline.payoffDate).toBe(true);
+        expect(result.withPrepayment.monthlyEmiFinal).toBeCloseTo(result.baseline.monthlyEmi, 6);
+        expect(result.interestSaved).toBeCloseTo(result.baseline.totalInterest - result.withPrepayment.totalInterest, 6);
+    });
+
+    it("keeps the end date and lowers the EMI in reduce_emi mode", () => {
+        const result = simulatePrepayment({ ...LOAN, lumpSums: [{ month: 24, amount: 200_000 }], mode: "reduce_emi" });
+        expect(result.withPrepayment.months).toBe(300);
+        expect(result.withPrepayment.payoffDate).toBe(result.baseline.payoffDate);
+        expect(result.monthsSaved).toBe(0);
+        expect(result.withPrepayment.monthlyEmiFinal).toBeLessThan(result.baseline.monthlyEmi);
+        expect(result.interestSaved).toBeGreaterThan(0);
+    });
+
+    it("charges the fee on the balance outstanding at the lump sum", () => {
+        const { prepayments, totalFees } = simulatePrepayment({ loanAmount: 600_000, annualRate: 0.045, tenureYears: 25, lumpSums: [{ month: 12, amount: 50_000 }] });
+        const [lump] = prepayments;
+        const outstanding = lump.balanceAfter + lump.amount;
+        expect(lump.fee).toBeCloseTo(outstanding * 0.01, 6);
+        expect(lump.fee).toBeGreaterThan(50_000 * 0.01);
+        expect(totalFees).toBe(lump.fee);
+    });
+
+    it("caps each settlement's fee at AED 10,000 on large balances", () => {
+        const { prepayments } = simulatePrepayment({ ...LOAN, lumpSums: [{ month: 12, amount: 20_000 }] });
+        expect(prepayments[0].fee).toBe(FEE_CAP);
+    });
+
+    it("applies a recurring overpayment every year from its start month", () => {
+        const result = simulatePrepayment({ ...LOAN, recurring: { amount: 30_000, everyMonths: 12, startMonth: 12 } });
+        const months = result.prepayments.map((p) => p.month);
+        expect(months.slice(0, 3)).toEqual([12, 24, 36]);
+        expect(result.totalPrepaid).toBeCloseTo(result.prepayments.reduce((sum, p) => sum + p.amount, 0), 6);
+        expect(result.totalFees).toBeCloseTo(result.prepayments.reduce((sum, p) => sum + p.fee, 0), 6);
+        expect(result.netSaving).toBeCloseTo(result.interestSaved - result.totalFees, 6);
+        expect(result.withPrepayment.months).toBeLessThan(result.baseline.months);
+    });
+
+    it("never prepays more than the balance and dates each payment", () => {
+        const result = simulatePrepayment({ ...LOAN, lumpSums: [{ month: 6, amount: 5_000_000 }] });
+        expect(result.prepayments).toHaveLength(1);
+        expect(result.prepayments[0]).toMatchObject({ date: "2027-06", balanceAfter: 0, emiAfter: 0 });
+        expect(result.withPrepayment).toMatchObject({ months: 6, payoffDate: "2027-06" });
+    });
+});
@@ -0,0 +1,108 @@
+import { calculateEMI } from "./emi";
+import { evaluateLTVRule } from "./ltvRules";
+import { calculateUpfrontCosts } from "./upfrontCosts";
+import { getAssumptions } from "./assumptions";
+import { assessAffordability, loanForPayment, monthlyLiabilities, stressRateFor } from "./affordability";
+
+// Loan, cash and fees needed to buy at `price` given the DBR loan ceiling
+function purchaseAt(price, { dbrMaxLoan, profile, emirate, includeFees }) {
+    // The rule is looked up directly so a price of 0 (no savings at all) still has one
+    const ltvRule = evaluateLTVRule(price, profile);
+    const ltvMaxLoan = price * ltvRule.maxLtv;
+    const loanAmount = Math.min(ltvMaxLoan, dbrMaxLoan);
+    const upfrontCosts = calculateUpfrontCosts({ price, loanAmount, emirate });
+    // Nothing is bought at a price of 0, so no fixed fees are due either
+    if (price <= 0) Object.assign(upfrontCosts, { items: [], total: 0 });
+    const downPayment = price - loanAmount;
+    const fees = includeFees ? upfrontCosts.total : 0;
+    return {
+        price,
+        loanAmount,
+        downPayment,
+        upfrontCosts,
+        cashNeeded: downPayment + fees,
+        loanLimitedBy: dbrMaxLoan < ltvMaxLoan ? "dbr" : "ltv",
+        ltvRule,
+    };
+}
+
+// Cash needed rises with price (including across the AED 5M LTV step), so
+// bisection finds the highest price the savings cover.
+function maxPriceFor(savings, ctx) {
+    let lo = 0;
+    let hi = savings + ctx.dbrMaxLoan + 1;
+    for (let i = 0; i < 60; i++) {
+        const mid = (lo + hi) / 2;
+        if (purchaseAt(mid, ctx).cashNeeded <= savings) lo = mid;
+        else hi = mid;
+    }
+    return Math.floor(lo / 1000) * 1000; // quote in whole thousands
+}
+
+/**
+ * Highest property price the user can buy given income, savings and debts.
+ * Three limits apply: the 50% debt-burden ratio caps the loan, the LTV rule
+ * caps it as a share of price, and savings must cover the down payment plus
+ * upfront fees. `bindingConstraint` names the one that stops a higher price:
+ *   "dbr"              - income/debts cap the loan
+ *   "ltv_down_payment" - savings run out on the minimum down payment
+ *   "cash_for_fees"    - income and down payment would allow more, but fees don't fit
+ */
+export function solveMaxPropertyPrice({
+    monthlyIncome,
+    savings,
+    liabilities = {},
+    tenureYears = getAssumptions().tenure.defaultYears,
+    annualRate = getAssumptions().interest.defaultRate,
+    profile = {},
+    emirate = "dubai",
+}) {
+    const income = Number(monthlyIncome || 0);
+    const cash = Math.max(0, Number(savings || 0));
+    if (income <= 0) return { error: "missing_income" };
+
+    const debts = monthlyLiabilities(liabilities);
+    const stressRate = stressRateFor(annualRate);
+    const maxAllowedEmi = Math.max(0, income * getAssumptions().affordability.dbrLimit - debts.total);
+    const dbrMaxLoan = loanForPayment(maxAllowedEmi, stressRate, tenureYears);
+
+    const ctx = { dbrMaxLoan, profile, emirate, includeFees: true };
+    const maxPrice = maxPriceFor(cash, ctx);
+    const purchase = purchaseAt(maxPrice, ctx);
+
+    let bindingConstraint = "ltv_down_payment";
+    if (purchase.loanLimitedBy === "dbr") {
+        bindingConstraint = "dbr";
+    } else {
+        const withoutFees = purchaseAt(maxPriceFor(cash, { ...ctx, includeFees: false }), { ...ctx, includeFees: false });
+        if (withoutFees.loanLimitedBy === "dbr") bindingConstraint = "cash_for_fees";
+    }
+
+    const emi = calculateEMI(purchase.loanAmount, annualRate, tenureYears);
+    const affordability = assessAffordability({
+        monthlyIncome: income,
+        loanAmount: purchase.loanAmount,
+        annualRate,
+        tenureYears,
+        liabilities,
+    });
+
+    return {
+        maxPrice,
+        loanAmount: purchase.loanAmount,
+        downPayment: purchase.downPayment,
+        upfrontCosts: purchase.upfrontCosts,
+        cashNeeded: purchase.cashNeeded,
+        cashLeft: cash - purchase.cashNeeded,
+        monthlyEmi: emi.monthlyEmi,
+        ltvRule: purchase.ltvRule,
+        bindingConstraint,
+        limits: {
+            dbrMaxLoan,
+            maxAllowedEmi,
+            stressRate,
+            liabilities: debts,
+        },
+        affordability,
+    };
+}
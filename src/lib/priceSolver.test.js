@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { solveMaxPropertyPrice } from "./priceSolver";
+import { runMaxPriceTool } from "./agent";
+
+describe("solveMaxPropertyPrice", () => {
+    it("is capped by income when savings are plentiful (dbr)", () => {
+        const result = solveMaxPropertyPrice({ monthlyIncome: 20_000, savings: 1_000_000 });
+        expect(result.bindingConstraint).toBe("dbr");
+        expect(result.loanAmount).toBeCloseTo(result.limits.dbrMaxLoan, 6);
+        // The loan stays under the LTV cap; the rest of the savings go into the down payment and fees
+        expect(result.loanAmount).toBeLessThan(result.maxPrice * result.ltvRule.maxLtv);
+        expect(result.cashLeft).toBeGreaterThanOrEqual(0);
+        expect(result.cashLeft).toBeLessThan(2_000);
+        expect(result.affordability.dbr).toBeCloseTo(0.5, 6);
+    });
+
+    it("is capped by the minimum down payment when income is high (ltv_down_payment)", () => {
+        const result = solveMaxPropertyPrice({ monthlyIncome: 60_000, savings: 300_000 });
+        expect(result.bindingConstraint).toBe("ltv_down_payment");
+        expect(result.ltvRule.id).toBe("expat_first_home_up_to_5m");
+        expect(result.loanAmount).toBeCloseTo(result.maxPrice * 0.8, 6);
+        expect(result.loanAmount).toBeLessThan(result.limits.dbrMaxLoan);
+        expect(result.cashNeeded).toBeLessThanOrEqual(300_000);
+    });
+
+    it("is capped by fees when income and the down payment alone would allow more (cash_for_fees)", () => {
+        const result = solveMaxPropertyPrice({ monthlyIncome: 20_000, savings: 420_000 });
+        expect(result.bindingConstraint).toBe("cash_for_fees");
+        // Without fees the same savings would reach the DBR-capped loan
+        expect(420_000 + result.limits.dbrMaxLoan).toBeGreaterThan(result.limits.dbrMaxLoan / 0.8);
+        expect(result.loanAmount).toBeLessThan(result.limits.dbrMaxLoan);
+        expect(result.cashNeeded).toBeLessThanOrEqual(420_000);
+    });
+
+    it("only allows a cash purchase when existing debts use up the DBR limit", () => {
+        const result = solveMaxPropertyPrice({ monthlyIncome: 30_000, savings: 300_000, liabilities: { carLoanEmi: 15_000 } });
+        expect(result.bindingConstraint).toBe("dbr");
+        expect(result.limits.maxAllowedEmi).toBe(0);
+        expect(result.loanAmount).toBe(0);
+        expect(result.maxPrice).toBeLessThan(300_000);
+    });
+
+    it("quotes a price of 0 without fees or NaNs when there are no savings", () => {
+        const result = solveMaxPropertyPrice({ monthlyIncome: 30_000, savings: 0 });
+        expect(result).toMatchObject({ maxPrice: 0, loanAmount: 0, downPayment: 0, cashNeeded: 0, cashLeft: 0, monthlyEmi: 0 });
+        expect(result.upfrontCosts.total).toBe(0);
+        expect(result.bindingConstraint).toBe("ltv_down_payment");
+    });
+
+    it("needs an income", () => {
+        expect(solveMaxPropertyPrice({ monthlyIncome: 0, savings: 300_000 })).toEqual({ error: "missing_income" });
+        expect(solveMaxPropertyPrice({ savings: 300_000 })).toEqual({ error: "missing_income" });
+    });
+
+    it("stops at exactly AED 5M until savings cover the larger down payment above it", () => {
+        const atStep = solveMaxPropertyPrice({ monthlyIncome: 200_000, savings: 1_500_000 });
+        const stillAtStep = solveMaxPropertyPrice({ monthlyIncome: 200_000, savings: 1_700_000 });
+        const above = solveMaxPropertyPrice({ monthlyIncome: 200_000, savings: 2_000_000 });
+        expect(atStep.maxPrice).toBe(5_000_000);
+        expect(atStep.ltvRule.id).toBe("expat_first_home_up_to_5m");
+        expect(stillAtStep.maxPrice).toBe(5_000_000);
+        expect(above.maxPrice).toBeGreaterThan(5_000_000);
+        expect(above.ltvRule.id).toBe("expat_first_home_above_5m");
+    });
+});
+
+describe("runMaxPriceTool", () => {
+    it("validates input before solving", async () => {
+        const { error, issues } = await runMaxPriceTool({ monthlyIncome: 0, savings: -1 });
+        expect(error).toBe("invalid_input");
+        expect(issues.map((i) => i.field)).toEqual(["monthlyIncome", "savings"]);
+        expect((await runMaxPriceTool({ monthlyIncome: 20_000, savings: 0 })).maxPrice).toBe(0);
+    });
+});
@@ -0,0 +1,150 @@
+import { z } from "zod";
+import { getAssumptions } from "./assumptions";
+
+/* ============================================================
+   SOFT-CLOSE QUALIFICATION
+   ============================================================
+   Decides what follows a calculation: the pre-qualification offer, a
+   "save X more first" nudge, or nothing. assessReadiness() scores the
+   buyer from what we know (buy-vs-rent outcome, stay, debt-burden check,
+   cash against savings); decideSoftClose() then checks what was already
+   shown in this conversation, so the offer isn't repeated on every
+   recalculation and never comes back once declined. Thresholds live in
+   the assumption set (softClose.*). */
+
+export const SoftCloseStateSchema = z.object({
+    offersShown: z.number().int().default(0),
+    nudgesShown: z.number().int().default(0),
+    incomeAsked: z.boolean().default(false),
+    // Last CTA shown; a nudge only repeats when the amount moves
+    lastShown: z
+        .object({ action: z.enum(["offer", "nudge"]), saveMore: z.number().nullable() })
+        .nullable()
+        .default(null),
+    // The previous reply ended with the offer, so this message answers it
+    awaitingReply: z.boolean().default(false),
+    declined: z.boolean().default(false),
+    accepted: z.boolean().default(false),
+});
+
+export const initialSoftCloseState = () => ({
+    offersShown: 0,
+    nudgesShown: 0,
+    incomeAsked: false,
+    lastShown: null,
+    awaitingReply: false,
+    declined: false,
+    accepted: false,
+});
+
+// Score weights; they add up to 100
+const WEIGHTS = { buy: 25, stay: 15, incomeKnown: 15, dbr: 25, cash: 20 };
+
+const clamp01 = (x) => Math.min(1, Math.max(0, x));
+
+/**
+ * Readiness to apply, from a calculation and what we know about the buyer:
+ * { score, level, saveMore, cashNeeded, savings, gaps: { dbr, cash } }.
+ * `level` is "ready", "save_more", "needs_income" or "not_ready". `saveMore` is the
+ * extra cash (AED) needed: a bigger down payment to bring the loan within
+ * the debt-burden limit, plus anything the down payment and fees need
+ * beyond the user's savings. `cashNeeded` includes that bigger down
+ * payment. `savings` is null when the user hasn't said.
+ */
+export function assessReadiness({ recommendation, stayYears, price, loanAmount, cashNeeded, affordability, savings = null }) {
+    const { minStayYears, readyScore, maxSavingsGap } = getAssumptions().softClose;
+    let score = 0;
+
+    const buys = recommendation === "buy";
+    const staysLongEnough = typeof stayYears === "number" && stayYears >= minStayYears;
+    if (buys) score += WEIGHTS.buy;
+    if (staysLongEnough) score += WEIGHTS.stay;
+
+    // Loan above the limit: the down payment has to grow by the excess
+    let dbrGap = 0;
+    if (affordability) {
+        score += WEIGHTS.incomeKnown;
+        if (affordability.passes) {
+            score += WEIGHTS.dbr;
+        } else {
+            dbrGap = Math.max(0, -affordability.loanHeadroom);
+            score += WEIGHTS.dbr * clamp01(affordability.maxLoan / loanAmount);
+        }
+    }
+
+    const needed = cashNeeded + dbrGap;
+    let cashGap = 0;
+    if (savings == null) {
+        // They named a down payment, but we don't know it is in the bank
+        score += WEIGHTS.cash / 2;
+    } else {
+        cashGap = Math.max(0, needed - savings);
+        score += WEIGHTS.cash * clamp01(savings / needed);
+    }
+
+    // Extra savings cover the bigger down payment too, so the gaps don't add up when savings are known
+    const saveMore = Math.ceil((savings == null ? dbrGap : cashGap) / 1000) * 1000;
+
+    let level;
+    if (!buys || !staysLongEnough) level = "not_ready";
+    else if (saveMore > 0) level = saveMore <= maxSavingsGap * price ? "save_more" : "not_ready";
+    else if (!affordability) level = "needs_income";
+    else level = score >= readyScore ? "ready" : "not_ready";
+
+    return {
+        score: Math.round(score),
+        level,
+        saveMore,
+        cashNeeded: Math.round(needed),
+        savings,
+        gaps: { dbr: Math.round(dbrGap), cash: Math.round(cashGap) },
+    };
+}
+
+/**
+ * What to show after this calculation: "offer", "nudge", "ask_income"
+ * (a one-off request for the income, not a CTA) or "none".
+ */
+export function decideSoftClose(readiness, softClose = initialSoftCloseState()) {
+    if (softClose.declined || softClose.accepted) return "none";
+    const last = softClose.lastShown;
+
+    switch (readiness.level) {
+        case "ready":
+            return softClose.offersShown < getAssumptions().softClose.maxOffers && last?.action !== "offer" ? "offer" : "none";
+        case "save_more":
+            return last?.action === "nudge" && Math.abs(last.saveMore - readiness.saveMore) < 0.1 * last.saveMore ? "none" : "nudge";
+        case "needs_income":
+            return softClose.incomeAsked ? "none" : "ask_income";
+        default:
+            return "none";
+    }
+}
+
+/** Soft-close state after showing `action` at the end of a reply. */
+export function recordSoftClose(softClose, action, readiness) {
+    const next = { ...softClose, awaitingReply: action === "offer" };
+    if (action === "offer") {
+        next.offersShown += 1;
+        next.lastShown = { action, saveMore: null };
+    } else if (action === "nudge") {
+        next.nudgesShown += 1;
+        next.lastShown = { action, saveMore: readiness.saveMore };
+    } else if (action === "ask_income") {
+        next.incomeAsked = true;
+    }
+    return next;
+}
+
+const DECLINE_PATTERN = /^\s*(?:no\b|nope\b|nah\b|not (?:now|yet|really|interested|today)\b|maybe later\b|later\b|i'?ll think|i'?m good\b|i'?m fine\b)/i;
+// "لا، شكرًا", "ليس الآن", "لاحقًا"; \b only knows Latin letters, so the end of an Arabic word is spelled out
+const ARABIC_DECLINE_PATTERN = /^\s*(?:لا|كلا|ليس الآن|ليس بعد|لاحق[ًا]+|ربما لاحق[ًا]+|سأفكر)(?![\u0621-\u064A])/;
+
+/**
+ * Soft-close state once the user answers. Only a message right after the
+ * offer can decline it; accepting is recorded when the summary is issued.
+ */
+export function noteUserReply(softClose, text) {
+    if (!softClose.awaitingReply) return softClose;
+    return { ...softClose, awaitingReply: false, declined: [DECLINE_PATTERN, ARABIC_DECLINE_PATTERN].some((p) => p.test(String(text || ""))) };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { assessReadiness, decideSoftClose, initialSoftCloseState, noteUserReply, recordSoftClose } from "./qualification";
+
+const passing = { passes: true, loanHeadroom: 200_000, maxLoan: 1_400_000, dbrLimit: 0.5 };
+const base = { recommendation: "buy", stayYears: 8, price: 1_500_000, loanAmount: 1_200_000, cashNeeded: 410_000, affordability: passing };
+
+describe("assessReadiness", () => {
+    it("is ready when buying wins, the loan fits and the cash is there", () => {
+        const readiness = assessReadiness({ ...base, savings: 500_000 });
+        expect(readiness).toMatchObject({ level: "ready", score: 100, saveMore: 0 });
+    });
+
+    it("asks for the income before judging the loan", () => {
+        expect(assessReadiness({ ...base, affordability: null }).level).toBe("needs_income");
+    });
+
+    it("turns a loan above the debt-burden limit into a bigger down payment", () => {
+        const affordability = { passes: false, loanHeadroom: -80_000, maxLoan: 1_120_000, dbrLimit: 0.5 };
+        const readiness = assessReadiness({ ...base, affordability });
+        expect(readiness).toMatchObject({ level: "save_more", saveMore: 80_000, gaps: { dbr: 80_000, cash: 0 } });
+        // With savings known, the bigger down payment has to come out of them too
+        expect(assessReadiness({ ...base, affordability, savings: 450_000 }).saveMore).toBe(40_000);
+    });
+
+    it("gives up on a nudge when the gap is too large", () => {
+        expect(assessReadiness({ ...base, savings: 50_000 }).level).toBe("not_ready");
+    });
+
+    it("never qualifies when renting wins or the stay is short", () => {
+        expect(assessReadiness({ ...base, recommendation: "rent" }).level).toBe("not_ready");
+        expect(assessReadiness({ ...base, stayYears: 3 }).level).toBe("not_ready");
+    });
+});
+
+describe("decideSoftClose", () => {
+    const ready = assessReadiness(base);
+
+    it("makes the offer once, not on every recalculation", () => {
+        let softClose = initialSoftCloseState();
+        expect(decideSoftClose(ready, softClose)).toBe("offer");
+        softClose = noteUserReply(recordSoftClose(softClose, "offer", ready), "what about 25 years?");
+        expect(softClose).toMatchObject({ offersShown: 1, declined: false });
+        expect(decideSoftClose(ready, softClose)).toBe("none");
+    });
+
+    it("offers again after a nudge, up to the limit", () => {
+        const nudge = { ...ready, level: "save_more", saveMore: 50_000 };
+        let softClose = recordSoftClose(initialSoftCloseState(), "offer", ready);
+        softClose = recordSoftClose(softClose, decideSoftClose(nudge, softClose), nudge);
+        expect(decideSoftClose(ready, softClose)).toBe("offer");
+        softClose = recordSoftClose(softClose, "offer", ready);
+        softClose = recordSoftClose(softClose, "nudge", { ...nudge, saveMore: 90_000 });
+        expect(decideSoftClose(ready, softClose)).toBe("offer");
+        softClose = recordSoftClose(softClose, "offer", ready);
+        softClose = recordSoftClose(softClose, "nudge", { ...nudge, saveMore: 120_000 });
+        expect(decideSoftClose(ready, softClose)).toBe("none");
+    });
+
+    it("stops after the user declines", () => {
+        const softClose = noteUserReply(recordSoftClose(initialSoftCloseState(), "offer", ready), "No thanks, not now");
+        expect(softClose.declined).toBe(true);
+        expect(decideSoftClose(ready, softClose)).toBe("none");
+    });
+
+    it("understands a decline in Arabic", () => {
+        const offered = recordSoftClose(initialSoftCloseState(), "offer", ready);
+        expect(noteUserReply(offered, "لا، شكرًا").declined).toBe(true);
+        expect(noteUserReply(offered, "ليس الآن").declined).toBe(true);
+        expect(noteUserReply(offered, "لاحقًا ربما").declined).toBe(true);
+        // "لابأس" ("that's fine") starts with the same letters but accepts
+        expect(noteUserReply(offered, "لابأس، أكمل").declined).toBe(false);
+    });
+});
@@ -0,0 +1,85 @@
+import { getAssumptions } from "./assumptions";
+
+// Year-by-year rent projection for the rent side of buy-vs-rent.
+//
+// Modes:
+//   none  - rent stays flat
+//   fixed - rent rises by `rate` every year
+//   rera  - Dubai RERA rent-increase caps (Decree 43 of 2013): the allowed
+//           increase at renewal depends on how far the current rent sits
+//           below the RERA index average for comparable units
+//
+// The brackets and the index snapshot are part of the assumption set
+// (assumptions.rent), so an admin override updates them without a deploy.
+
+export const RENT_UNIT_TYPES = ["studio", "1br", "2br", "3br"];
+
+export function lookupIndexRent(area, unitType) {
+    const key = String(area || "").toLowerCase().replace(/[\s-]+/g, "_");
+    const { index } = getAssumptions().rent;
+    const entry = index.areas[key];
+    const annual = entry?.[String(unitType || "").toLowerCase()];
+    if (!annual) return null;
+    return { area: entry.label, unitType, annualRent: annual, asOf: index.asOf };
+}
+
+export function reraMaxIncrease(currentAnnualRent, indexAnnualRent) {
+    if (!indexAnnualRent || indexAnnualRent <= 0) return 0;
+    const gap = (indexAnnualRent - currentAnnualRent) / indexAnnualRent;
+    return getAssumptions().rent.increaseBrackets.find((b) => gap > b.gapAbove)?.maxIncrease ?? 0;
+}
+
+/**
+ * Rent for each year of the stay. Year 1 is the current rent; increases apply
+ * at each annual renewal. `escalation` is { mode: "none" } | { mode: "fixed", rate }
+ * | { mode: "rera", area, unitType, indexAnnualRent?, indexGrowthRate? }.
+ */
+export function projectRent({ monthlyRent, years, escalation = { mode: "none" } }) {
+    const mode = escalation?.mode || "none";
+    const n = Math.max(0, Math.ceil(Number(years || 0)));
+    let annual = Number(monthlyRent || 0) * 12;
+
+    let indexAnnual = null;
+    let index = null;
+    if (mode === "rera") {
+        index = escalation.indexAnnualRent
+            ? { area: escalation.area || "custom", unitType: escalation.unitType, annualRent: escalation.indexAnnualRent, asOf: null }
+            : lookupIndexRent(escalation.area, escalation.unitType);
+        indexAnnual = index?.annualRent ?? null;
+    }
+    const indexGrowth = escalation?.indexGrowthRate ?? getAssumptions().rent.index.growthRate;
+    // Without an index entry the RERA brackets can't be applied; keep rent flat
+    const effectiveMode = mode === "rera" && !indexAnnual ? "none" : mode;
+
+    const rows = [];
+    for (let year = 1; year <= n; year++) {
+        let increase = 0;
+        if (year > 1) {
+            if (effectiveMode === "fixed") increase = Number(escalation.rate || 0);
+            else if (effectiveMode === "rera") increase = reraMaxIncrease(annual, indexAnnual);
+            annual *= 1 + increase;
+        }
+        rows.push({
+            year,
+            monthlyRent: annual / 12,
+            annualRent: annual,
+            increase,
+            indexAnnualRent: indexAnnual,
+        });
+        if (indexAnnual) indexAnnual *= 1 + indexGrowth;
+    }
+    return { mode: effectiveMode, index, years: rows };
+}
+
+// Rent due in month `m` (1-based) of a projection
+export function rentForMonth(projection, m) {
+    const rows = projection.years;
+    if (rows.length === 0) return 0;
+    return rows[Math.min(rows.length, Math.ceil(m / 12)) - 1].monthlyRent;
+}
+
+export function totalRentOver(projection, months) {
+    let total = 0;
+    for (let m = 1; m <= months; m++) total += rentForMonth(projection, m);
+    return total;
+}
@@ -0,0 +1,108 @@
+import { assumptionStamp, getAssumptions } from "./assumptions";
+import { buildAmortizationSchedule, calculateEMI, enforceLTV, scheduleTotals } from "./emi";
+import { buyVsRentRecommendation } from "./buyVsRent";
+import { toFraction } from "./inputParser";
+import { calculateUpfrontCosts } from "./upfrontCosts";
+
+// Inputs a variation may override; anything it leaves out comes from the base
+export const SCENARIO_FIELDS = [
+    "stayYears",
+    "price",
+    "downPayment",
+    "downPaymentPercent",
+    "rent",
+    "tenureYears",
+    "annualRate",
+    "profile",
+    "emirate",
+    "rentEscalation",
+];
+
+// Variation on top of the base. A percentage down payment follows its own
+// scenario's price, so "25% down" stays 25% when the price changes.
+export function resolveScenario(base, overrides = {}) {
+    const merged = { ...base };
+    for (const field of SCENARIO_FIELDS) {
+        if (overrides[field] != null) merged[field] = overrides[field];
+    }
+    if (overrides.downPayment != null && overrides.downPaymentPercent == null) merged.downPaymentPercent = null;
+    if (overrides.downPaymentPercent != null && overrides.downPayment == null) merged.downPayment = null;
+
+    // "25" and "0.25" both mean a quarter of the price
+    const pct = toFraction(merged.downPaymentPercent);
+    if (pct != null) merged.downPayment = Math.round(merged.price * pct);
+    delete merged.downPaymentPercent;
+    return merged;
+}
+
+// EMI and buy-vs-rent outcome for one fully specified scenario
+export function evaluateScenario({
+    stayYears,
+    price,
+    downPayment,
+    rent,
+    tenureYears = getAssumptions().tenure.defaultYears,
+    annualRate = getAssumptions().interest.defaultRate,
+    profile = {},
+    emirate = "dubai",
+    rentEscalation = { mode: "none" },
+}) {
+    if (!(price > 0) || !(rent > 0) || !(stayYears > 0)) return { error: "missing_inputs" };
+
+    const { loanAmount, issues, ltvRule } = enforceLTV(price, downPayment ?? 0, profile);
+    const upfrontCosts = calculateUpfrontCosts({ price, loanAmount, emirate });
+    const { monthlyEmi, paymentShock } = calculateEMI(loanAmount, annualRate, tenureYears);
+    const { totalInterest } = scheduleTotals(buildAmortizationSchedule(loanAmount, annualRate, tenureYears));
+    const recommendation = buyVsRentRecommendation({
+        stayYears,
+        monthlyRent: rent,
+        price,
+        downPayment: price - loanAmount,
+        loanAmount,
+        annualRate,
+        tenureYears,
+        upfrontCosts: upfrontCosts.total,
+        rentEscalation,
+    });
+
+    return {
+        inputs: { stayYears, price, downPayment: price - loanAmount, rent, tenureYears, annualRate, profile: ltvRule?.profile ?? profile, emirate, rentEscalation },
+        loanAmount,
+        ltvRule,
+        downPaymentAdjusted: issues?.length > 0,
+        monthlyEmi,
+        paymentShock: paymentShock ?? null,
+        totalInterest,
+        upfrontCosts: upfrontCosts.total,
+        upfrontCash: price - loanAmount + upfrontCosts.total,
+        recommendation: recommendation.recommendation,
+        netAdvantage: recommendation.netAdvantage,
+        breakEvenYear: recommendation.breakEvenYear,
+    };
+}
+
+/**
+ * Runs the base scenario and each named variation through the EMI and
+ * buy-vs-rent engines. Every scenario carries `vsBase`: its EMI, total
+ * interest and upfront cash minus the base's, and whether the
+ * recommendation flips. Scenarios that can't be evaluated keep their
+ * `error` and are left out of the differences.
+ */
+export function compareScenarios({ base, variations = [], baseName = "Base" }) {
+    const baseResult = { name: baseName, ...evaluateScenario(resolveScenario(base)) };
+    const scenarios = [baseResult];
+
+    for (const { name, ...overrides } of variations) {
+        const result = { name, ...evaluateScenario(resolveScenario(base, overrides)) };
+        if (!result.error && !baseResult.error) {
+            result.vsBase = {
+                monthlyEmi: result.monthlyEmi - baseResult.monthlyEmi,
+                totalInterest: result.totalInterest - baseResult.totalInterest,
+                upfrontCash: result.upfrontCash - baseResult.upfrontCash,
+                recommendationChanged: result.recommendation !== baseResult.recommendation,
+            };
+        }
+        scenarios.push(result);
+    }
+    return { baseName, scenarios, assumptions: assumptionStamp() };
+}
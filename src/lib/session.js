@@ -0,0 +1,26 @@
+import { cookies } from "next/headers";
+import jwt from "jsonwebtoken";
+
+const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
+
+// Verified JWT payload ({ userId, email }) for the current request, or null
+export async function getSessionUser() {
+    const cookieStore = await cookies();
+    const token = cookieStore.get("token")?.value;
+    if (!token) return null;
+    try {
+        return jwt.verify(token, JWT_SECRET);
+    } catch {
+        return null;
+    }
+}
+
+// Admins are listed by email in ADMIN_EMAILS (comma-separated)
+export function isAdmin(session) {
+    if (!session?.email) return false;
+    const admins = (process.env.ADMIN_EMAILS || "")
+        .split(",")
+        .map((e) => e.trim().toLowerCase())
+        .filter(Boolean);
+    return admins.includes(String(session.email).toLowerCase());
+}
@@ -0,0 +1,75 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Agent state (extracted inputs, last calculation) is only trusted when it
+// carries a valid server signature. The MAC covers the user and thread, so a
+// sealed state can't be replayed into someone else's conversation either.
+const ENVELOPE_VERSION = 1;
+
+function stateSecret() {
+    return process.env.STATE_SECRET || process.env.JWT_SECRET || "your-secret-key";
+}
+
+function sign(payload, { userId, threadId }) {
+    return createHmac("sha256", stateSecret())
+        .update(`v${ENVELOPE_VERSION}.${userId}.${threadId}.${payload}`)
+        .digest("base64url");
+}
+
+export function sealState(state, context) {
+    const payload = Buffer.from(JSON.stringify(state ?? {})).toString("base64url");
+    return { v: ENVELOPE_VERSION, payload, sig: sign(payload, context) };
+}
+
+/**
+ * Verifies an envelope produced by sealState for the same user and thread.
+ * Returns { state } when genuine, or { error } describing why it was rejected.
+ * A missing envelope is a fresh conversation, not a forgery.
+ */
+export function openState(envelope, context) {
+    if (envelope == null) return { state: {} };
+    if (typeof envelope !== "object" || envelope.v !== ENVELOPE_VERSION) {
+        return { error: "unsupported_envelope" };
+    }
+    if (typeof envelope.payload !== "string" || typeof envelope.sig !== "string") {
+        return { error: "malformed_envelope" };
+    }
+
+    const expected = Buffer.from(sign(envelope.payload, context));
+    const given = Buffer.from(envelope.sig);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) {
+        return { error: "bad_signature" };
+    }
+
+    try {
+        return { state: JSON.parse(Buffer.from(envelope.payload, "base64url").toString("utf8")) };
+    } catch {
+        return { error: "malformed_envelope" };
+    }
+}
+
+// Fields that would let a client smuggle in its own agent state
+const CLIENT_STATE_FIELDS = ["_state", "state", "messages", "extractedData", "lastCalculation"];
+
+/**
+ * Validates a /api/chat body. Only { threadId, message, file } are accepted;
+ * anything carrying agent state is rejected outright rather than ignored, so
+ * old clients and forgery attempts fail loudly.
+ */
+export function parseChatRequest(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { error: "invalid_payload" };
+    }
+    const smuggled = CLIENT_STATE_FIELDS.filter((f) => Object.hasOwn(body, f));
+    if (smuggled.length) {
+        return { error: "client_state_rejected", fields: smuggled };
+    }
+
+    const { threadId, message, file } = body;
+    const text = typeof message === "string" ? message.trim() : "";
+    if (threadId != null && typeof threadId !== "string") return { error: "invalid_payload" };
+    if (message != null && typeof message !== "string") return { error: "invalid_payload" };
+    if (file != null && (typeof file !== "object" || typeof file.data !== "string")) return { error: "invalid_payload" };
+    if (!text && !file) return { error: "invalid_payload" };
+
+    return { threadId: threadId || null, text, file: file || null };
+}
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { openState, parseChatRequest, sealState } from "./stateEnvelope";
+
+const ctx = { userId: "665f1c2e9b1d4a0012345678", threadId: "thread-1" };
+const state = {
+    extractedData: { price: 1_500_000, income: 30_000 },
+    lastCalculation: JSON.stringify({ emi: { monthlyEmi: 6123 } }),
+};
+
+describe("sealState / openState", () => {
+    it("round-trips genuine state", () => {
+        expect(openState(sealState(state, ctx), ctx)).toEqual({ state });
+    });
+
+    it("treats a missing envelope as a fresh conversation", () => {
+        expect(openState(null, ctx)).toEqual({ state: {} });
+    });
+
+    it("rejects a payload edited after signing (forged income)", () => {
+        const sealed = sealState(state, ctx);
+        const forged = { ...state, extractedData: { ...state.extractedData, income: 500_000 } };
+        const tampered = { ...sealed, payload: Buffer.from(JSON.stringify(forged)).toString("base64url") };
+        expect(openState(tampered, ctx)).toEqual({ error: "bad_signature" });
+    });
+
+    it("rejects a forged calculation signed with the wrong key", () => {
+        const forged = sealState({ lastCalculation: "{\"emi\":{\"monthlyEmi\":1}}" }, ctx);
+        process.env.STATE_SECRET = "a-different-server-key";
+        try {
+            expect(openState(forged, ctx)).toEqual({ error: "bad_signature" });
+        } finally {
+            delete process.env.STATE_SECRET;
+        }
+    });
+
+    it("rejects genuine state replayed into another thread or user", () => {
+        const sealed = sealState(state, ctx);
+        expect(openState(sealed, { ...ctx, threadId: "thread-2" }).error).toBe("bad_signature");
+        expect(openState(sealed, { ...ctx, userId: "665f1c2e9b1d4a0087654321" }).error).toBe("bad_signature");
+    });
+
+    it("rejects unsigned or malformed envelopes", () => {
+        expect(openState(state, ctx).error).toBe("unsupported_envelope");
+        expect(openState({ v: 1, payload: "abc" }, ctx).error).toBe("malformed_envelope");
+        expect(openState({ v: 1, payload: "abc", sig: "x" }, ctx).error).toBe("bad_signature");
+    });
+});
+
+describe("parseChatRequest", () => {
+    it("accepts a new message for a thread", () => {
+        expect(parseChatRequest({ threadId: "thread-1", message: "  8 years " })).toEqual({
+            threadId: "thread-1",
+            text: "8 years",
+            file: null,
+        });
+    });
+
+    it("rejects client-supplied _state in the legacy messages array", () => {
+        const body = {
+            messages: [
+                { role: "user", content: "explain" },
+                { role: "assistant", content: "ok", _state: state },
+            ],
+        };
+        expect(parseChatRequest(body)).toEqual({ error: "client_state_rejected", fields: ["messages"] });
+    });
+
+    it("rejects state fields sent alongside a valid message", () => {
+        const result = parseChatRequest({ message: "hi", _state: state, lastCalculation: "{}" });
+        expect(result.error).toBe("client_state_rejected");
+        expect(result.fields).toEqual(["_state", "lastCalculation"]);
+    });
+
+    it("rejects empty or mistyped payloads", () => {
+        expect(parseChatRequest(null).error).toBe("invalid_payload");
+        expect(parseChatRequest({ message: "   " }).error).toBe("invalid_payload");
+        expect(parseChatRequest({ message: "hi", threadId: { $ne: null } }).error).toBe("invalid_payload");
+    });
+});
@@ -0,0 +1,54 @@
+import { getAssumptions } from "./assumptions";
+
+// Itemized purchase costs by emirate. The fee schedules (upfrontCosts.schedules)
+// are part of the assumption set in assumptions.js, where the item format is
+// documented; this module prices a purchase against them.
+
+export const EMIRATES = ["dubai", "abu_dhabi", "sharjah", "ajman", "ras_al_khaimah", "umm_al_quwain", "fujairah"];
+
+export function scheduleForEmirate(emirate) {
+    const schedules = getAssumptions().upfrontCosts.schedules;
+    const key = String(emirate || "dubai").toLowerCase().replace(/[\s-]+/g, "_");
+    return schedules[key] || (EMIRATES.includes(key) ? schedules.other : schedules.dubai);
+}
+
+function appliesTo(item, price) {
+    const w = item.when || {};
+    if (w.priceAtLeast != null && price < w.priceAtLeast) return false;
+    if (w.priceBelow != null && price >= w.priceBelow) return false;
+    return true;
+}
+
+function formulaLabel(item, bases, vatRate) {
+    const parts = [];
+    if (item.rate) {
+        parts.push(`${+(item.rate * 100).toFixed(2)}% of ${item.of} (AED ${Math.round(bases[item.of]).toLocaleString()})`);
+    }
+    if (item.fixed) parts.push(`AED ${item.fixed.toLocaleString()}`);
+    let label = parts.join(" + ");
+    if (item.vat) label = parts.length > 1 ? `(${label}) + ${vatRate * 100}% VAT` : `${label} + ${vatRate * 100}% VAT`;
+    return label;
+}
+
+export function calculateUpfrontCosts({ price, loanAmount = 0, emirate = "dubai" }) {
+    const p = Number(price || 0);
+    const loan = Number(loanAmount || 0);
+    const schedule = scheduleForEmirate(emirate);
+    const { vatRate } = getAssumptions().upfrontCosts;
+    const bases = { price: p, loan };
+    const items = schedule.items
+        .filter((item) => appliesTo(item, p))
+        .filter((item) => loan > 0 || !(item.financeOnly || item.of === "loan"))
+        .map((item) => {
+            const net = (item.rate ? item.rate * bases[item.of] : 0) + (item.fixed || 0);
+            const amount = item.vat ? net * (1 + vatRate) : net;
+            return { id: item.id, label: item.label, amount, formula: formulaLabel(item, bases, vatRate) };
+        });
+    const total = items.reduce((sum, i) => sum + i.amount, 0);
+    return {
+        emirate: schedule.label,
+        items,
+        total,
+        percentOfPrice: p > 0 ? total / p : 0,
+    };
+}
@@ -3,7 +3,7 @@
  * 
  * Architecture (Production-Ready):
  * ┌─────────────────────────────────────────────────────────────────────┐
- * │ 1. UNTRUSTED OCR SERVICE (Gemini Vision)                            │
+ * │ 1. UNTRUSTED OCR SERVICE (vision model via LLM_PROVIDER)            │
  * │    → Extracts raw text (like AWS Textract / Azure Form Recognizer)  │
  * │    → Treated as untrusted external service                           │
  * ├─────────────────────────────────────────────────────────────────────┤
@@ -14,8 +14,9 @@
  * │ 3. VALIDATION GATE (Hard PII Detection)                             │
  * │    → Blocks request if any PII patterns remain after scrubbing      │
  * │    → Prevents leakage to reasoning LLM                               │
+ * │    → Blocks text that tries to instruct the model (guardrails.js)   │
  * ├─────────────────────────────────────────────────────────────────────┤
- * │ 4. REASONING LLM (Gemini)                                            │
+ * │ 4. REASONING LLM (LLM_PROVIDER, Gemini by default)                   │
  * │    → Only receives sanitized salary numbers (no PII)                 │
  * │    → Never sees names, IBANs, IDs, emails, or phone numbers          │
  * └─────────────────────────────────────────────────────────────────────┘
@@ -30,7 +31,10 @@
  * The key protection: reasoning LLM never sees PII, only sanitized numbers.
  */
 
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { getLLM } from "./llm";
+import { getFxTable, normalizeCurrency } from "./currency";
+import { DEFAULT_LOCALE, formatAED, formatCurrency, t } from "./i18n";
+import { screenDocumentText } from "./guardrails";
 
 /**
  * Redacts PII (Personally Identifiable Information) from text
@@ -83,51 +87,37 @@ function redactPII(text) {
  */
 
 /**
- * Uses Gemini Vision as OCR fallback (demo constraint)
+ * Uses the provider's vision model as OCR fallback (demo constraint)
  * Treated as UNTRUSTED external service (like AWS Textract, Azure Form Recognizer)
  * @param {Buffer} buffer - File buffer
  * @param {string} mimeType - MIME type of the file
  * @returns {Promise<string>} - Extracted text
  */
 async function extractTextWithVisionOCR(buffer, mimeType) {
-    console.log("📄 [OCR] Using Gemini Vision as OCR fallback (demo - would use Tesseract in prod)");
+    console.log("📄 [OCR] Using", getLLM().name, "vision as OCR fallback (demo - would use Tesseract in prod)");
     console.log("ℹ️  [OCR] Treating as UNTRUSTED extraction - defense-in-depth applies");
 
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-    const visionModel = genAI.getGenerativeModel({
-        model: process.env.GEMINI_VISION_MODEL || "gemini-2.0-flash-exp"
-    });
-
     const visionPrompt = `Extract ALL text from this document. Return ONLY the raw text, exactly as it appears. Do not analyze or interpret - just extract the text verbatim.`;
 
     const base64Data = buffer.toString('base64');
-    const visionResult = await visionModel.generateContent([
-        visionPrompt,
-        {
-            inlineData: {
-                data: base64Data,
-                mimeType: mimeType
-            }
-        }
-    ]);
-
-    return visionResult.response.text();
+    return getLLM().generate({
+        prompt: visionPrompt,
+        file: { data: base64Data, mimeType },
+        vision: true
+    });
 }
 
 /**
  * Extracts salary information from document using defense-in-depth privacy architecture
  * 🔐 STEP 1: Untrusted OCR (Vision) → STEP 2: Local scrubbing → STEP 3: Validation gate → STEP 4: Reasoning LLM
  * @param {File} file - The uploaded file (image or PDF)
- * @returns {Promise<{success: boolean, data?: object, error?: string}>}
+ * `blocked` ({ reason, detail, text }) is set when the guardrail refused the OCR text
+ * @returns {Promise<{success: boolean, data?: object, error?: string, blocked?: object}>}
  */
 export async function extractSalaryFromDocument(file) {
     try {
         console.log("🔍 [PRIVACY-PIPELINE] Starting document extraction with defense-in-depth...");
 
-        if (!process.env.GOOGLE_API_KEY) {
-            throw new Error("GOOGLE_API_KEY not configured");
-        }
-
         // 🔐 STEP 1: UNTRUSTED OCR - Extract raw text using Vision (like AWS Textract)
         const arrayBuffer = await file.arrayBuffer();
         const buffer = Buffer.from(arrayBuffer);
@@ -155,13 +145,19 @@ export async function extractSalaryFromDocument(file) {
         }
         console.log("✅ [VALIDATION] No PII detected - safe to proceed");
 
+        // 🔐 STEP 3b: GUARDRAIL - The document is data; text trying to instruct the model stops here
+        const screen = screenDocumentText(scrubbedText);
+        if (!screen.allowed) {
+            console.error("🛑 [GUARDRAIL] Document blocked:", screen.reason, "-", screen.detail);
+            return {
+                success: false,
+                error: "Blocked document",
+                blocked: { reason: screen.reason, detail: screen.detail, text: scrubbedText },
+            };
+        }
+
         // 🔐 STEP 4: REASONING LLM - Extract structured salary data (only sees sanitized text)
         console.log("🧠 [REASONING] Parsing salary fields from sanitized text...");
-        const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-        const reasoningModel = genAI.getGenerativeModel({
-            model: process.env.GEMINI_MODEL || "gemini-1.5-flash"
-        });
-
         const prompt = `You are a financial document analyzer. Extract ONLY salary-related information from the sanitized text below.
 NOTE: All PII has been redacted. You will see [REDACTED_*] placeholders - this is expected and secure.
 
@@ -198,8 +194,7 @@ IMPORTANT:
 - All amounts should be numbers (no currency symbols)
 - If this is not a salary document, return: {"error": "Not a salary document"}`;
 
-        const result = await reasoningModel.generateContent(prompt);
-        const responseText = result.response.text();
+        const responseText = await getLLM().generate({ prompt });
 
         console.log("✅ [REASONING] Structured data parsed (no PII exposed)");
 
@@ -236,9 +231,12 @@ IMPORTANT:
 }
 
 /**
- * Formats extracted salary data into a human-readable confirmation message
+ * Formats extracted salary data into a human-readable confirmation message,
+ * in the user's language (`locale`, see i18n.js).
+ * `monthlySalaryUsed` is in the payslip currency; `monthlySalaryAED` is the
+ * converted figure the mortgage maths will actually use.
  */
-export function formatSalaryConfirmation(salaryData, monthlySalaryUsed) {
+export function formatSalaryConfirmation(salaryData, monthlySalaryUsed, monthlySalaryAED = monthlySalaryUsed, locale = DEFAULT_LOCALE) {
     const {
         basicSalary,
         housingAllowance,
@@ -250,44 +248,50 @@ export function formatSalaryConfirmation(salaryData, monthlySalaryUsed) {
         currency = "AED"
     } = salaryData;
 
-    let message = "I've analyzed your salary slip. Here's what I found:\n\n";
+    const line = (key, amount, params) => t(locale, "salarySlip.line", { label: t(locale, `salarySlip.${key}`, params), amount: formatCurrency(amount, currency, locale) });
+    let message = t(locale, "salarySlip.intro");
 
     if (basicSalary) {
-        message += `💰 Basic Salary: ${currency} ${basicSalary.toLocaleString()}\n`;
+        message += line("basic", basicSalary);
     }
 
     if (housingAllowance) {
-        message += `🏠 Housing Allowance: ${currency} ${housingAllowance.toLocaleString()}\n`;
+        message += line("housing", housingAllowance);
     }
 
     if (transportationAllowance) {
-        message += `🚗 Transportation Allowance: ${currency} ${transportationAllowance.toLocaleString()}\n`;
+        message += line("transportation", transportationAllowance);
     }
 
     if (otherAllowances && otherAllowances.length > 0) {
         otherAllowances.forEach(allowance => {
-            message += `📋 ${allowance.name}: ${currency} ${allowance.amount.toLocaleString()}\n`;
+            message += line("other", allowance.amount, { name: allowance.name });
         });
     }
 
     if (totalGrossSalary) {
-        message += `\n📊 Total Gross Salary: ${currency} ${totalGrossSalary.toLocaleString()}\n`;
+        message += `\n${line("gross", totalGrossSalary)}`;
     }
 
     if (deductions) {
-        message += `➖ Deductions: ${currency} ${deductions.toLocaleString()}\n`;
+        message += line("deductions", deductions);
     }
 
     if (netSalary) {
-        message += `✅ Net Salary: ${currency} ${netSalary.toLocaleString()}\n`;
+        message += line("net", netSalary);
     }
 
     // Explicitly state which value is being used for affordability calculations
     if (monthlySalaryUsed) {
-        message += `\n💡 **Using for mortgage calculations:** ${currency} ${monthlySalaryUsed.toLocaleString()}/month`;
+        const ccy = normalizeCurrency(currency);
+        message += t(locale, "salarySlip.using", { amount: formatAED(ccy === "AED" ? monthlySalaryUsed : monthlySalaryAED, locale) });
+        if (ccy !== "AED") {
+            const { asOf, rates } = getFxTable();
+            message += t(locale, "salarySlip.converted", { amount: formatCurrency(monthlySalaryUsed, ccy, locale), ccy, rate: rates[ccy], asOf });
+        }
     }
 
-    message += "\n\nDoes this look correct? If yes, I can help you calculate how much you can afford for a mortgage!";
+    message += t(locale, "salarySlip.confirm");
 
     return message;
 }
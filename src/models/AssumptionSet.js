@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Admin overrides of the calculation defaults in src/lib/assumptions.js.
+// Only the newest active set is applied; older ones are kept as history.
+const AssumptionSetSchema = new mongoose.Schema(
+    {
+        version: {
+            type: String,
+            required: true,
+            unique: true,
+            trim: true,
+        },
+        effectiveFrom: {
+            type: String,
+            required: true,
+        },
+        // Partial assumption set merged over the defaults
+        overrides: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        note: {
+            type: String,
+            default: "",
+            trim: true,
+        },
+        createdBy: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+AssumptionSetSchema.index({ active: 1, createdAt: -1 });
+
+export default mongoose.models.AssumptionSet || mongoose.model("AssumptionSet", AssumptionSetSchema);
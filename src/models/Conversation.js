@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const ConversationSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        threadId: {
+            type: String,
+            required: true,
+        },
+        title: {
+            type: String,
+            default: "New conversation",
+            trim: true,
+        },
+        // Graph state carried between turns, sealed with an HMAC
+        // envelope (see src/lib/stateEnvelope.js); never sent to the browser
+        state: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+ConversationSchema.index({ user: 1, threadId: 1 }, { unique: true });
+ConversationSchema.index({ user: 1, updatedAt: -1 });
+
+export default mongoose.models.Conversation || mongoose.model("Conversation", ConversationSchema);
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// Messages and uploads the guardrail refused (see src/lib/guardrails.js), kept for review.
+// `excerpt` is the start of the text; OCR text is stored after PII scrubbing.
+const GuardrailEventSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        threadId: {
+            type: String,
+            required: true,
+        },
+        source: {
+            type: String,
+            enum: ["message", "document"],
+            required: true,
+        },
+        reason: {
+            type: String,
+            enum: ["tooLong", "injection", "offTopic"],
+            required: true,
+        },
+        detail: {
+            type: String,
+            default: "",
+        },
+        excerpt: {
+            type: String,
+            default: "",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+GuardrailEventSchema.index({ createdAt: -1 });
+
+export default mongoose.models.GuardrailEvent || mongoose.model("GuardrailEvent", GuardrailEventSchema);
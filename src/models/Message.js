@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const MessageSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        threadId: {
+            type: String,
+            required: true,
+        },
+        role: {
+            type: String,
+            enum: ["user", "assistant"],
+            required: true,
+        },
+        content: {
+            type: String,
+            required: true,
+        },
+        // Set on both messages of a turn the guardrail refused; they stay visible but aren't sent to the model again
+        blocked: {
+            type: String,
+            enum: ["tooLong", "injection", "offTopic"],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+MessageSchema.index({ user: 1, threadId: 1, createdAt: 1 });
+
+export default mongoose.models.Message || mongoose.model("Message", MessageSchema);
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// Pre-approval summaries issued in chat (see src/lib/preApproval.js).
+// The summary is a snapshot: later recalculations don't change it.
+const PreApprovalSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        threadId: {
+            type: String,
+            required: true,
+        },
+        reference: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        summary: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+PreApprovalSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.models.PreApproval || mongoose.model("PreApproval", PreApprovalSchema);
@@ -24,6 +24,17 @@ const UserSchema = new mongoose.Schema(
             minlength: 8,
             select: false, // Don't return password by default
         },
+        // Reply language and digits, chosen per user (see src/lib/i18n.js)
+        language: {
+            type: String,
+            enum: ["en", "ar"],
+            default: "en",
+        },
+        numerals: {
+            type: String,
+            enum: ["latn", "arab"],
+            default: "latn",
+        },
         createdAt: {
             type: Date,
             default: Date.now,